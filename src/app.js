@@ -9,6 +9,7 @@ const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { userRateLimiter, authRateLimiter, aiRateLimiter } = require('./middleware/rateLimitMiddleware');
 const { optionalAuth } = require('./middleware/authMiddleware');
 const maintenanceMiddleware = require('./middleware/maintenanceMiddleware');
+const { handleStripeWebhook } = require('./controllers/paymentController');
 
 const app = express();
 
@@ -16,6 +17,9 @@ app.use(helmet({
     crossOriginResourcePolicy: { policy: 'cross-origin' },
 }));
 
+// Stripe webhook needs the raw body for signature checks and must skip auth, maintenance and rate limits
+app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), handleStripeWebhook);
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
@@ -43,7 +47,8 @@ app.use('/api/ai', aiRateLimiter);
 app.use('/api', optionalAuth, maintenanceMiddleware, userRateLimiter);
 
 app.use('/api', apiRoutes);
-app.use('/', legacyRoutes);
+// Legacy routes live outside /api, so they get the same optional auth here
+app.use('/', optionalAuth, legacyRoutes);
 
 app.use(notFoundHandler);
 app.use(errorHandler);
@@ -3,6 +3,7 @@ const LocalStrategy = require('passport-local').Strategy;
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const FacebookStrategy = require('passport-facebook').Strategy;
 const User = require('../models/User');
+const accountLinkService = require('../services/accountLinkService');
 
 /**
  * Passport Configuration
@@ -27,10 +28,11 @@ passport.use(
                     return done(null, false, { message: 'Invalid email or password' });
                 }
 
-                // Check if user registered with OAuth
-                if (user.authProvider !== 'local') {
+                // Check if the user only signs in with OAuth
+                if (!user.hasLoginMethod('local') || !user.password) {
+                    const providers = user.getLinkedAccounts().map(account => account.provider);
                     return done(null, false, { 
-                        message: `Please sign in with ${user.authProvider}` 
+                        message: `Please sign in with ${providers.join(' or ')}` 
                     });
                 }
 
@@ -59,39 +61,13 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
                 clientSecret: process.env.GOOGLE_CLIENT_SECRET,
                 callbackURL: process.env.GOOGLE_CALLBACK_URL || '/api/auth/google/callback',
                 scope: ['profile', 'email'],
+                passReqToCallback: true,
             },
-            async (accessToken, refreshToken, profile, done) => {
+            async (req, accessToken, refreshToken, profile, done) => {
                 try {
-                    // Check if user already exists
-                    let user = await User.findOne({
-                        $or: [
-                            { providerId: profile.id, authProvider: 'google' },
-                            { email: profile.emails?.[0]?.value }
-                        ]
-                    });
-
-                    if (user) {
-                        // Update provider info if user exists
-                        if (user.authProvider !== 'google') {
-                            user.authProvider = 'google';
-                            user.providerId = profile.id;
-                        }
-                        user.avatar = profile.photos?.[0]?.value || user.avatar;
-                        user.lastLogin = new Date();
-                        await user.save();
-                    } else {
-                        // Create new user
-                        user = await User.create({
-                            name: profile.displayName,
-                            email: profile.emails?.[0]?.value,
-                            avatar: profile.photos?.[0]?.value,
-                            authProvider: 'google',
-                            providerId: profile.id,
-                            isVerified: true, // Google emails are verified
-                        });
-                    }
-
-                    return done(null, user);
+                    // Sign in, sign up, or link to the user who requested the state's link token
+                    const { user, info } = await accountLinkService.resolveOAuthProfile('google', profile, req.query.state, req.cookies?.linkToken);
+                    return done(null, user, info);
                 } catch (error) {
                     return done(error);
                 }
@@ -111,41 +87,13 @@ if (process.env.FACEBOOK_APP_ID && process.env.FACEBOOK_APP_SECRET) {
                 clientSecret: process.env.FACEBOOK_APP_SECRET,
                 callbackURL: process.env.FACEBOOK_CALLBACK_URL || '/api/auth/facebook/callback',
                 profileFields: ['id', 'displayName', 'photos', 'email'],
+                passReqToCallback: true,
             },
-            async (accessToken, refreshToken, profile, done) => {
+            async (req, accessToken, refreshToken, profile, done) => {
                 try {
-                    const email = profile.emails?.[0]?.value;
-                    
-                    // Check if user already exists
-                    let user = await User.findOne({
-                        $or: [
-                            { providerId: profile.id, authProvider: 'facebook' },
-                            ...(email ? [{ email }] : [])
-                        ]
-                    });
-
-                    if (user) {
-                        // Update provider info if user exists
-                        if (user.authProvider !== 'facebook') {
-                            user.authProvider = 'facebook';
-                            user.providerId = profile.id;
-                        }
-                        user.avatar = profile.photos?.[0]?.value || user.avatar;
-                        user.lastLogin = new Date();
-                        await user.save();
-                    } else {
-                        // Create new user
-                        user = await User.create({
-                            name: profile.displayName,
-                            email: email || `${profile.id}@facebook.placeholder`,
-                            avatar: profile.photos?.[0]?.value,
-                            authProvider: 'facebook',
-                            providerId: profile.id,
-                            isVerified: !!email, // Only verified if email is available
-                        });
-                    }
-
-                    return done(null, user);
+                    // Sign in, sign up, or link to the user who requested the state's link token
+                    const { user, info } = await accountLinkService.resolveOAuthProfile('facebook', profile, req.query.state, req.cookies?.linkToken);
+                    return done(null, user, info);
                 } catch (error) {
                     return done(error);
                 }
@@ -0,0 +1,7 @@
+/**
+ * Stripe Configuration
+ * Shared Stripe client for payments, refunds and webhooks
+ */
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+module.exports = stripe;
@@ -0,0 +1,47 @@
+// Order Status State Machine: pending → processing → shipped → delivered, with cancel/return branches
+
+// Status Definitions
+const ORDER_STATUS = {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    SHIPPED: 'shipped',
+    DELIVERED: 'delivered',
+    CANCELLED: 'cancelled',
+    RETURNED: 'returned',
+};
+
+const ORDER_STATUSES = Object.values(ORDER_STATUS);
+
+// Allowed transitions (from → [to])
+const ORDER_STATUS_TRANSITIONS = {
+    pending: [ORDER_STATUS.PROCESSING, ORDER_STATUS.CANCELLED],
+    processing: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED],
+    shipped: [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED, ORDER_STATUS.RETURNED],
+    delivered: [ORDER_STATUS.RETURNED],
+    cancelled: [],
+    returned: [],
+};
+
+// Check if an order can move from one status to another
+const canTransition = (from, to) => {
+    return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Get the statuses an order can move to from its current status
+const getAllowedTransitions = (from) => {
+    return ORDER_STATUS_TRANSITIONS[from] || [];
+};
+
+// Get the statuses from which an order can reach the target status
+const getSourceStatuses = (to) => {
+    return ORDER_STATUSES.filter(from => canTransition(from, to));
+};
+
+module.exports = {
+    ORDER_STATUS,
+    ORDER_STATUSES,
+    ORDER_STATUS_TRANSITIONS,
+    canTransition,
+    getAllowedTransitions,
+    getSourceStatuses,
+};
@@ -11,6 +11,7 @@ const PERMISSIONS = {
     VIEW_ALL_USERS: 'view:all_users',
     MANAGE_USERS: 'manage:users',
     MANAGE_ROLES: 'manage:roles', // Promote/demote moderators
+    VIEW_AUDIT_LOG: 'view:audit_log',
     
     // Product Management
     VIEW_ALL_PRODUCTS: 'view:all_products',
@@ -31,6 +32,14 @@ const PERMISSIONS = {
     VIEW_PROMOS: 'view:promos',
     MANAGE_PROMOS: 'manage:promos',
     
+    // Gift Cards & Store Credit
+    VIEW_GIFT_CARDS: 'view:gift_cards',
+    MANAGE_GIFT_CARDS: 'manage:gift_cards',
+    
+    // Storefront Content
+    MANAGE_CATEGORIES: 'manage:categories',
+    MANAGE_PAGES: 'manage:pages', // Page builder
+    
     // Shipment Management
     VIEW_SHIPMENTS: 'view:shipments',
     MANAGE_SHIPMENTS: 'manage:shipments',
@@ -39,7 +48,7 @@ const PERMISSIONS = {
     VIEW_TRANSACTIONS: 'view:transactions',
 };
 
-// Role Definitions
+// Built-in Role Definitions (custom roles are Role documents, see services/roleService)
 const ROLES = {
     admin: [
         // Full access - all permissions
@@ -68,6 +77,9 @@ const ROLES = {
         // Promo codes (view only)
         PERMISSIONS.VIEW_PROMOS,
         
+        // Gift cards (view only)
+        PERMISSIONS.VIEW_GIFT_CARDS,
+        
         // Shipments (view + manage)
         PERMISSIONS.VIEW_SHIPMENTS,
         PERMISSIONS.MANAGE_SHIPMENTS,
@@ -85,7 +97,7 @@ const ROLES = {
     ],
 };
 
-// Role Hierarchy
+// Role Hierarchy (custom roles carry their own level, always below admin)
 const ROLE_HIERARCHY = {
     admin: 3,
     moderator: 2,
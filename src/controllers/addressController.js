@@ -0,0 +1,71 @@
+const asyncHandler = require('../utils/asyncHandler');
+const addressService = require('../services/addressService');
+
+/**
+ * Address Controller
+ * The logged-in customer's address book. Addresses are checked against
+ * the courier's required fields before they are saved.
+ */
+
+/**
+ * @desc    Get saved addresses (default first)
+ * @route   GET /api/addresses
+ * @access  Private
+ */
+const getAddresses = asyncHandler(async (req, res) => {
+    const addresses = await addressService.list(req.user._id);
+
+    res.json({ success: true, count: addresses.length, addresses });
+});
+
+/**
+ * @desc    Save a new address
+ * @route   POST /api/addresses
+ * @access  Private
+ */
+const addAddress = asyncHandler(async (req, res) => {
+    const address = await addressService.add(req.user._id, req.body);
+
+    res.status(201).json({ success: true, address });
+});
+
+/**
+ * @desc    Update a saved address
+ * @route   PUT /api/addresses/:id
+ * @access  Private
+ */
+const updateAddress = asyncHandler(async (req, res) => {
+    const address = await addressService.update(req.user._id, req.params.id, req.body);
+
+    res.json({ success: true, address });
+});
+
+/**
+ * @desc    Make a saved address the default
+ * @route   PUT /api/addresses/:id/default
+ * @access  Private
+ */
+const setDefaultAddress = asyncHandler(async (req, res) => {
+    const address = await addressService.setDefault(req.user._id, req.params.id);
+
+    res.json({ success: true, address });
+});
+
+/**
+ * @desc    Delete a saved address
+ * @route   DELETE /api/addresses/:id
+ * @access  Private
+ */
+const deleteAddress = asyncHandler(async (req, res) => {
+    await addressService.remove(req.user._id, req.params.id);
+
+    res.json({ success: true, message: 'Address removed' });
+});
+
+module.exports = {
+    getAddresses,
+    addAddress,
+    updateAddress,
+    setDefaultAddress,
+    deleteAddress,
+};
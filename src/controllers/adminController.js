@@ -1,7 +1,8 @@
 const { User } = require('../models');
 const { ApiError, ApiResponse } = require('../utils/ApiResponse');
 const asyncHandler = require('../utils/asyncHandler');
-const { ROLE_HIERARCHY, outranks } = require('../constants/permissions');
+const roleService = require('../services/roleService');
+const auditService = require('../services/auditService');
 
 const getDashboardStatistics = asyncHandler(async (req, res) => {
     const Order = require('../models/Order');
@@ -31,8 +32,8 @@ const getAllUsersWithRoles = asyncHandler(async (req, res) => {
     const { page = 1, limit = 20, role, search } = req.query;
     
     const filter = {};
-    if (role && ['user', 'moderator', 'admin'].includes(role)) {
-        filter.role = role;
+    if (role) {
+        filter.role = String(role);
     }
     if (search) {
         filter.$or = [
@@ -42,7 +43,7 @@ const getAllUsersWithRoles = asyncHandler(async (req, res) => {
     }
 
     const users = await User.find(filter)
-        .select('-password -refreshToken')
+        .select('-password')
         .sort({ createdAt: -1 })
         .skip((page - 1) * limit)
         .limit(parseInt(limit))
@@ -64,7 +65,8 @@ const updateUserRole = asyncHandler(async (req, res) => {
     const { userId } = req.params;
     const { newRole } = req.body;
 
-    if (!['user', 'moderator', 'admin'].includes(newRole)) {
+    const role = await roleService.getRole(newRole);
+    if (!role) {
         throw new ApiError(400, 'Invalid role specified');
     }
 
@@ -76,14 +78,16 @@ const updateUserRole = asyncHandler(async (req, res) => {
     const requestingUserRole = req.user.role;
     const targetUserCurrentRole = targetUser.role;
 
-    if (!outranks(requestingUserRole, targetUserCurrentRole)) {
+    if (!(await roleService.outranks(requestingUserRole, targetUserCurrentRole))) {
         throw new ApiError(403, 'You cannot modify a user with equal or higher role');
     }
 
-    if (ROLE_HIERARCHY[newRole] >= ROLE_HIERARCHY[requestingUserRole]) {
+    if (role.level >= await roleService.getLevel(requestingUserRole)) {
         throw new ApiError(403, 'You cannot promote a user to your level or higher');
     }
 
+    await roleService.assertCanGrantPermissions(requestingUserRole, role.permissions);
+
     if (requestingUserRole !== 'admin' && newRole === 'admin') {
         throw new ApiError(403, 'Only admins can create new admins');
     }
@@ -91,6 +95,15 @@ const updateUserRole = asyncHandler(async (req, res) => {
     targetUser.role = newRole;
     await targetUser.save();
 
+    await auditService.record(req, {
+        action: 'user.role_change',
+        resourceType: 'User',
+        resourceId: targetUser._id,
+        before: { role: targetUserCurrentRole },
+        after: { role: newRole },
+        metadata: { email: targetUser.email },
+    });
+
     res.json(new ApiResponse(200, {
         user: targetUser.toPublicJSON(),
         message: `User role updated to ${newRole}`,
@@ -105,7 +118,7 @@ const removeUserRole = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'User not found');
     }
 
-    if (!outranks(req.user.role, targetUser.role)) {
+    if (!(await roleService.outranks(req.user.role, targetUser.role))) {
         throw new ApiError(403, 'You cannot demote a user with equal or higher role');
     }
 
@@ -113,9 +126,19 @@ const removeUserRole = asyncHandler(async (req, res) => {
         throw new ApiError(400, 'User already has the base role');
     }
 
+    const previousRole = targetUser.role;
     targetUser.role = 'user';
     await targetUser.save();
 
+    await auditService.record(req, {
+        action: 'user.role_change',
+        resourceType: 'User',
+        resourceId: targetUser._id,
+        before: { role: previousRole },
+        after: { role: 'user' },
+        metadata: { email: targetUser.email },
+    });
+
     res.json(new ApiResponse(200, {
         user: targetUser.toPublicJSON(),
         message: 'User demoted to regular user',
@@ -125,7 +148,7 @@ const removeUserRole = asyncHandler(async (req, res) => {
 const getUserById = asyncHandler(async (req, res) => {
     const { userId } = req.params;
 
-    const user = await User.findById(userId).select('-password -refreshToken').lean();
+    const user = await User.findById(userId).select('-password').lean();
     if (!user) {
         throw new ApiError(404, 'User not found');
     }
@@ -134,7 +157,15 @@ const getUserById = asyncHandler(async (req, res) => {
 });
 
 const SteadfastService = require('../services/SteadfastService');
+const orderService = require('../services/orderService');
 const Order = require('../models/Order');
+const { ORDER_STATUS, canTransition } = require('../constants/orderStatus');
+
+// Steadfast delivery statuses that map onto our order statuses
+const COURIER_STATUS_MAP = {
+    delivered: ORDER_STATUS.DELIVERED,
+    cancelled: ORDER_STATUS.CANCELLED,
+};
 
 const sendToCourier = asyncHandler(async (req, res) => {
     const { orderId } = req.body;
@@ -148,6 +179,11 @@ const sendToCourier = asyncHandler(async (req, res) => {
         throw new ApiError(400, 'Order already sent to courier');
     }
 
+    // Check before calling the courier so we don't book a consignment we can't ship
+    if (!canTransition(order.orderStatus, ORDER_STATUS.SHIPPED)) {
+        throw new ApiError(400, `Cannot ship an order with status '${order.orderStatus}'`);
+    }
+
     const courierData = {
         invoice: order.orderId || order._id.toString().slice(-8).toUpperCase(), // Use orderId if available
         recipient_name: order.name,
@@ -174,10 +210,20 @@ const sendToCourier = asyncHandler(async (req, res) => {
             createdAt: consignmentData.created_at
         };
         
-        // Update order with courier info
-        order.courierInfo = courierInfo;
-        order.orderStatus = 'shipped'; // Update status to reflect shipment
-        await order.save();
+        // Update order with courier info and move it to shipped
+        await orderService.transitionStatus(order._id, ORDER_STATUS.SHIPPED, {
+            note: `Sent to Steadfast (tracking ${courierInfo.trackingCode || 'N/A'})`,
+            actorId: req.user._id,
+            set: { courierInfo },
+        });
+
+        await auditService.record(req, {
+            action: 'order.send_to_courier',
+            resourceType: 'Order',
+            resourceId: order._id,
+            before: { orderStatus: order.orderStatus },
+            after: { orderStatus: ORDER_STATUS.SHIPPED, courierInfo },
+        });
 
         res.json({
             success: true,
@@ -216,18 +262,31 @@ const syncCourierStatus = asyncHandler(async (req, res) => {
                 // Only update if status has changed
                 if (order.courierInfo.status !== newStatus) {
                     order.courierInfo.status = newStatus;
-                    
-                    // Map Steadfast status to internal status if needed
-                    if (newStatus === 'delivered') order.orderStatus = 'delivered';
-                    if (newStatus === 'cancelled') order.orderStatus = 'cancelled';
-                    
                     await order.save();
+
+                    // Map Steadfast status to internal status if the transition is allowed
+                    const mappedStatus = COURIER_STATUS_MAP[newStatus];
+                    let rejected = null;
+                    if (mappedStatus && mappedStatus !== order.orderStatus) {
+                        if (canTransition(order.orderStatus, mappedStatus)) {
+                            const updated = await orderService.transitionStatus(order._id, mappedStatus, {
+                                note: `Courier status: ${newStatus}`,
+                                actorId: req.user._id,
+                            });
+                            order.orderStatus = updated.orderStatus;
+                        } else {
+                            rejected = `Cannot change status from '${order.orderStatus}' to '${mappedStatus}'`;
+                        }
+                    }
+
                     updatedOrders.push({
                         _id: order._id,
                         courierInfo: order.courierInfo,
                         orderStatus: order.orderStatus
                     });
-                    syncResults.push({ orderId, status: 'synced', newStatus });
+                    syncResults.push(rejected
+                        ? { orderId, status: 'rejected', newStatus, message: rejected }
+                        : { orderId, status: 'synced', newStatus });
                 } else {
                     syncResults.push({ orderId, status: 'no_change' });
                 }
@@ -268,6 +327,31 @@ const sendInventoryAlert = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc    List audit log entries (filters: actor, action, resourceType, resourceId, from, to)
+ * @route   GET /api/admin/audit-log
+ * @access  Private (view:audit_log)
+ */
+const getAuditLog = asyncHandler(async (req, res) => {
+    const { entries, pagination } = await auditService.list(req.query);
+
+    res.json(new ApiResponse(200, { entries, pagination }));
+});
+
+/**
+ * @desc    Export audit log entries as CSV (same filters as the list)
+ * @route   GET /api/admin/audit-log/export
+ * @access  Private (view:audit_log)
+ */
+const exportAuditLog = asyncHandler(async (req, res) => {
+    const csv = await auditService.exportCsv(req.query);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+    res.send(csv);
+});
+
 module.exports = {
     getDashboardStatistics,
     getAllUsersWithRoles,
@@ -276,5 +360,7 @@ module.exports = {
     getUserById,
     sendToCourier,
     syncCourierStatus,
-    sendInventoryAlert
+    sendInventoryAlert,
+    getAuditLog,
+    exportAuditLog,
 };
@@ -3,7 +3,8 @@ const asyncHandler = require('../utils/asyncHandler');
 
 /**
  * Analytics Controller
- * Provides aggregated statistics for the dashboard
+ * Provides aggregated statistics for the dashboard.
+ * Trashed orders were still placed and paid, so the order statistics include them.
  */
 
 /**
@@ -15,7 +16,7 @@ const getRevenueStats = asyncHandler(async (req, res) => {
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-    const revenueData = await Order.aggregate([
+    const revenueData = await Order.aggregateWithDeleted([
         {
             $match: {
                 createdAt: { $gte: thirtyDaysAgo },
@@ -43,7 +44,7 @@ const getRevenueStats = asyncHandler(async (req, res) => {
     ]);
 
     // Calculate totals
-    const totals = await Order.aggregate([
+    const totals = await Order.aggregateWithDeleted([
         {
             $match: {
                 orderStatus: { $nin: ['cancelled', 'returned'] }
@@ -82,7 +83,7 @@ const getRevenueStats = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 const getOrdersByStatus = asyncHandler(async (req, res) => {
-    const statusData = await Order.aggregate([
+    const statusData = await Order.aggregateWithDeleted([
         {
             $group: {
                 _id: '$orderStatus',
@@ -112,7 +113,7 @@ const getOrdersByStatus = asyncHandler(async (req, res) => {
 const getTopProducts = asyncHandler(async (req, res) => {
     const limit = parseInt(req.query.limit) || 5;
 
-    const topProducts = await Order.aggregate([
+    const topProducts = await Order.aggregateWithDeleted([
         { $unwind: '$items' },
         {
             $group: {
@@ -152,7 +153,7 @@ const getTodayStats = asyncHandler(async (req, res) => {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    const todayStats = await Order.aggregate([
+    const todayStats = await Order.aggregateWithDeleted([
         {
             $match: {
                 createdAt: { $gte: today }
@@ -193,7 +194,7 @@ const getDashboardData = asyncHandler(async (req, res) => {
 
     // 1. Today's Stats & Total Products & Low Stock
     const [todayResult, totalProducts, lowStockProducts, recentOrders] = await Promise.all([
-        Order.aggregate([
+        Order.aggregateWithDeleted([
             { $match: { createdAt: { $gte: today } } },
             {
                 $group: {
@@ -214,7 +215,7 @@ const getDashboardData = asyncHandler(async (req, res) => {
     ]);
 
     // 2. Revenue Over Time (Last 7 Days)
-    const revenueData = await Order.aggregate([
+    const revenueData = await Order.aggregateWithDeleted([
         {
             $match: {
                 createdAt: { $gte: sevenDaysAgo },
@@ -240,7 +241,7 @@ const getDashboardData = asyncHandler(async (req, res) => {
     ]);
 
     // 3. Top Categories
-    const topCategories = await Order.aggregate([
+    const topCategories = await Order.aggregateWithDeleted([
         { $unwind: '$items' },
         {
             $group: {
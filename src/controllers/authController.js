@@ -2,10 +2,17 @@ const passport = require('passport');
 const { User } = require('../models');
 const asyncHandler = require('../utils/asyncHandler');
 const { ApiError, ApiResponse } = require('../utils/ApiResponse');
+const emailService = require('../services/emailService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const accountLinkService = require('../services/accountLinkService');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
 
 /**
  * Auth Controller
- * Handles user authentication: register, login, OAuth, and token management
+ * Handles user authentication: register, login, OAuth, token management,
+ * password reset and email verification
  */
 
 // Cookie options for JWT tokens
@@ -16,6 +23,65 @@ const cookieOptions = {
     maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
 };
 
+const refreshCookieOptions = { ...cookieOptions, maxAge: 30 * 24 * 60 * 60 * 1000 }; // 30 days
+
+// The link token also goes in a cookie so only the browser that asked for it can finish the link.
+// Lax, not strict: the OAuth callback is a navigation coming back from the provider's site.
+const linkCookieOptions = { ...cookieOptions, sameSite: 'lax', path: '/api/auth', maxAge: 10 * 60 * 1000 }; // 10 minutes
+
+// Start a session for this device and set both auth cookies
+const startSession = async (user, req, res) => {
+    const { session, refreshToken } = await sessionService.createSession(user, req);
+    const accessToken = user.generateAuthToken(session._id);
+
+    res.cookie('accessToken', accessToken, cookieOptions);
+    res.cookie('refreshToken', refreshToken, refreshCookieOptions);
+
+    return { accessToken, refreshToken };
+};
+
+// Challenge returned instead of a session when the user needs a second factor
+const getTwoFactorChallenge = async (user) => {
+    if (user.twoFactor?.enabled) {
+        return { twoFactorRequired: true, challengeToken: twoFactorService.createChallenge(user, 'verify') };
+    }
+    if (await twoFactorService.isRequiredFor(user.role)) {
+        return { twoFactorSetupRequired: true, challengeToken: twoFactorService.createChallenge(user, 'setup') };
+    }
+    return null;
+};
+
+// Finish a login: record it, start a session and send the user
+const completeLogin = async (user, req, res, extra = {}) => {
+    user.lastLogin = new Date();
+    await user.save();
+
+    const { accessToken } = await startSession(user, req, res);
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        user: user.toPublicJSON(),
+        accessToken,
+        ...extra,
+    });
+};
+
+// Clear both auth cookies
+const clearAuthCookies = (res) => {
+    res.cookie('accessToken', '', { ...cookieOptions, maxAge: 0 });
+    res.cookie('refreshToken', '', { ...cookieOptions, maxAge: 0 });
+};
+
+// Email a fresh verification link (non-blocking)
+const sendVerificationEmail = async (user) => {
+    const token = user.createEmailVerificationToken();
+    await user.save();
+
+    emailService.sendEmailVerification(user.email, user.name, `${CLIENT_URL}/verify-email/${token}`)
+        .catch(err => console.error('Verification email error:', err));
+};
+
 /**
  * @desc    Register new user with email/password
  * @route   POST /api/auth/register
@@ -43,18 +109,14 @@ const register = asyncHandler(async (req, res) => {
         authProvider: 'local',
     });
 
-    // Generate tokens
-    const accessToken = user.generateAuthToken();
-    const refreshToken = user.generateRefreshToken();
-    await user.save();
+    await sendVerificationEmail(user);
 
-    // Set cookies
-    res.cookie('accessToken', accessToken, cookieOptions);
-    res.cookie('refreshToken', refreshToken, { ...cookieOptions, maxAge: 30 * 24 * 60 * 60 * 1000 });
+    // Start a session and set cookies
+    const { accessToken } = await startSession(user, req, res);
 
     res.status(201).json({
         success: true,
-        message: 'Registration successful',
+        message: 'Registration successful. Please check your email to verify your account.',
         user: user.toPublicJSON(),
         accessToken,
     });
@@ -78,24 +140,24 @@ const login = asyncHandler(async (req, res, next) => {
             });
         }
 
-        // Update last login
-        user.lastLogin = new Date();
-        
-        // Generate tokens
-        const accessToken = user.generateAuthToken();
-        const refreshToken = user.generateRefreshToken();
-        await user.save();
-
-        // Set cookies
-        res.cookie('accessToken', accessToken, cookieOptions);
-        res.cookie('refreshToken', refreshToken, { ...cookieOptions, maxAge: 30 * 24 * 60 * 60 * 1000 });
-
-        res.json({
-            success: true,
-            message: 'Login successful',
-            user: user.toPublicJSON(),
-            accessToken,
-        });
+        try {
+            // Password was right, but a second factor is still needed: no session yet
+            const challenge = await getTwoFactorChallenge(user);
+            if (challenge) {
+                return res.json({
+                    success: true,
+                    message: challenge.twoFactorRequired
+                        ? 'Enter the code from your authenticator app'
+                        : 'Two-factor authentication must be set up for your account',
+                    ...challenge,
+                });
+            }
+
+            // Update last login, start a session for this device and set cookies
+            await completeLogin(user, req, res);
+        } catch (error) {
+            next(error);
+        }
     })(req, res, next);
 });
 
@@ -112,20 +174,17 @@ const getMe = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Logout user
+ * @desc    Logout user (ends the current device's session)
  * @route   POST /api/auth/logout
  * @access  Private
  */
 const logout = asyncHandler(async (req, res) => {
-    // Clear refresh token in database
-    if (req.user) {
-        req.user.refreshToken = undefined;
-        await req.user.save();
+    if (req.sessionId) {
+        await sessionService.revoke(req.sessionId, 'logout', req.user._id);
     }
 
     // Clear cookies
-    res.cookie('accessToken', '', { ...cookieOptions, maxAge: 0 });
-    res.cookie('refreshToken', '', { ...cookieOptions, maxAge: 0 });
+    clearAuthCookies(res);
 
     res.json({
         success: true,
@@ -135,37 +194,96 @@ const logout = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Refresh access token
+ *          The refresh token is rotated on every use; replaying an old one revokes the session
  * @route   POST /api/auth/refresh
  * @access  Public (with refresh token)
  */
 const refreshToken = asyncHandler(async (req, res) => {
+    const fromBody = !req.cookies?.refreshToken && Boolean(req.body.refreshToken);
     const token = req.cookies?.refreshToken || req.body.refreshToken;
 
     if (!token) {
         throw new ApiError(401, 'No refresh token provided');
     }
 
+    let rotated;
     try {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        rotated = await sessionService.rotate(token, req);
+    } catch (error) {
+        clearAuthCookies(res);
+        throw error;
+    }
 
-        const user = await User.findById(decoded.id).select('+refreshToken');
-        
-        if (!user || user.refreshToken !== token) {
-            throw new ApiError(401, 'Invalid refresh token');
-        }
+    const { user, session, refreshToken: newRefreshToken } = rotated;
+    const accessToken = user.generateAuthToken(session._id);
 
-        // Generate new access token
-        const accessToken = user.generateAuthToken();
-        res.cookie('accessToken', accessToken, cookieOptions);
+    res.cookie('accessToken', accessToken, cookieOptions);
+    res.cookie('refreshToken', newRefreshToken, refreshCookieOptions);
 
-        res.json({
-            success: true,
-            accessToken,
-        });
-    } catch (error) {
-        throw new ApiError(401, 'Invalid or expired refresh token');
+    res.json({
+        success: true,
+        accessToken,
+        // Clients that don't use cookies must store the rotated token
+        ...(fromBody && { refreshToken: newRefreshToken }),
+    });
+});
+
+/**
+ * @desc    List current user's active sessions (devices)
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await sessionService.listSessions(req.user._id);
+
+    res.json({
+        success: true,
+        count: sessions.length,
+        sessions: sessions.map(session => ({
+            _id: session._id,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastSeenAt: session.lastSeenAt,
+            current: session._id.toString() === req.sessionId,
+        })),
+    });
+});
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+    const revoked = await sessionService.revoke(req.params.id, 'user_revoked', req.user._id);
+
+    if (!revoked) {
+        throw new ApiError(404, 'Session not found');
+    }
+
+    if (req.params.id === req.sessionId) {
+        clearAuthCookies(res);
     }
+
+    res.json({
+        success: true,
+        message: 'Session revoked',
+    });
+});
+
+/**
+ * @desc    Revoke all of the current user's other sessions
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+    const count = await sessionService.revokeAll(req.user._id, 'user_revoked', req.sessionId);
+
+    res.json({
+        success: true,
+        message: `Signed out of ${count} other session(s)`,
+    });
 });
 
 /**
@@ -175,18 +293,25 @@ const refreshToken = asyncHandler(async (req, res) => {
  */
 const googleCallback = asyncHandler(async (req, res) => {
     const user = req.user;
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
 
-    // Generate tokens
-    const accessToken = user.generateAuthToken();
-    const refreshToken = user.generateRefreshToken();
-    await user.save();
+    // Linked from account settings: the user is already signed in on this device
+    if (req.authInfo?.linked) {
+        res.cookie('linkToken', '', { ...linkCookieOptions, maxAge: 0 });
+        return res.redirect(`${frontendUrl}/account/linked-accounts?linked=${req.authInfo.linked}`);
+    }
 
-    // Set cookies
-    res.cookie('accessToken', accessToken, cookieOptions);
-    res.cookie('refreshToken', refreshToken, { ...cookieOptions, maxAge: 30 * 24 * 60 * 60 * 1000 });
+    // Staff with two-factor continue on the 2FA screen instead of getting a session
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+        const step = challenge.twoFactorRequired ? 'verify' : 'setup';
+        return res.redirect(`${frontendUrl}/auth/2fa?step=${step}&challenge=${challenge.challengeToken}`);
+    }
+
+    // Start a session and set cookies
+    await startSession(user, req, res);
 
     // Redirect to frontend with success
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
     res.redirect(`${frontendUrl}/auth/callback?success=true`);
 });
 
@@ -197,18 +322,25 @@ const googleCallback = asyncHandler(async (req, res) => {
  */
 const facebookCallback = asyncHandler(async (req, res) => {
     const user = req.user;
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
 
-    // Generate tokens
-    const accessToken = user.generateAuthToken();
-    const refreshToken = user.generateRefreshToken();
-    await user.save();
+    // Linked from account settings: the user is already signed in on this device
+    if (req.authInfo?.linked) {
+        res.cookie('linkToken', '', { ...linkCookieOptions, maxAge: 0 });
+        return res.redirect(`${frontendUrl}/account/linked-accounts?linked=${req.authInfo.linked}`);
+    }
 
-    // Set cookies
-    res.cookie('accessToken', accessToken, cookieOptions);
-    res.cookie('refreshToken', refreshToken, { ...cookieOptions, maxAge: 30 * 24 * 60 * 60 * 1000 });
+    // Staff with two-factor continue on the 2FA screen instead of getting a session
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+        const step = challenge.twoFactorRequired ? 'verify' : 'setup';
+        return res.redirect(`${frontendUrl}/auth/2fa?step=${step}&challenge=${challenge.challengeToken}`);
+    }
+
+    // Start a session and set cookies
+    await startSession(user, req, res);
 
     // Redirect to frontend with success
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
     res.redirect(`${frontendUrl}/auth/callback?success=true`);
 });
 
@@ -227,8 +359,8 @@ const updatePassword = asyncHandler(async (req, res) => {
     // Get user with password
     const user = await User.findById(req.user._id).select('+password');
 
-    if (user.authProvider !== 'local') {
-        throw new ApiError(400, `Password cannot be changed for ${user.authProvider} accounts`);
+    if (!user.hasLoginMethod('local') || !user.password) {
+        throw new ApiError(400, 'Your account has no password. Link email and password sign-in first.');
     }
 
     // Check current password
@@ -241,9 +373,8 @@ const updatePassword = asyncHandler(async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    // Generate new tokens
-    const accessToken = user.generateAuthToken();
-    res.cookie('accessToken', accessToken, cookieOptions);
+    // Sign out every other device
+    await sessionService.revokeAll(user._id, 'password_changed', req.sessionId);
 
     res.json({
         success: true,
@@ -251,6 +382,312 @@ const updatePassword = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc    Request a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        throw new ApiError(400, 'Please provide your email');
+    }
+
+    // Same response whether or not the account exists, so emails can't be enumerated
+    const message = 'If an account exists for this email, a password reset link has been sent';
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || !user.hasLoginMethod('local')) {
+        return res.json({ success: true, message });
+    }
+
+    const token = user.createPasswordResetToken();
+    await user.save();
+
+    emailService.sendPasswordReset(user.email, user.name, `${CLIENT_URL}/reset-password/${token}`)
+        .catch(err => console.error('Password reset email error:', err));
+
+    res.json({ success: true, message });
+});
+
+/**
+ * @desc    Set a new password with a reset token
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+    const { password } = req.body;
+
+    if (!password || password.length < 6) {
+        throw new ApiError(400, 'Password must be at least 6 characters');
+    }
+
+    // Consume the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+        {
+            passwordResetToken: User.hashToken(req.params.token),
+            passwordResetExpires: { $gt: new Date() },
+        },
+        { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+        { new: true }
+    );
+
+    if (!user) {
+        throw new ApiError(400, 'Password reset link is invalid or has expired');
+    }
+
+    // The reset link proves ownership of the email; sign out every session
+    user.password = password;
+    user.isVerified = true;
+    await user.save();
+
+    await sessionService.revokeAll(user._id, 'password_reset');
+    clearAuthCookies(res);
+
+    res.json({
+        success: true,
+        message: 'Password has been reset. Please log in with your new password.',
+    });
+});
+
+/**
+ * @desc    Verify email address with a verification token
+ * @route   POST /api/auth/verify-email/:token
+ * @access  Public
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+    // Consume the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+        {
+            emailVerificationToken: User.hashToken(req.params.token),
+            emailVerificationExpires: { $gt: new Date() },
+        },
+        {
+            isVerified: true,
+            $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+        },
+        { new: true }
+    );
+
+    if (!user) {
+        throw new ApiError(400, 'Verification link is invalid or has expired');
+    }
+
+    emailService.sendWelcomeEmail(user.email, user.name);
+
+    res.json({
+        success: true,
+        message: 'Email verified successfully',
+        user: user.toPublicJSON(),
+    });
+});
+
+/**
+ * @desc    Resend the email verification link
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Private
+ */
+const resendVerification = asyncHandler(async (req, res) => {
+    if (req.user.isVerified) {
+        throw new ApiError(400, 'Email is already verified');
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+        success: true,
+        message: 'Verification email sent',
+    });
+});
+
+// User enrolling in 2FA: the logged-in user, or one holding a setup challenge from login
+const getEnrollingUser = async (req) => {
+    if (req.body.challengeToken) {
+        return twoFactorService.readChallenge(req.body.challengeToken, 'setup');
+    }
+    if (!req.user) {
+        throw new ApiError(401, 'Not authorized. Please log in.');
+    }
+    return req.user;
+};
+
+/**
+ * @desc    Complete login with a TOTP or recovery code
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public (with challenge token)
+ */
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+        throw new ApiError(400, 'Please provide the challenge token and a code');
+    }
+
+    const user = await twoFactorService.readChallenge(challengeToken, 'verify');
+    const result = await twoFactorService.verify(user._id, { code, recoveryCode });
+
+    await completeLogin(user, req, res, result.method === 'recovery_code'
+        ? { recoveryCodesLeft: result.recoveryCodesLeft }
+        : {});
+});
+
+/**
+ * @desc    Start 2FA enrollment (returns secret and QR code)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private (or setup challenge token)
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    const user = await getEnrollingUser(req);
+    const { secret, otpauthUrl, qrCode } = await twoFactorService.beginEnrollment(user);
+
+    res.json({
+        success: true,
+        secret,
+        otpauthUrl,
+        qrCode,
+    });
+});
+
+/**
+ * @desc    Confirm 2FA enrollment with a code; returns one-time recovery codes
+ *          When enrolling from a login challenge, this also completes the login
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private (or setup challenge token)
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        throw new ApiError(400, 'Please provide the code from your authenticator app');
+    }
+
+    const user = await getEnrollingUser(req);
+    const recoveryCodes = await twoFactorService.confirmEnrollment(user._id, code);
+
+    if (req.body.challengeToken) {
+        const enrolledUser = await User.findById(user._id);
+        return completeLogin(enrolledUser, req, res, { recoveryCodes });
+    }
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        recoveryCodes,
+    });
+});
+
+/**
+ * @desc    Turn off 2FA (not allowed when required for the user's role)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    if (await twoFactorService.isRequiredFor(req.user.role)) {
+        throw new ApiError(403, `Two-factor authentication is required for ${req.user.role} accounts`);
+    }
+
+    if (req.user.hasLoginMethod('local')) {
+        const user = await User.findById(req.user._id).select('+password');
+        if (!password || !(await user.comparePassword(password))) {
+            throw new ApiError(401, 'Password is incorrect');
+        }
+    }
+
+    await twoFactorService.verify(req.user._id, { code, recoveryCode });
+    await twoFactorService.disable(req.user._id);
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication disabled',
+    });
+});
+
+/**
+ * @desc    Replace recovery codes (requires a current TOTP code)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    await twoFactorService.verify(req.user._id, { code: req.body.code });
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id);
+
+    res.json({
+        success: true,
+        recoveryCodes,
+    });
+});
+
+/**
+ * @desc    List the login methods linked to the account
+ * @route   GET /api/auth/linked-accounts
+ * @access  Private
+ */
+const getLinkedAccounts = asyncHandler(async (req, res) => {
+    const accounts = req.user.getLinkedAccounts().map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt }));
+
+    res.json({
+        success: true,
+        linkedAccounts: accounts,
+    });
+});
+
+/**
+ * @desc    Link a login method (requires re-authentication)
+ *          local: sets a password on an OAuth-only account
+ *          google/facebook: returns the URL that starts the OAuth flow in link mode
+ * @route   POST /api/auth/linked-accounts/:provider
+ * @access  Private
+ */
+const linkAccount = asyncHandler(async (req, res) => {
+    const { provider } = req.params;
+    accountLinkService.assertProvider(provider);
+
+    if (req.user.hasLoginMethod(provider)) {
+        throw new ApiError(400, `${provider} is already linked to your account`);
+    }
+
+    await accountLinkService.assertReauthenticated(req.user, req.sessionId, req.body);
+
+    if (provider === 'local') {
+        const user = await accountLinkService.linkPassword(req.user._id, req.body.newPassword);
+        return res.json({
+            success: true,
+            message: 'Email and password sign-in added',
+            user: user.toPublicJSON(),
+        });
+    }
+
+    const linkToken = await accountLinkService.createLinkToken(req.user, provider);
+    res.cookie('linkToken', linkToken, linkCookieOptions);
+
+    res.json({
+        success: true,
+        redirectUrl: `/api/auth/${provider}?link=${linkToken}`,
+    });
+});
+
+/**
+ * @desc    Unlink a login method (requires re-authentication; the last method can't be removed)
+ * @route   DELETE /api/auth/linked-accounts/:provider
+ * @access  Private
+ */
+const unlinkAccount = asyncHandler(async (req, res) => {
+    const { provider } = req.params;
+    accountLinkService.assertProvider(provider);
+
+    await accountLinkService.assertReauthenticated(req.user, req.sessionId, req.body);
+    const user = await accountLinkService.unlink(req.user._id, provider);
+
+    res.json({
+        success: true,
+        message: `${provider} sign-in removed`,
+        user: user.toPublicJSON(),
+    });
+});
+
 module.exports = {
     register,
     login,
@@ -260,4 +697,19 @@ module.exports = {
     googleCallback,
     facebookCallback,
     updatePassword,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    verifyTwoFactorLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    getLinkedAccounts,
+    linkAccount,
+    unlinkAccount,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
 };
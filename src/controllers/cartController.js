@@ -1,12 +1,47 @@
 const { AbandonedCart, Cart, Product } = require('../models');
 const asyncHandler = require('../utils/asyncHandler');
 const { ApiResponse, ApiError } = require('../utils/ApiResponse');
+const pricingService = require('../services/pricingService');
+const promotionService = require('../services/promotionService');
 
 /**
  * Cart Controller
  * Handles cart tracking, abandoned cart functionality, and persistent user carts
  */
 
+// Preview automatic promotions for a populated cart (checkout re-quotes the order)
+const getCartPromotions = async (cart) => {
+    const items = cart.items
+        .filter(item => item.product?.variants?.some(v => v._id.toString() === item.variantId))
+        .map(item => ({
+            productId: item.product._id,
+            variantId: item.variantId,
+            quantity: item.quantity,
+        }));
+
+    if (items.length === 0) {
+        return { applied: [], skipped: [], subtotal: 0, discount: 0, freeShipping: false, lines: [] };
+    }
+
+    const { lineItems, subtotal } = await pricingService.priceItems(items);
+    const result = await promotionService.evaluate(lineItems);
+
+    return {
+        applied: result.applied,
+        skipped: result.skipped,
+        subtotal,
+        discount: result.discount,
+        freeShipping: result.freeShipping,
+        lines: lineItems.map((line, i) => ({
+            productId: line.productId,
+            variantId: line.variantId,
+            name: line.name,
+            lineTotal: line.totalPrice,
+            discount: result.lineDiscounts[i],
+        })),
+    };
+};
+
 /**
  * @desc    Get authenticated user's cart
  * @route   GET /api/cart
@@ -32,7 +67,9 @@ const getCart = asyncHandler(async (req, res) => {
         return res.json({ success: true, data: { items: [] } });
     }
 
-    res.json({ success: true, data: cart });
+    const promotions = await getCartPromotions(cart);
+
+    res.json({ success: true, data: cart, promotions });
 });
 
 /**
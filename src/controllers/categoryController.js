@@ -1,6 +1,9 @@
 const Category = require('../models/Category');
 const asyncHandler = require('../utils/asyncHandler');
 const { ApiError } = require('../utils/ApiResponse');
+const trashService = require('../services/trashService');
+const attributeCatalogService = require('../services/attributeCatalogService');
+const auditService = require('../services/auditService');
 
 // Helper to create nested categories
 const createCategories = (categories, parentId = null) => {
@@ -72,9 +75,11 @@ const getCategoryById = asyncHandler(async (req, res) => {
 const createCategory = asyncHandler(async (req, res) => {
     const { name, parent, image, icon, description, showInHeader, showInSidebar, order } = req.body;
 
-    const categoryExists = await Category.findOne({ name });
+    const categoryExists = await Category.findOne({ name }).withDeleted();
     if (categoryExists) {
-        throw new ApiError(400, 'Category already exists');
+        throw new ApiError(400, categoryExists.deletedAt
+            ? 'A deleted category with this name exists. Restore it instead.'
+            : 'Category already exists');
     }
 
     const category = await Category.create({
@@ -103,9 +108,12 @@ const updateCategory = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'Category not found');
     }
 
+    // The attribute catalog is changed through PUT /api/categories/:id/attributes
+    const { attributes, ...updates } = req.body;
+
     const updatedCategory = await Category.findByIdAndUpdate(
         req.params.id,
-        req.body,
+        updates,
         { new: true, runValidators: true }
     );
 
@@ -113,7 +121,53 @@ const updateCategory = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Delete category
+ * @desc    Get a category's attribute catalog (own attributes and the effective, inherited list)
+ * @route   GET /api/categories/:id/attributes
+ * @access  Public
+ */
+const getCategoryAttributes = asyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id).select('name slug attributes');
+
+    if (!category) {
+        throw new ApiError(404, 'Category not found');
+    }
+
+    const catalog = await attributeCatalogService.getCatalog([category._id]);
+
+    res.json({ success: true, data: { attributes: category.attributes, catalog } });
+});
+
+/**
+ * @desc    Replace a category's attribute catalog
+ * @route   PUT /api/categories/:id/attributes
+ * @access  Private/Admin
+ */
+const updateCategoryAttributes = asyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+        throw new ApiError(404, 'Category not found');
+    }
+
+    const before = { attributes: category.toObject().attributes };
+    category.attributes = attributeCatalogService.sanitizeDefinitions(req.body.attributes);
+    await category.save();
+
+    await auditService.record(req, {
+        action: 'category.attributes_update',
+        resourceType: 'Category',
+        resourceId: category._id,
+        before,
+        after: { attributes: category.toObject().attributes },
+    });
+
+    const catalog = await attributeCatalogService.getCatalog([category._id]);
+
+    res.json({ success: true, data: { attributes: category.attributes, catalog } });
+});
+
+/**
+ * @desc    Delete category (moved to the trash until restored or purged)
  * @route   DELETE /api/categories/:id
  * @access  Private/Admin
  */
@@ -127,15 +181,48 @@ const deleteCategory = asyncHandler(async (req, res) => {
     // Optional: Prevent deleting categories with children or products?
     // For now, allow delete.
     
-    await Category.deleteOne({ _id: req.params.id });
+    await trashService.moveToTrash(req, 'categories', [category._id]);
 
     res.json({ success: true, message: 'Category removed' });
 });
 
+/**
+ * @desc    Get deleted categories
+ * @route   GET /api/categories/trash
+ * @access  Private/Admin
+ * @query   search, page, limit
+ */
+const getTrashedCategories = asyncHandler(async (req, res) => {
+    const { items, retentionDays, pagination } = await trashService.list('categories', req.query);
+
+    res.json({ success: true, count: items.length, data: items, retentionDays, pagination });
+});
+
+/**
+ * @desc    Restore a deleted category
+ * @route   POST /api/categories/:id/restore
+ * @access  Private/Admin
+ */
+const restoreCategory = asyncHandler(async (req, res) => {
+    const restoredCount = await trashService.restore(req, 'categories', [req.params.id]);
+
+    if (!restoredCount) {
+        throw new ApiError(404, 'Deleted category not found');
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    res.json({ success: true, data: category, message: 'Category restored' });
+});
+
 module.exports = {
     getAllCategories,
     getCategoryById,
     createCategory,
     updateCategory,
     deleteCategory,
+    getCategoryAttributes,
+    updateCategoryAttributes,
+    getTrashedCategories,
+    restoreCategory,
 };
@@ -1,5 +1,20 @@
 const { AbandonedCart } = require('../models');
 const asyncHandler = require('../utils/asyncHandler');
+const creditService = require('../services/creditService');
+const trashService = require('../services/trashService');
+
+// Verify it's a legitimate cron request (Vercel sends this header).
+// requireSecret: destructive jobs never run without a configured, matching secret.
+const isAuthorizedCron = (req, { requireSecret = false } = {}) => {
+    const authHeader = req.headers.authorization;
+    if (requireSecret) {
+        return Boolean(process.env.CRON_SECRET) && authHeader === `Bearer ${process.env.CRON_SECRET}`;
+    }
+    if (authHeader === `Bearer ${process.env.CRON_SECRET}`) return true;
+
+    // Allow in development or if no secret configured
+    return !(process.env.NODE_ENV === 'production' && process.env.CRON_SECRET);
+};
 
 /**
  * @desc    Process abandoned carts (called by Vercel Cron)
@@ -7,13 +22,8 @@ const asyncHandler = require('../utils/asyncHandler');
  * @access  Internal (Vercel Cron)
  */
 const processAbandonedCarts = asyncHandler(async (req, res) => {
-    // Verify it's a legitimate cron request (Vercel sends this header)
-    const authHeader = req.headers.authorization;
-    if (authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
-        // Allow in development or if no secret configured
-        if (process.env.NODE_ENV === 'production' && process.env.CRON_SECRET) {
-            return res.status(401).json({ error: 'Unauthorized' });
-        }
+    if (!isAuthorizedCron(req)) {
+        return res.status(401).json({ error: 'Unauthorized' });
     }
 
     const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
@@ -35,4 +45,45 @@ const processAbandonedCarts = asyncHandler(async (req, res) => {
     });
 });
 
-module.exports = { processAbandonedCarts };
+/**
+ * @desc    Expire gift card and store credit balances past their expiry date
+ * @route   GET /api/cron/expire-credits
+ * @access  Internal (Vercel Cron)
+ */
+const expireCredits = asyncHandler(async (req, res) => {
+    if (!isAuthorizedCron(req)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const expiredCount = await creditService.expireAccounts();
+
+    res.json({
+        success: true,
+        message: `Expired ${expiredCount} credit balances`,
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * @desc    Permanently delete trashed products, orders and categories past the retention period
+ * @route   GET /api/cron/purge-trash
+ * @access  Internal (Vercel Cron)
+ */
+const purgeTrash = asyncHandler(async (req, res) => {
+    // Permanently deletes orders, products and categories
+    if (!isAuthorizedCron(req, { requireSecret: true })) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { purged, skipped } = await trashService.purgeExpired(req);
+
+    res.json({
+        success: true,
+        message: `Purged ${purged.orders} orders, ${purged.products} products and ${purged.categories} categories`,
+        purged,
+        skipped,
+        timestamp: new Date().toISOString()
+    });
+});
+
+module.exports = { processAbandonedCarts, expireCredits, purgeTrash };
@@ -0,0 +1,241 @@
+const { CreditAccount, User } = require('../models');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/ApiResponse');
+const stripe = require('../config/stripe');
+const creditService = require('../services/creditService');
+const emailService = require('../services/emailService');
+
+/**
+ * Gift Card Controller
+ * Gift card purchase and balance checks, customer store credit,
+ * and staff issuing / voiding of cards and credit
+ */
+
+// Purchase limits for gift cards bought online (BDT)
+const MIN_GIFT_CARD_AMOUNT = 100;
+const MAX_GIFT_CARD_AMOUNT = 50000;
+
+/**
+ * @desc    Start a gift card purchase (card is issued by the Stripe webhook on success)
+ * @route   POST /api/gift-cards/purchase
+ * @access  Public
+ */
+const purchaseGiftCard = asyncHandler(async (req, res) => {
+    const { amount, recipientEmail, message } = req.body;
+    const value = Number(amount);
+
+    if (!(value >= MIN_GIFT_CARD_AMOUNT && value <= MAX_GIFT_CARD_AMOUNT)) {
+        throw new ApiError(400, `Gift card amount must be between ৳${MIN_GIFT_CARD_AMOUNT} and ৳${MAX_GIFT_CARD_AMOUNT}`);
+    }
+
+    if (!recipientEmail || !/^\S+@\S+\.\S+$/.test(recipientEmail)) {
+        throw new ApiError(400, 'Please provide a valid recipient email');
+    }
+
+    const paymentIntent = await stripe.paymentIntents.create({
+        currency: 'bdt',
+        amount: Math.round(value * 100),
+        payment_method_types: ['card'],
+        metadata: {
+            type: 'gift_card',
+            recipientEmail: recipientEmail.toLowerCase(),
+            purchaserId: req.user?._id?.toString() || 'guest',
+            message: (message || '').slice(0, 300),
+        },
+    });
+
+    res.json({
+        success: true,
+        clientSecret: paymentIntent.client_secret,
+        amount: value,
+    });
+});
+
+/**
+ * @desc    Check a gift card balance
+ * @route   POST /api/gift-cards/balance
+ * @access  Public
+ */
+const checkGiftCardBalance = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        throw new ApiError(400, 'Gift card code is required');
+    }
+
+    const account = await CreditAccount.findOne({ kind: 'gift_card', code: String(code).trim().toUpperCase() });
+    if (!account) {
+        throw new ApiError(404, 'Invalid gift card');
+    }
+
+    res.json({
+        success: true,
+        giftCard: {
+            code: account.code,
+            balance: account.balance,
+            currency: account.currency,
+            status: account.isExpired ? 'expired' : account.status,
+            expiresAt: account.expiresAt,
+        },
+    });
+});
+
+/**
+ * @desc    Get current user's store credit balance and history
+ * @route   GET /api/gift-cards/store-credit/me
+ * @access  Private
+ */
+const getMyStoreCredit = asyncHandler(async (req, res) => {
+    const account = await CreditAccount.findOne({ kind: 'store_credit', user: req.user._id });
+
+    res.json({
+        success: true,
+        balance: account?.isUsable ? account.balance : 0,
+        expiresAt: account?.expiresAt || null,
+        ledger: account ? await creditService.getLedger(account._id) : [],
+    });
+});
+
+/**
+ * @desc    Get all gift cards / store credit accounts
+ * @route   GET /api/gift-cards
+ * @access  Private/Staff
+ * @query   kind, status, search
+ */
+const getAllGiftCards = asyncHandler(async (req, res) => {
+    const { kind = 'gift_card', status, search } = req.query;
+
+    const filter = { kind };
+    if (status && status !== 'all') filter.status = status;
+    if (search) {
+        const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        filter.$or = [
+            { code: { $regex: escaped, $options: 'i' } },
+            { recipientEmail: { $regex: escaped, $options: 'i' } },
+        ];
+    }
+
+    const accounts = await CreditAccount.find(filter)
+        .populate('user', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(200);
+
+    res.json({
+        success: true,
+        count: accounts.length,
+        accounts,
+    });
+});
+
+/**
+ * @desc    Get a gift card / store credit account with its ledger
+ * @route   GET /api/gift-cards/:id
+ * @access  Private/Staff
+ */
+const getGiftCardById = asyncHandler(async (req, res) => {
+    const account = await CreditAccount.findById(req.params.id).populate('user', 'name email');
+
+    if (!account) {
+        throw new ApiError(404, 'Gift card not found');
+    }
+
+    res.json({
+        success: true,
+        account,
+        ledger: await creditService.getLedger(account._id),
+    });
+});
+
+/**
+ * @desc    Issue a gift card
+ * @route   POST /api/gift-cards
+ * @access  Private/Admin
+ */
+const issueGiftCard = asyncHandler(async (req, res) => {
+    const { amount, recipientEmail, expiresAt, note, sendEmail = true } = req.body;
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+        throw new ApiError(400, 'Expiry date must be in the future');
+    }
+
+    const account = await creditService.issueGiftCard({
+        amount,
+        recipientEmail,
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        note,
+        source: 'admin',
+        actorId: req.user._id,
+    });
+
+    if (sendEmail && account.recipientEmail) {
+        emailService.sendGiftCard({
+            email: account.recipientEmail,
+            code: account.code,
+            amount: account.balance,
+            expiresAt: account.expiresAt,
+        }).catch(err => console.error('Gift card email error:', err));
+    }
+
+    res.status(201).json({
+        success: true,
+        account,
+    });
+});
+
+/**
+ * @desc    Add store credit to a customer
+ * @route   POST /api/gift-cards/store-credit
+ * @access  Private/Admin
+ */
+const issueStoreCredit = asyncHandler(async (req, res) => {
+    const { userId, amount, note } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+        throw new ApiError(404, 'User not found');
+    }
+
+    const account = await creditService.issueStoreCredit(user._id, amount, {
+        note,
+        actorId: req.user._id,
+    });
+
+    res.status(201).json({
+        success: true,
+        account,
+    });
+});
+
+/**
+ * @desc    Void a gift card / store credit account
+ * @route   POST /api/gift-cards/:id/void
+ * @access  Private/Admin
+ */
+const voidGiftCard = asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+
+    if (!reason) {
+        throw new ApiError(400, 'Please provide a reason for voiding');
+    }
+
+    const account = await creditService.voidAccount(req.params.id, {
+        reason,
+        actorId: req.user._id,
+    });
+
+    res.json({
+        success: true,
+        account,
+    });
+});
+
+module.exports = {
+    purchaseGiftCard,
+    checkGiftCardBalance,
+    getMyStoreCredit,
+    getAllGiftCards,
+    getGiftCardById,
+    issueGiftCard,
+    issueStoreCredit,
+    voidGiftCard,
+};
@@ -0,0 +1,86 @@
+const asyncHandler = require('../utils/asyncHandler');
+const { clearCache } = require('../middleware/cacheMiddleware');
+const inventoryService = require('../services/inventoryService');
+const auditService = require('../services/auditService');
+
+/**
+ * Inventory Controller
+ * Per-variant stock history, manual adjustments and purchase order receipts.
+ */
+
+/**
+ * @desc    Stock movement history of a variant, with totals per movement type
+ * @route   GET /api/products/:id/variants/:variantId/stock-movements
+ * @access  Private (view:all_products)
+ * @query   type (comma-separated), from, to, page, limit
+ */
+const getStockMovements = asyncHandler(async (req, res) => {
+    const result = await inventoryService.getMovements(req.params.id, req.params.variantId, req.query);
+
+    res.json({ success: true, ...result });
+});
+
+/**
+ * @desc    Adjust a variant's stock by a quantity, or set it from a physical count
+ * @route   POST /api/products/:id/variants/:variantId/stock-adjustments
+ * @access  Private (update:product)
+ * @body    quantity or countedStock, reason, note
+ */
+const adjustStock = asyncHandler(async (req, res) => {
+    const { quantity, countedStock, reason, note } = req.body;
+
+    const { movement, previousStock } = await inventoryService.adjustStock(req.params.id, req.params.variantId, {
+        quantity,
+        countedStock,
+        reason,
+        note,
+        actorId: req.user._id,
+    });
+
+    await auditService.record(req, {
+        action: 'stock.adjust',
+        resourceType: 'Product',
+        resourceId: movement.product,
+        before: { variant: movement.variant, stock: previousStock },
+        after: { variant: movement.variant, stock: movement.stockAfter, reason: movement.reason },
+    });
+
+    clearCache('products');
+
+    res.status(201).json({ success: true, movement });
+});
+
+/**
+ * @desc    Receive stock from a purchase order
+ * @route   POST /api/products/:id/variants/:variantId/stock-receipts
+ * @access  Private (update:product)
+ * @body    quantity, reference (purchase order number), note
+ */
+const receiveStock = asyncHandler(async (req, res) => {
+    const { quantity, reference, note } = req.body;
+
+    const { movement, previousStock } = await inventoryService.receiveStock(req.params.id, req.params.variantId, {
+        quantity,
+        reference,
+        note,
+        actorId: req.user._id,
+    });
+
+    await auditService.record(req, {
+        action: 'stock.receive',
+        resourceType: 'Product',
+        resourceId: movement.product,
+        before: { variant: movement.variant, stock: previousStock },
+        after: { variant: movement.variant, stock: movement.stockAfter, reference: movement.reference },
+    });
+
+    clearCache('products');
+
+    res.status(201).json({ success: true, movement });
+});
+
+module.exports = {
+    getStockMovements,
+    adjustStock,
+    receiveStock,
+};
@@ -1,8 +1,19 @@
-const { Order, Product } = require('../models');
+const { Order } = require('../models');
 const mongoose = require('mongoose');
 const asyncHandler = require('../utils/asyncHandler');
 const { ApiResponse, ApiError } = require('../utils/ApiResponse');
 const emailService = require('../services/emailService');
+const inventoryService = require('../services/inventoryService');
+const orderService = require('../services/orderService');
+const paymentService = require('../services/paymentService');
+const pricingService = require('../services/pricingService');
+const promoService = require('../services/promoService');
+const creditService = require('../services/creditService');
+const auditService = require('../services/auditService');
+const addressService = require('../services/addressService');
+const trashService = require('../services/trashService');
+const { ORDER_STATUS, ORDER_STATUSES } = require('../constants/orderStatus');
+const { assertOwnEmail } = require('../utils/ownership');
 
 /**
  * @desc    Get all orders
@@ -61,9 +72,13 @@ const searchOrders = asyncHandler(async (req, res) => {
 /**
  * @desc    Get orders by email
  * @route   GET /api/orders/user/:email
- * @access  Private/Admin
+ * @access  Private (own orders, or staff)
  */
 const getOrdersByEmail = asyncHandler(async (req, res) => {
+    if (req.requireOwnership) {
+        assertOwnEmail(req.user, req.params.email, 'You can only view your own orders');
+    }
+
     const orders = await Order.find({ email: req.params.email }).sort({ createdAt: -1 });
     res.json(orders);
 });
@@ -71,11 +86,14 @@ const getOrdersByEmail = asyncHandler(async (req, res) => {
 /**
  * @desc    Get order by ID
  * @route   GET /api/orders/:id
- * @access  Private
+ * @access  Private (own orders, or staff)
  */
 const getOrderById = asyncHandler(async (req, res) => {
     const order = await Order.findById(req.params.id);
     if (!order) throw new ApiError(404, 'Order not found');
+    if (req.requireOwnership) {
+        assertOwnEmail(req.user, order.email, 'You can only view your own orders');
+    }
     res.json(order);
 });
 
@@ -90,9 +108,10 @@ const generateOrderId = async () => {
     const dd = String(date.getDate()).padStart(2, '0');
     const todayPrefix = `ORD${yyyy}${mm}${dd}`;
 
+    // Trashed orders still hold their IDs
     const lastOrder = await Order.findOne({ 
         orderId: { $regex: new RegExp(`^${todayPrefix}`) } 
-    }).sort({ createdAt: -1 });
+    }).withDeleted().sort({ createdAt: -1 });
 
     let nextNum = 1;
     if (lastOrder && lastOrder.orderId) {
@@ -111,95 +130,95 @@ const generateOrderId = async () => {
  * @access  Public
  */
 const createOrder = asyncHandler(async (req, res) => {
-    const { items, amount, ...otherOrderData } = req.body;
+    // Client-sent totals are ignored: pricing, shipping and discount are computed server-side
+    const {
+        items, amount, paymentIntentId, payment, promoCode, giftCards, useStoreCredit,
+        shippingCost, discountAmount, pricing, tenders, addressId, shippingAddress, ...otherOrderData
+    } = req.body;
     
     if (!items || !Array.isArray(items) || items.length === 0) {
         throw new ApiError(400, 'Order items are required');
     }
 
-    // 1. Server-Side Price & Stock Validation (Source of Truth)
-    let validatedTotal = 0;
-    const validatedItems = [];
-
-    for (const item of items) {
-        const product = await Product.findById(item.productId);
-        if (!product) {
-            throw new ApiError(404, `Product not found: ${item.name || item.productId}`);
-        }
-
-        // Find specific variant
-        const variant = product.variants.find(v => v._id.toString() === item.variantId);
-        if (!variant) {
-            throw new ApiError(404, `Variant not found for product ${product.name}`);
+    // A saved address from the customer's address book replaces typed-in delivery details
+    if (addressId) {
+        if (!req.user) {
+            throw new ApiError(401, 'Sign in to use a saved address');
         }
+        const address = await addressService.get(req.user._id, addressId);
+        addressService.assertDeliverable(address);
+        Object.assign(otherOrderData, addressService.toOrderFields(address));
+    }
 
-        // Check stock
-        if (variant.stock < item.quantity) {
-            throw new ApiError(400, `Insufficient stock for ${product.name} (${variant.sku || ''})`);
-        }
+    // 1. Server-Side Quote: prices, stock, promotions, shipping, promo, order limits and tenders (Source of Truth)
+    const customer = { userId: req.user?._id, email: otherOrderData.email };
+    const quote = await pricingService.quote({ items, promoCode, customer, giftCards, useStoreCredit });
+    const validatedItems = quote.lineItems;
 
-        const unitPrice = variant.salePrice > 0 ? variant.salePrice : variant.regularPrice;
-        const itemTotal = unitPrice * item.quantity;
-        validatedTotal += itemTotal;
-
-        validatedItems.push({
-            productId: product._id,
-            variantId: variant._id,
-            name: product.name,
-            sku: variant.sku,
-            image: variant.images?.[0] || product.images?.[0],
-            price: unitPrice,
-            quantity: item.quantity,
-            totalPrice: itemTotal,
-            // Keep legacy fields for compatibility if needed
-            brand: product.brand,
-            cat: product.category?.toString()
-        });
+    if (quote.outOfStock.length > 0) {
+        throw new ApiError(409, 'Some items are out of stock', quote.outOfStock);
     }
 
-    // 2. Validate Final Amount (Prevention of Price Injection)
-    // Here we could add shipping/discount logic
-    const shipping = otherOrderData.shippingCost || 0; // Should also be validated server-side if dynamic
-    const finalAmount = validatedTotal + shipping;
+    // 2. Final Amount (Prevention of Price Injection): what is left after gift cards / store credit
+    const finalAmount = quote.pricing.amountDue;
+
+    // Link the Stripe PaymentIntent (card) so webhooks can reconcile this order
+    const intentId = paymentIntentId || (otherOrderData.transactionId?.startsWith('pi_') ? otherOrderData.transactionId : null);
+    let orderPayment;
+    if (finalAmount === 0) {
+        orderPayment = { method: 'credit', status: 'succeeded', amount: 0, currency: 'bdt', paidAt: new Date() };
+    } else if (intentId) {
+        orderPayment = await paymentService.getPaymentForIntent(intentId, finalAmount, customer);
+    } else {
+        orderPayment = { method: 'cod', status: 'pending', amount: finalAmount, currency: 'bdt' };
+    }
 
-    // Check if client-provided amount matches (optional, but good for UX sync check)
-    // We strictly use finalAmount for the actual DB record if it varies.
-    
     // 3. Generate Custom Order ID
     const orderId = await generateOrderId();
 
-    // 4. Create Order Record
-    const order = await Order.create({
-        ...otherOrderData,
-        orderId,
-        items: validatedItems,
-        amount: finalAmount, // Use server-calculated amount
-        orderStatus: 'pending',
-        statusHistory: [{
-            status: 'pending',
-            timestamp: new Date(),
-            note: 'Order placed'
-        }]
-    });
-    
-    // 5. Atomic Stock Update (Decrement Variants)
-    for (const item of validatedItems) {
-        try {
-            await Product.updateOne(
-                { _id: item.productId, 'variants._id': item.variantId },
-                { 
-                    $inc: { 
-                        'variants.$.stock': -item.quantity,
-                        'variants.$.sells': item.quantity
-                    } 
-                }
-            );
-        } catch (err) {
-            console.error(`Failed to update stock for variant ${item.variantId}:`, err);
-        }
+    // 4. Create Order + Reserve Stock (all-or-nothing)
+    // Stock decrements are conditional on available stock; if any variant ran out
+    // between validation and now, the transaction aborts and the order and any
+    // earlier decrements are rolled back.
+    const session = await mongoose.startSession();
+    let order;
+    try {
+        await session.withTransaction(async () => {
+            [order] = await Order.create([{
+                ...otherOrderData,
+                orderId,
+                items: validatedItems,
+                amount: finalAmount, // Use server-calculated amount
+                pricing: quote.pricing,
+                promoCode: quote.promo?.code,
+                promotions: quote.promotions.applied,
+                tenders: quote.tenders,
+                discountAmount: Math.round((quote.pricing.discount + quote.pricing.promotionDiscount) * 100) / 100,
+                payment: orderPayment,
+                orderStatus: 'pending',
+                statusHistory: [{
+                    status: 'pending',
+                    timestamp: new Date(),
+                    note: 'Order placed'
+                }]
+            }], { session });
+
+            const unavailable = await inventoryService.reserveStock(validatedItems, session, { order: order._id });
+            if (unavailable.length > 0) {
+                throw new ApiError(409, 'Some items are out of stock', unavailable);
+            }
+
+            if (quote.promo) {
+                await promoService.redeem(quote.promo, order, customer, quote.pricing.discount, session);
+            }
+
+            await creditService.redeem(quote.tenders, order, session);
+        });
+    } finally {
+        await session.endSession();
     }
     
-    // 6. Send Order Confirmation (Non-blocking)
+    // 5. Send Order Confirmation (Non-blocking)
     if (order.email) {
         const emailData = {
             email: order.email,
@@ -207,6 +226,8 @@ const createOrder = asyncHandler(async (req, res) => {
             orderId: order.orderId,
             items: order.items,
             total: order.amount, // Now in BDT
+            discount: order.discountAmount,
+            promoCode: order.promoCode,
             currency: 'BDT',
             address: order.address,
             city: order.city,
@@ -225,70 +246,98 @@ const createOrder = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 const updateOrderStatus = asyncHandler(async (req, res) => {
-    const { ids, status } = req.body;
+    const { ids, status, note } = req.body;
 
     if (!ids || !Array.isArray(ids) || ids.length === 0) {
         throw new ApiError(400, 'Please provide order IDs');
     }
 
-    // Update status and push to history
-    const result = await Order.updateMany(
-        { _id: { $in: ids } },
-        { 
-            orderStatus: status,
-            $push: { 
-                statusHistory: {
+    if (!ORDER_STATUSES.includes(status)) {
+        throw new ApiError(400, `Invalid status. Allowed: ${ORDER_STATUSES.join(', ')}`);
+    }
+    if (status === ORDER_STATUS.RETURNED) {
+        throw new ApiError(400, 'Returns go through return requests (POST /api/returns), which restock and refund');
+    }
+
+    // Each order is validated against the transition graph on its own,
+    // so one invalid order doesn't block the rest of the batch
+    const results = [];
+    for (const id of ids) {
+        try {
+            const previous = await Order.findById(id).select('orderStatus').lean();
+            const order = await orderService.transitionStatus(id, status, { note, actorId: req.user?._id });
+            results.push({ id, success: true, orderStatus: order.orderStatus });
+
+            await auditService.record(req, {
+                action: 'order.status_change',
+                resourceType: 'Order',
+                resourceId: order._id,
+                before: { orderStatus: previous?.orderStatus },
+                after: { orderStatus: order.orderStatus },
+                metadata: note ? { note } : undefined,
+            });
+
+            // Cancellation sends its own email
+            if (status !== ORDER_STATUS.CANCELLED && order.email) {
+                emailService.sendShippingUpdate({
+                    email: order.email,
+                    name: order.name || 'Customer',
+                    orderId: order.orderId || order._id.toString().slice(-8).toUpperCase(),
                     status: status,
-                    timestamp: new Date(),
-                    note: `Status changed to ${status}`
-                }
+                }).catch(err => console.error('Shipping update email error:', err));
             }
+        } catch (error) {
+            results.push({ id, success: false, message: error.message });
         }
-    );
-
-    // Send shipping update emails (non-blocking)
-    if (result.modifiedCount > 0) {
-        Order.find({ _id: { $in: ids } })
-            .then(orders => {
-                orders.forEach(order => {
-                    if (order.email) {
-                        emailService.sendShippingUpdate({
-                            email: order.email,
-                            name: order.name || 'Customer',
-                            orderId: order.orderId || order._id.toString().slice(-8).toUpperCase(),
-                            status: status,
-                        }).catch(err => console.error('Shipping update email error:', err));
-                    }
-                });
-            })
-            .catch(err => console.error('Find orders error:', err));
     }
 
-    res.json({ modifiedCount: result.modifiedCount });
+    res.json({
+        modifiedCount: results.filter(r => r.success).length,
+        rejected: results.filter(r => !r.success),
+        results,
+    });
 });
 
 /**
- * @desc    Cancel orders
+ * @desc    Cancel orders (restocks items and releases promo usage)
  * @route   PUT /api/orders/cancel
  * @access  Private/Admin
  */
 const cancelOrders = asyncHandler(async (req, res) => {
-    const { ids } = req.body;
+    const { ids, reason } = req.body;
 
     if (!ids || !Array.isArray(ids) || ids.length === 0) {
         throw new ApiError(400, 'Please provide order IDs');
     }
 
-    const result = await Order.updateMany(
-        { _id: { $in: ids } },
-        { orderStatus: false }
-    );
+    const results = [];
+    for (const id of ids) {
+        try {
+            const previous = await Order.findById(id).select('orderStatus').lean();
+            const order = await orderService.cancelOrder(id, { reason, actorId: req.user?._id });
+            results.push({ id, success: true, orderStatus: order.orderStatus });
+
+            await auditService.record(req, {
+                action: 'order.cancel',
+                resourceType: 'Order',
+                resourceId: order._id,
+                before: { orderStatus: previous?.orderStatus },
+                after: { orderStatus: order.orderStatus },
+                metadata: reason ? { reason } : undefined,
+            });
+        } catch (error) {
+            results.push({ id, success: false, message: error.message });
+        }
+    }
 
-    res.json({ modifiedCount: result.modifiedCount });
+    res.json({
+        modifiedCount: results.filter(r => r.success).length,
+        results,
+    });
 });
 
 /**
- * @desc    Delete orders
+ * @desc    Delete orders (moved to the trash until restored or purged)
  * @route   DELETE /api/orders
  * @access  Private/Admin
  */
@@ -299,9 +348,38 @@ const deleteOrders = asyncHandler(async (req, res) => {
         throw new ApiError(400, 'Please provide order IDs to delete');
     }
 
-    const result = await Order.deleteMany({ _id: { $in: ids } });
+    const deletedCount = await trashService.moveToTrash(req, 'orders', ids);
+
+    res.json({ deletedCount });
+});
+
+/**
+ * @desc    Get deleted orders
+ * @route   GET /api/orders/trash
+ * @access  Private/Admin
+ * @query   search, page, limit
+ */
+const getTrashedOrders = asyncHandler(async (req, res) => {
+    const { items, retentionDays, pagination } = await trashService.list('orders', req.query);
+
+    res.json({ success: true, orders: items, retentionDays, pagination });
+});
+
+/**
+ * @desc    Restore deleted orders
+ * @route   POST /api/orders/restore
+ * @access  Private/Admin
+ */
+const restoreOrders = asyncHandler(async (req, res) => {
+    const { ids } = req.body;
+
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+        throw new ApiError(400, 'Please provide order IDs to restore');
+    }
+
+    const restoredCount = await trashService.restore(req, 'orders', ids);
 
-    res.json({ deletedCount: result.deletedCount });
+    res.json({ restoredCount });
 });
 
 /**
@@ -336,5 +414,7 @@ module.exports = {
     updateOrderStatus,
     cancelOrders,
     deleteOrders,
+    getTrashedOrders,
+    restoreOrders,
     getOrdersByPhone,
 };
@@ -1,10 +1,11 @@
 const asyncHandler = require('../utils/asyncHandler');
 const { ApiResponse, ApiError } = require('../utils/ApiResponse');
 
-// Initialize Stripe
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const stripe = require('../config/stripe');
 
-const { Product } = require('../models');
+const paymentService = require('../services/paymentService');
+const paymentMethodService = require('../services/paymentMethodService');
+const pricingService = require('../services/pricingService');
 
 /**
  * @desc    Create payment intent
@@ -12,45 +13,77 @@ const { Product } = require('../models');
  * @access  Private
  */
 const createPaymentIntent = asyncHandler(async (req, res) => {
-    const { items } = req.body;
+    const { items, promoCode, giftCards, useStoreCredit, paymentMethodId } = req.body;
 
     if (!items || !Array.isArray(items) || items.length === 0) {
         throw new ApiError(400, 'Please provide items for checkout');
     }
 
-    // Server-side total calculation (Source of Truth)
-    let calculatedAmount = 0;
-    for (const item of items) {
-        const product = await Product.findById(item.productId || item._id);
-        if (!product) {
-            throw new ApiError(404, `Product not found: ${item.name}`);
-        }
+    // Same server-side quote as order creation (Source of Truth)
+    const { email } = req.body;
+    const quote = await pricingService.quote({
+        items,
+        promoCode,
+        customer: { userId: req.user?._id, email: email || req.user?.email },
+        giftCards,
+        useStoreCredit,
+    });
 
-        // Find the specific variant
-        const variant = product.variants.find(v => v._id.toString() === item.variantId) || product.variants[0];
-        const price = variant.salePrice > 0 ? variant.salePrice : variant.regularPrice;
-        
-        calculatedAmount += price * item.quantity;
+    if (quote.outOfStock.length > 0) {
+        throw new ApiError(409, 'Some items are out of stock', quote.outOfStock);
     }
 
-    // Add shipping logic if needed (placeholder for now)
-    // const shipping = 60; // BDT 60
-    // calculatedAmount += shipping;
+    // Fully covered by gift cards / store credit: place the order without a card payment
+    if (quote.pricing.amountDue === 0) {
+        return res.json({
+            clientSecret: null,
+            paymentRequired: false,
+            amount: 0,
+            pricing: quote.pricing,
+            promotions: quote.promotions,
+            discountLines: quote.discountLines,
+            tenders: quote.tenders,
+        });
+    }
 
+    // Stripe only charges what the tenders don't cover
     // Convert to cents (or points for BDT in Stripe)
-    const amount = Math.round(calculatedAmount * 100);
+    const amount = Math.round(quote.pricing.amountDue * 100);
+
+    // Pay with a saved card (logged-in customers only)
+    let savedCard = {};
+    if (paymentMethodId) {
+        if (!req.user) {
+            throw new ApiError(401, 'Sign in to pay with a saved card');
+        }
+        const { customer, paymentMethod } = await paymentMethodService.getOwned(req.user, paymentMethodId);
+        savedCard = { customer, payment_method: paymentMethod.id };
+    }
 
     const paymentIntent = await stripe.paymentIntents.create({
         currency: 'bdt',
         amount,
         payment_method_types: ['card'],
+        ...savedCard,
         metadata: {
+            type: 'order',
             userId: req.user?._id?.toString() || 'guest',
-            itemCount: items.length
+            email: (email || req.user?.email || '').toLowerCase(),
+            itemCount: items.length,
+            promoCode: quote.promo?.code || '',
+            creditApplied: quote.pricing.creditApplied,
         }
     });
 
-    res.json({ clientSecret: paymentIntent.client_secret, amount: calculatedAmount });
+    res.json({
+        clientSecret: paymentIntent.client_secret,
+        paymentRequired: true,
+        amount: quote.pricing.amountDue,
+        pricing: quote.pricing,
+        promotions: quote.promotions,
+        discountLines: quote.discountLines,
+        tenders: quote.tenders,
+    });
 });
 
 /**
@@ -70,7 +103,63 @@ const confirmPayment = asyncHandler(async (req, res) => {
     res.json({ status: paymentIntent.status });
 });
 
+/**
+ * @desc    Stripe webhook - reconcile payment events with orders
+ *          Mounted in app.js ahead of the JSON parser so the raw body is available
+ * @route   POST /api/payments/webhook
+ * @access  Public (Stripe signature)
+ */
+const handleStripeWebhook = asyncHandler(async (req, res) => {
+    const signature = req.headers['stripe-signature'];
+
+    if (!signature) {
+        throw new ApiError(400, 'Missing Stripe signature');
+    }
+
+    const event = paymentService.constructEvent(req.body, signature);
+    const result = await paymentService.handleEvent(event);
+
+    res.json({ received: true, ...result });
+});
+
+/**
+ * @desc    Start saving a card (confirm the returned client secret with Stripe.js)
+ * @route   POST /api/payments/setup-intent
+ * @access  Private
+ */
+const createSetupIntent = asyncHandler(async (req, res) => {
+    const { clientSecret, setupIntentId } = await paymentMethodService.createSetupIntent(req.user);
+
+    res.json({ clientSecret, setupIntentId });
+});
+
+/**
+ * @desc    Get saved cards (brand, last4 and expiry only)
+ * @route   GET /api/payments/methods
+ * @access  Private
+ */
+const getPaymentMethods = asyncHandler(async (req, res) => {
+    const paymentMethods = await paymentMethodService.list(req.user);
+
+    res.json(new ApiResponse(200, { paymentMethods }));
+});
+
+/**
+ * @desc    Remove a saved card
+ * @route   DELETE /api/payments/methods/:id
+ * @access  Private
+ */
+const deletePaymentMethod = asyncHandler(async (req, res) => {
+    await paymentMethodService.remove(req.user, req.params.id);
+
+    res.json(new ApiResponse(200, null, 'Payment method removed'));
+});
+
 module.exports = {
     createPaymentIntent,
     confirmPayment,
+    handleStripeWebhook,
+    createSetupIntent,
+    getPaymentMethods,
+    deletePaymentMethod,
 };
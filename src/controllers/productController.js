@@ -1,165 +1,43 @@
 const { Product } = require('../models');
-const mongoose = require('mongoose');
 const asyncHandler = require('../utils/asyncHandler');
 const { ApiResponse, ApiError } = require('../utils/ApiResponse');
 const { clearCache } = require('../middleware/cacheMiddleware');
+const auditService = require('../services/auditService');
+const trashService = require('../services/trashService');
+const productSearchService = require('../services/productSearchService');
+const attributeCatalogService = require('../services/attributeCatalogService');
+const searchService = require('../services/searchService');
+const productImportService = require('../services/productImportService');
+const inventoryService = require('../services/inventoryService');
 
 /**
- * @desc    Get all products with pagination, filtering, sorting, and search
+ * @desc    Get all products with pagination, filtering, sorting, search and facet counts
  * @route   GET /api/products
  * @access  Public
  * @query   page, limit, category, brand, stockStatus, minPrice, maxPrice, sortBy, sortOrder, search
+ *          (category and brand accept comma-separated lists)
  */
 const getAllProducts = asyncHandler(async (req, res) => {
-    const { 
-        page, 
-        limit, 
-        category, 
-        brand, 
-        stockStatus, 
-        minPrice, 
-        maxPrice, 
-        sortBy, 
-        sortOrder,
-        search 
-    } = req.query;
-
-    // Build query
-    let query = {};
-
-    // Category filter
-    if (category) {
-        // Try to find category by slug first
-        const categoryDoc = await mongoose.model('Category').findOne({ slug: category });
-        const categoryId = categoryDoc ? categoryDoc._id : (mongoose.isValidObjectId(category) ? category : null);
-        
-        if (categoryId) {
-            // Match if it's either in the category or in the subCategory
-            query.$or = [
-                { category: categoryId },
-                { subCategory: categoryId }
-            ];
-        }
-    }
+    const { page, limit } = req.query;
 
-    // Brand filter
-    if (brand) {
-        query.brand = brand;
-    }
-
-    // Search filter - search across name, brand, tags
-    if (search) {
-        query.$or = [
-            { name: { $regex: search, $options: 'i' } },
-            { brand: { $regex: search, $options: 'i' } },
-            { tags: { $in: [new RegExp(search, 'i')] } }
-        ];
-    }
-
-    // If pagination parameters are provided, return paginated results
+    // If pagination parameters are provided, return a page with facets
     if (page || limit) {
-        const pageNum = parseInt(page) || 1;
-        const limitNum = parseInt(limit) || 20;
-        const skip = (pageNum - 1) * limitNum;
-
-        // Get all products matching the query for filtering by price/stock
-        let productsQuery = Product.find(query)
-            .populate('category', 'name slug')
-            .populate('subCategory', 'name slug')
-            .lean();
-
-        let products = await productsQuery;
-
-        // Stock status filter (needs to be done after query since it's in variants)
-        if (stockStatus) {
-            products = products.filter(p => {
-                const totalStock = p.variants?.reduce((sum, v) => sum + (v.stock || 0), 0) || 0;
-                
-                switch (stockStatus) {
-                    case 'in-stock':
-                        return totalStock > 10;
-                    case 'low-stock':
-                        return totalStock > 0 && totalStock <= 10;
-                    case 'out-of-stock':
-                        return totalStock === 0;
-                    default:
-                        return true;
-                }
-            });
-        }
-
-        // Price range filter (needs to be done after query since price is in variants)
-        if (minPrice || maxPrice) {
-            products = products.filter(p => {
-                const variant = p.variants?.[0];
-                if (!variant) return false;
-                
-                const price = variant.salePrice > 0 ? variant.salePrice : variant.regularPrice;
-                
-                if (minPrice && maxPrice) {
-                    return price >= parseFloat(minPrice) && price <= parseFloat(maxPrice);
-                } else if (minPrice) {
-                    return price >= parseFloat(minPrice);
-                } else if (maxPrice) {
-                    return price <= parseFloat(maxPrice);
-                }
-                return true;
-            });
-        }
+        const result = await productSearchService.search(req.query);
 
-        // Total before pagination
-        const total = products.length;
-
-        // Sorting
-        if (sortBy) {
-            products.sort((a, b) => {
-                const order = sortOrder === 'asc' ? 1 : -1;
-                
-                switch (sortBy) {
-                    case 'price': {
-                        const priceA = a.variants?.[0]?.salePrice > 0 ? a.variants[0].salePrice : a.variants?.[0]?.regularPrice || 0;
-                        const priceB = b.variants?.[0]?.salePrice > 0 ? b.variants[0].salePrice : b.variants?.[0]?.regularPrice || 0;
-                        return (priceA - priceB) * order;
-                    }
-                    case 'date':
-                        return (new Date(a.createdAt) - new Date(b.createdAt)) * order;
-                    case 'stock': {
-                        const stockA = a.variants?.reduce((sum, v) => sum + (v.stock || 0), 0) || 0;
-                        const stockB = b.variants?.reduce((sum, v) => sum + (v.stock || 0), 0) || 0;
-                        return (stockA - stockB) * order;
-                    }
-                    case 'name':
-                        return a.name.localeCompare(b.name) * order;
-                    default:
-                        return 0;
-                }
-            });
-        } else {
-            // Default sort by createdAt descending
-            products.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        }
-
-        // Apply pagination
-        const paginatedProducts = products.slice(skip, skip + limitNum);
-
-        // Return paginated response
         return res.json({
-            data: paginatedProducts,
+            data: result.products,
             pagination: {
-                page: pageNum,
-                limit: limitNum,
-                total: total,
-                pages: Math.ceil(total / limitNum)
-            }
+                page: result.page,
+                limit: result.limit,
+                total: result.total,
+                pages: Math.ceil(result.total / result.limit)
+            },
+            facets: result.facets,
         });
     }
 
-    // If no pagination, return all products (backward compatibility)
-    const products = await Product.find(query)
-        .populate('category', 'name slug')
-        .populate('subCategory', 'name slug')
-        .sort({ createdAt: -1 })
-        .lean();
+    // If no pagination, return all matching products (backward compatibility)
+    const products = await productSearchService.findAll(req.query);
 
     res.json(products);
 });
@@ -351,17 +229,50 @@ const createProduct = asyncHandler(async (req, res) => {
     delete productData.specialprice;
     delete productData.discount;
     delete productData.sells;
+
+    // Variant attributes must come from the category's attribute catalog (when it has one)
+    productData.variants = await attributeCatalogService.normalizeVariants(
+        productData.variants,
+        [productData.category, productData.subCategory]
+    );
     
-    const product = await Product.create(productData);
+    // The product and its initial stock entries are saved together
+    const product = await inventoryService.withTransaction(async (session) => {
+        const [created] = await Product.create([productData], { session });
+        await inventoryService.recordVariantChanges(created, [], { actorId: req.user._id, session });
+        return created;
+    });
+
+    await auditService.record(req, {
+        action: 'product.create',
+        resourceType: 'Product',
+        resourceId: product._id,
+        after: product,
+    });
 
     // Clear cache
     clearCache('products');
+    searchService.invalidate();
 
     res.status(201).json(product);
 });
 
+// The existing variant a submitted variant config refers to (by id, then SKU), as {_id}
+const findExistingVariant = (variants, config) => {
+    const existing = variants.find(variant => (config._id && String(variant._id) === String(config._id)))
+        || variants.find(variant => config.sku && variant.sku === config.sku);
+    return existing ? { _id: existing._id } : {};
+};
+
+// Existing variants keep their current stock and sales count; only new variants take the submitted stock
+const keepStock = (variants, current) => variants.map(variant => {
+    const match = variant._id && current.find(entry => String(entry._id) === String(variant._id));
+    return match ? { ...variant, stock: match.stock, sells: match.sells } : variant;
+});
+
 /**
  * @desc    Update product
+ *          Stock of existing variants is changed through stock adjustments, not here
  * @route   PUT /api/products/:id
  * @access  Private/Admin
  */
@@ -399,15 +310,17 @@ const updateProduct = asyncHandler(async (req, res) => {
     
     // Handle variants
     if (variantConfigs && variantConfigs.length > 0) {
-        // Multi-variant product update
+        // Multi-variant product update. Variants matched by id or SKU keep their id
+        // so carts, orders and stock history still point at them.
         productData.variants = variantConfigs.map(config => ({
+            ...findExistingVariant(product.variants, config),
             attributes: config.attributes || {},
             sku: config.sku || `SKU-${Date.now().toString().slice(-4)}-${Math.random().toString(36).substring(2, 6).toUpperCase()}`,
             regularPrice: config.regularPrice,
             salePrice: config.salePrice || 0,
             costPrice: config.costPrice || 0,
             stock: config.stock || 0,
-            sells: config.sells || 0,
+            sells: 0,
             images: config.images || []
         }));
         delete productData.variantConfigs;
@@ -424,19 +337,60 @@ const updateProduct = asyncHandler(async (req, res) => {
     delete productData.discount;
     delete productData.sells;
 
-    product = await Product.findByIdAndUpdate(req.params.id, productData, {
-        new: true,
-        runValidators: true,
+    // Re-check variant attributes when the variants or the category change.
+    // Existing variants are only checked, not rewritten, so concurrent stock updates aren't overwritten.
+    const categoryIds = [productData.category ?? product.category, productData.subCategory ?? product.subCategory];
+    const categoryChanged = ['category', 'subCategory'].some(field =>
+        productData[field] !== undefined && String(productData[field] || '') !== String(product[field] || ''));
+    if (productData.variants) {
+        productData.variants = await attributeCatalogService.normalizeVariants(productData.variants, categoryIds);
+    } else if (categoryChanged) {
+        await attributeCatalogService.normalizeVariants(product.toObject().variants, categoryIds);
+    }
+
+    // Variants are re-read inside the transaction so stock reserved meanwhile is not overwritten
+    let before;
+    product = await inventoryService.withTransaction(async (session) => {
+        const current = await Product.findById(req.params.id).session(session);
+        if (!current) {
+            throw new ApiError(404, 'Product not found');
+        }
+        before = current.toObject();
+
+        const update = productData.variants
+            ? { ...productData, variants: keepStock(productData.variants, before.variants) }
+            : productData;
+        const updated = await Product.findByIdAndUpdate(req.params.id, update, {
+            new: true,
+            runValidators: true,
+            session,
+        });
+
+        await inventoryService.recordVariantChanges(updated, before.variants, {
+            reason: 'Product edited',
+            actorId: req.user._id,
+            session,
+        });
+        return updated;
+    });
+
+    await auditService.record(req, {
+        action: 'product.update',
+        resourceType: 'Product',
+        resourceId: product._id,
+        before,
+        after: product,
     });
 
     // Clear cache
     clearCache('products');
+    searchService.invalidate();
 
     res.json(product);
 });
 
 /**
- * @desc    Delete multiple products
+ * @desc    Delete multiple products (moved to the trash until restored or purged)
  * @route   DELETE /api/products
  * @access  Private/Admin
  */
@@ -447,12 +401,79 @@ const deleteProducts = asyncHandler(async (req, res) => {
         throw new ApiError(400, 'Please provide product IDs to delete');
     }
 
-    const result = await Product.deleteMany({ _id: { $in: ids } });
+    const deletedCount = await trashService.moveToTrash(req, 'products', ids);
 
     // Clear products cache
     clearCache('products');
+    searchService.invalidate();
+
+    res.json({ deletedCount });
+});
+
+/**
+ * @desc    Get deleted products
+ * @route   GET /api/products/trash
+ * @access  Private/Admin
+ * @query   search, page, limit
+ */
+const getTrashedProducts = asyncHandler(async (req, res) => {
+    const { items, retentionDays, pagination } = await trashService.list('products', req.query);
+
+    res.json({ success: true, products: items, retentionDays, pagination });
+});
+
+/**
+ * @desc    Restore deleted products
+ * @route   POST /api/products/restore
+ * @access  Private/Admin
+ */
+const restoreProducts = asyncHandler(async (req, res) => {
+    const { ids } = req.body;
+
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+        throw new ApiError(400, 'Please provide product IDs to restore');
+    }
+
+    const restoredCount = await trashService.restore(req, 'products', ids);
+
+    clearCache('products');
+    searchService.invalidate();
+
+    res.json({ restoredCount });
+});
+
+/**
+ * @desc    Export products as CSV, one row per variant (same filters as the list)
+ * @route   GET /api/products/export
+ * @access  Private (view:all_products)
+ */
+const exportProducts = asyncHandler(async (req, res) => {
+    const csv = await productImportService.exportCsv(req.query);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${date}.csv"`);
+    res.send(csv);
+});
+
+/**
+ * @desc    Import products from CSV (same format as the export)
+ * @route   POST /api/products/import
+ * @access  Private (create:product, update:product)
+ * @body    csv - CSV text; dryRun - validate and report per-row errors without saving
+ */
+const importProducts = asyncHandler(async (req, res) => {
+    const { csv } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const result = await productImportService.importCsv(req, csv, { dryRun });
+
+    if (!dryRun) {
+        clearCache('products');
+        searchService.invalidate();
+    }
 
-    res.json({ deletedCount: result.deletedCount });
+    res.json({ success: true, ...result });
 });
 
 module.exports = {
@@ -468,4 +489,8 @@ module.exports = {
     createProduct,
     updateProduct,
     deleteProducts,
+    getTrashedProducts,
+    restoreProducts,
+    exportProducts,
+    importProducts,
 };
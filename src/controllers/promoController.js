@@ -1,6 +1,12 @@
+const mongoose = require('mongoose');
 const PromoCode = require('../models/PromoCode');
+const { Category } = require('../models');
+const promoService = require('../services/promoService');
+const pricingService = require('../services/pricingService');
+const auditService = require('../services/auditService');
 const asyncHandler = require('../utils/asyncHandler');
 const { ApiError } = require('../utils/ApiResponse');
+const { pickTargeting } = require('../utils/lineTargeting');
 
 /**
  * @desc    Get all promo codes (admin)
@@ -42,13 +48,15 @@ const getActivePromoCodes = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Validate and apply promo code
+ *          Send cart `items` to get the discount split per line item;
+ *          `orderTotal`/`category` are still accepted for single-total previews
  * @route   POST /api/promo/validate
  * @access  Public
  */
 const validatePromoCode = asyncHandler(async (req, res) => {
-    const { code, orderTotal, category } = req.body;
+    const { code, items, orderTotal, category, email } = req.body;
 
-    if (!code) {
+    if (!code || typeof code !== 'string') {
         throw new ApiError(400, 'Promo code is required');
     }
 
@@ -61,8 +69,23 @@ const validatePromoCode = asyncHandler(async (req, res) => {
         });
     }
 
+    // Price the cart server-side, or treat the legacy total as a single line
+    let lineItems;
+    let subtotal;
+    if (Array.isArray(items) && items.length > 0) {
+        ({ lineItems, subtotal } = await pricingService.priceItems(items));
+    } else {
+        subtotal = orderTotal || 0;
+        const categoryDoc = category
+            ? await Category.findOne(mongoose.isValidObjectId(category) ? { _id: category } : { slug: category })
+            : null;
+        lineItems = [{ name: 'Order total', cat: categoryDoc?._id.toString(), totalPrice: subtotal }];
+    }
+
+    const { eligibleTotal, discount, lines } = await promoCode.applyToLines(lineItems);
+
     // Validate for order
-    const validation = promoCode.validateForOrder(orderTotal || 0, category);
+    const validation = promoCode.validateForOrder(subtotal, eligibleTotal);
 
     if (!validation.isValid) {
         return res.status(400).json({
@@ -72,31 +95,46 @@ const validatePromoCode = asyncHandler(async (req, res) => {
         });
     }
 
-    // Calculate discount
-    const discount = promoCode.calculateDiscount(orderTotal || 0);
+    // Per-customer limit and first-order rule
+    try {
+        await promoService.checkCustomerEligibility(promoCode, {
+            userId: req.user?._id,
+            email: email || req.user?.email,
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 400).json({
+            success: false,
+            error: error.message,
+            errors: [error.message],
+        });
+    }
 
     res.json({
         success: true,
         discount,
+        eligibleTotal,
+        lines,
         promoCode: {
             code: promoCode.code,
             description: promoCode.description,
             discountType: promoCode.discountType,
             discountValue: promoCode.discountValue,
         },
-        newTotal: (orderTotal || 0) - discount,
+        newTotal: subtotal - discount,
     });
 });
 
 /**
- * @desc    Apply promo code (increment usage)
+ * @desc    Apply promo code (preview only)
+ *          Usage is recorded when the order is placed with `promoCode`
  * @route   POST /api/promo/apply
  * @access  Private
+ * @deprecated Send `promoCode` to POST /api/orders or /api/payments/create-intent instead
  */
 const applyPromoCode = asyncHandler(async (req, res) => {
     const { code, orderTotal, orderId } = req.body;
 
-    if (!code) {
+    if (!code || typeof code !== 'string') {
         throw new ApiError(400, 'Promo code is required');
     }
 
@@ -112,10 +150,7 @@ const applyPromoCode = asyncHandler(async (req, res) => {
         throw new ApiError(400, validation.errors[0]);
     }
 
-    // Calculate discount and increment usage
     const discount = promoCode.calculateDiscount(orderTotal || 0);
-    promoCode.usedCount += 1;
-    await promoCode.save();
 
     res.json({
         success: true,
@@ -130,7 +165,7 @@ const applyPromoCode = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 const createPromoCode = asyncHandler(async (req, res) => {
-    const { code, description, discountType, discountValue, minOrderAmount, maxDiscount, usageLimit, validFrom, validUntil, applicableCategories } = req.body;
+    const { code, description, discountType, discountValue, minOrderAmount, maxDiscount, usageLimit, perCustomerLimit, firstOrderOnly, validFrom, validUntil } = req.body;
 
     // Check if code already exists
     const existing = await PromoCode.findOne({ code: code.toUpperCase() });
@@ -146,9 +181,18 @@ const createPromoCode = asyncHandler(async (req, res) => {
         minOrderAmount,
         maxDiscount,
         usageLimit,
+        perCustomerLimit,
+        firstOrderOnly,
         validFrom,
         validUntil,
-        applicableCategories,
+        ...pickTargeting(req.body),
+    });
+
+    await auditService.record(req, {
+        action: 'promo.create',
+        resourceType: 'PromoCode',
+        resourceId: promoCode._id,
+        after: promoCode,
     });
 
     res.status(201).json({
@@ -163,15 +207,25 @@ const createPromoCode = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 const updatePromoCode = asyncHandler(async (req, res) => {
+    const before = await PromoCode.findById(req.params.id).lean();
+
+    if (!before) {
+        throw new ApiError(404, 'Promo code not found');
+    }
+
     const promoCode = await PromoCode.findByIdAndUpdate(
         req.params.id,
         req.body,
         { new: true, runValidators: true }
     );
 
-    if (!promoCode) {
-        throw new ApiError(404, 'Promo code not found');
-    }
+    await auditService.record(req, {
+        action: 'promo.update',
+        resourceType: 'PromoCode',
+        resourceId: promoCode._id,
+        before,
+        after: promoCode,
+    });
 
     res.json({
         success: true,
@@ -191,6 +245,13 @@ const deletePromoCode = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'Promo code not found');
     }
 
+    await auditService.record(req, {
+        action: 'promo.delete',
+        resourceType: 'PromoCode',
+        resourceId: promoCode._id,
+        before: promoCode,
+    });
+
     res.json({
         success: true,
         message: 'Promo code deleted',
@@ -212,6 +273,14 @@ const togglePromoCode = asyncHandler(async (req, res) => {
     promoCode.isActive = !promoCode.isActive;
     await promoCode.save();
 
+    await auditService.record(req, {
+        action: 'promo.toggle',
+        resourceType: 'PromoCode',
+        resourceId: promoCode._id,
+        before: { isActive: !promoCode.isActive },
+        after: { isActive: promoCode.isActive },
+    });
+
     res.json({
         success: true,
         isActive: promoCode.isActive,
@@ -0,0 +1,188 @@
+const { Promotion } = require('../models');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/ApiResponse');
+const { pickTargeting } = require('../utils/lineTargeting');
+const auditService = require('../services/auditService');
+
+/**
+ * Promotion Controller
+ * Admin management of automatic (code-less) promotions
+ */
+
+// Settings accepted on create/update besides targeting
+const PROMOTION_FIELDS = [
+    'name',
+    'description',
+    'type',
+    'priority',
+    'stackable',
+    'combinableWithCodes',
+    'buyQuantity',
+    'getQuantity',
+    'getDiscountPercent',
+    'tiers',
+    'bundleProducts',
+    'bundlePrice',
+    'minSubtotal',
+    'validFrom',
+    'validUntil',
+    'isActive',
+];
+
+const pickPromotionFields = (body) => PROMOTION_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+}, pickTargeting(body));
+
+/**
+ * @desc    Get all promotions
+ * @route   GET /api/promotions
+ * @access  Private/Staff
+ */
+const getAllPromotions = asyncHandler(async (req, res) => {
+    const promotions = await Promotion.find().sort({ priority: -1, createdAt: -1 });
+
+    res.json({
+        success: true,
+        count: promotions.length,
+        promotions,
+    });
+});
+
+/**
+ * @desc    Get promotion by ID
+ * @route   GET /api/promotions/:id
+ * @access  Private/Staff
+ */
+const getPromotionById = asyncHandler(async (req, res) => {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+        throw new ApiError(404, 'Promotion not found');
+    }
+
+    res.json({
+        success: true,
+        promotion,
+    });
+});
+
+/**
+ * @desc    Create promotion
+ * @route   POST /api/promotions
+ * @access  Private/Admin
+ */
+const createPromotion = asyncHandler(async (req, res) => {
+    const promotion = await Promotion.create({
+        ...pickPromotionFields(req.body),
+        createdBy: req.user._id,
+    });
+
+    await auditService.record(req, {
+        action: 'promotion.create',
+        resourceType: 'Promotion',
+        resourceId: promotion._id,
+        after: promotion,
+    });
+
+    res.status(201).json({
+        success: true,
+        promotion,
+    });
+});
+
+/**
+ * @desc    Update promotion
+ * @route   PUT /api/promotions/:id
+ * @access  Private/Admin
+ */
+const updatePromotion = asyncHandler(async (req, res) => {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+        throw new ApiError(404, 'Promotion not found');
+    }
+
+    const before = promotion.toObject();
+
+    // save() so the type-specific validation runs against the merged document
+    promotion.set(pickPromotionFields(req.body));
+    await promotion.save();
+
+    await auditService.record(req, {
+        action: 'promotion.update',
+        resourceType: 'Promotion',
+        resourceId: promotion._id,
+        before,
+        after: promotion,
+    });
+
+    res.json({
+        success: true,
+        promotion,
+    });
+});
+
+/**
+ * @desc    Delete promotion
+ * @route   DELETE /api/promotions/:id
+ * @access  Private/Admin
+ */
+const deletePromotion = asyncHandler(async (req, res) => {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+
+    if (!promotion) {
+        throw new ApiError(404, 'Promotion not found');
+    }
+
+    await auditService.record(req, {
+        action: 'promotion.delete',
+        resourceType: 'Promotion',
+        resourceId: promotion._id,
+        before: promotion,
+    });
+
+    res.json({
+        success: true,
+        message: 'Promotion deleted',
+    });
+});
+
+/**
+ * @desc    Toggle promotion active status
+ * @route   PATCH /api/promotions/:id/toggle
+ * @access  Private/Admin
+ */
+const togglePromotion = asyncHandler(async (req, res) => {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+        throw new ApiError(404, 'Promotion not found');
+    }
+
+    promotion.isActive = !promotion.isActive;
+    await promotion.save();
+
+    await auditService.record(req, {
+        action: 'promotion.toggle',
+        resourceType: 'Promotion',
+        resourceId: promotion._id,
+        before: { isActive: !promotion.isActive },
+        after: { isActive: promotion.isActive },
+    });
+
+    res.json({
+        success: true,
+        isActive: promotion.isActive,
+        message: `Promotion ${promotion.isActive ? 'activated' : 'deactivated'}`,
+    });
+});
+
+module.exports = {
+    getAllPromotions,
+    getPromotionById,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+    togglePromotion,
+};
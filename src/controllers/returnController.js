@@ -0,0 +1,472 @@
+const { Order, ReturnRequest } = require('../models');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/ApiResponse');
+const stripe = require('../config/stripe');
+const emailService = require('../services/emailService');
+const creditService = require('../services/creditService');
+const inventoryService = require('../services/inventoryService');
+const orderService = require('../services/orderService');
+const { uploadMultipleImages } = require('../services/cloudinaryService');
+const roleService = require('../services/roleService');
+const { PERMISSIONS } = require('../constants/permissions');
+const { ORDER_STATUS, canTransition } = require('../constants/orderStatus');
+
+/**
+ * Returns Controller (RMA)
+ * Customer return requests, staff review, goods receipt and refunds
+ */
+
+// Statuses that still count against the quantity a customer can return
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'received', 'refunded'];
+const MAX_RETURN_PHOTOS = 5;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// What the customer actually paid for the order's goods, and per unit of each line:
+// the line total less its promotion discount, with the promo code discount spread by value
+const getPaidPrices = (order) => {
+    const hasPricing = order.pricing?.total != null;
+    const lines = order.items.map(item => ({
+        variantId: item.variantId,
+        quantity: item.quantity || 1,
+        net: (item.totalPrice ?? (item.price || 0) * (item.quantity || 1)) - (hasPricing ? item.discount || 0 : 0),
+    }));
+    const netTotal = lines.reduce((sum, line) => sum + line.net, 0);
+    const itemsPaid = hasPricing ? order.pricing.total - (order.pricing.shipping || 0) : netTotal;
+    const ratio = netTotal > 0 ? Math.min(Math.max(itemsPaid, 0) / netTotal, 1) : 0;
+
+    return {
+        itemsPaid: roundAmount(Math.max(itemsPaid, 0)),
+        unitPrices: new Map(lines.map(line => [line.variantId, roundAmount((line.net * ratio) / line.quantity)])),
+    };
+};
+
+// Load a return request and make sure the caller may see it
+const findReturnForUser = async (id, user) => {
+    const returnRequest = await ReturnRequest.findById(id);
+    if (!returnRequest) {
+        throw new ApiError(404, 'Return request not found');
+    }
+
+    const isOwner = returnRequest.user?.toString() === user._id.toString();
+    if (!isOwner && !(await roleService.hasPermission(user.role, PERMISSIONS.VIEW_ALL_ORDERS))) {
+        throw new ApiError(403, 'You do not have permission to view this return');
+    }
+
+    return returnRequest;
+};
+
+// Load a return request and check it is in the expected status
+const findReturnInStatus = async (id, expectedStatus) => {
+    const returnRequest = await ReturnRequest.findById(id);
+    if (!returnRequest) {
+        throw new ApiError(404, 'Return request not found');
+    }
+
+    if (returnRequest.status !== expectedStatus) {
+        throw new ApiError(400, `Return is '${returnRequest.status}', expected '${expectedStatus}'`);
+    }
+
+    return returnRequest;
+};
+
+// Record the step on the order timeline and email the customer (non-blocking)
+const recordReturnStep = async (returnRequest, order, note, actorId, extra = {}) => {
+    await orderService.addTimelineEntry(order, `${returnRequest.rmaNumber}: ${note}`, actorId);
+
+    emailService.sendReturnUpdate({
+        email: returnRequest.email,
+        name: order.name || 'Customer',
+        orderId: returnRequest.orderId,
+        rmaNumber: returnRequest.rmaNumber,
+        status: returnRequest.status,
+        note: returnRequest.staffNote,
+        ...extra,
+    }).catch(err => console.error('Return update email error:', err));
+};
+
+// Card orders carry the PaymentIntent on the payment sub-document;
+// older orders stored it as their transaction ID
+const getPaymentIntentId = (order) => {
+    if (order.payment?.paymentIntentId) return order.payment.paymentIntentId;
+    return order.transactionId?.startsWith('pi_') ? order.transactionId : null;
+};
+
+/**
+ * @desc    Open a return request for items of a delivered order
+ * @route   POST /api/returns
+ * @access  Private (order owner)
+ */
+const createReturnRequest = asyncHandler(async (req, res) => {
+    const { orderId, items, reason, photos = [] } = req.body;
+
+    if (!orderId || !items || !Array.isArray(items) || items.length === 0) {
+        throw new ApiError(400, 'Order ID and items are required');
+    }
+
+    if (!reason || !reason.trim()) {
+        throw new ApiError(400, 'Please provide a reason for the return');
+    }
+
+    if (!Array.isArray(photos) || photos.length > MAX_RETURN_PHOTOS) {
+        throw new ApiError(400, `Maximum ${MAX_RETURN_PHOTOS} photos allowed`);
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order || order.email !== req.user.email) {
+        throw new ApiError(404, 'Order not found');
+    }
+
+    if (order.orderStatus !== ORDER_STATUS.DELIVERED) {
+        throw new ApiError(400, 'Only delivered orders can be returned');
+    }
+
+    // Quantities already covered by other open returns on this order
+    const existingReturns = await ReturnRequest.find({
+        order: order._id,
+        status: { $in: OPEN_RETURN_STATUSES },
+    });
+    const alreadyReturned = {};
+    existingReturns.forEach(r => r.items.forEach(item => {
+        alreadyReturned[item.variantId] = (alreadyReturned[item.variantId] || 0) + item.quantity;
+    }));
+
+    const { unitPrices } = getPaidPrices(order);
+    const returnItems = items.map(item => {
+        const orderItem = order.items.find(i => i.variantId === item.variantId);
+        if (!orderItem) {
+            throw new ApiError(400, `Item ${item.variantId} is not part of this order`);
+        }
+
+        const quantity = parseInt(item.quantity) || 0;
+        const returnable = orderItem.quantity - (alreadyReturned[item.variantId] || 0);
+        if (quantity < 1 || quantity > returnable) {
+            throw new ApiError(400, `You can return at most ${returnable} of ${orderItem.name}`);
+        }
+
+        return {
+            productId: orderItem.productId,
+            variantId: orderItem.variantId,
+            name: orderItem.name,
+            image: orderItem.image,
+            price: orderItem.price,
+            paidPrice: unitPrices.get(orderItem.variantId),
+            quantity,
+        };
+    });
+
+    // Upload evidence photos
+    let photoUrls = [];
+    if (photos.length > 0) {
+        const uploads = await uploadMultipleImages(photos, 'bestdeal/returns');
+        if (uploads.some(u => !u.success)) {
+            throw new ApiError(502, 'Failed to upload return photos');
+        }
+        photoUrls = uploads.map(u => u.url);
+    }
+
+    const returnCount = await ReturnRequest.countDocuments({ order: order._id });
+    const rmaNumber = `RMA-${order.orderId || order._id.toString().slice(-8).toUpperCase()}-${returnCount + 1}`;
+
+    const returnRequest = await ReturnRequest.create({
+        rmaNumber,
+        order: order._id,
+        orderId: order.orderId,
+        user: req.user._id,
+        email: order.email,
+        items: returnItems,
+        reason: reason.trim(),
+        photos: photoUrls,
+    });
+
+    await recordReturnStep(returnRequest, order, `Return requested - ${returnRequest.reason}`, req.user._id);
+
+    res.status(201).json({
+        success: true,
+        returnRequest,
+    });
+});
+
+/**
+ * @desc    Get current user's return requests
+ * @route   GET /api/returns/my
+ * @access  Private
+ */
+const getMyReturns = asyncHandler(async (req, res) => {
+    const returns = await ReturnRequest.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+        success: true,
+        count: returns.length,
+        returns,
+    });
+});
+
+/**
+ * @desc    Get all return requests
+ * @route   GET /api/returns
+ * @access  Private/Staff
+ * @query   status
+ */
+const getAllReturns = asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    const filter = status && status !== 'all' ? { status } : {};
+
+    const returns = await ReturnRequest.find(filter)
+        .populate('user', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(200);
+
+    res.json({
+        success: true,
+        count: returns.length,
+        returns,
+    });
+});
+
+/**
+ * @desc    Get return request by ID
+ * @route   GET /api/returns/:id
+ * @access  Private (owner or staff)
+ */
+const getReturnById = asyncHandler(async (req, res) => {
+    const returnRequest = await findReturnForUser(req.params.id, req.user);
+
+    res.json({
+        success: true,
+        returnRequest,
+    });
+});
+
+/**
+ * @desc    Approve a return request
+ * @route   PUT /api/returns/:id/approve
+ * @access  Private/Staff
+ */
+const approveReturn = asyncHandler(async (req, res) => {
+    const returnRequest = await findReturnInStatus(req.params.id, 'requested');
+    const order = await Order.findById(returnRequest.order);
+
+    returnRequest.status = 'approved';
+    returnRequest.staffNote = req.body.note;
+    returnRequest.reviewedBy = req.user._id;
+    returnRequest.reviewedAt = new Date();
+    await returnRequest.save();
+
+    await recordReturnStep(returnRequest, order, 'Return approved', req.user._id);
+
+    res.json({
+        success: true,
+        returnRequest,
+    });
+});
+
+/**
+ * @desc    Reject a return request
+ * @route   PUT /api/returns/:id/reject
+ * @access  Private/Staff
+ */
+const rejectReturn = asyncHandler(async (req, res) => {
+    const { note } = req.body;
+
+    if (!note) {
+        throw new ApiError(400, 'Please provide a reason for rejecting the return');
+    }
+
+    const returnRequest = await findReturnInStatus(req.params.id, 'requested');
+    const order = await Order.findById(returnRequest.order);
+
+    returnRequest.status = 'rejected';
+    returnRequest.staffNote = note;
+    returnRequest.reviewedBy = req.user._id;
+    returnRequest.reviewedAt = new Date();
+    await returnRequest.save();
+
+    await recordReturnStep(returnRequest, order, `Return rejected - ${note}`, req.user._id);
+
+    res.json({
+        success: true,
+        returnRequest,
+    });
+});
+
+/**
+ * @desc    Mark returned goods as received and put them back into stock
+ * @route   PUT /api/returns/:id/receive
+ * @access  Private/Staff
+ */
+const receiveReturn = asyncHandler(async (req, res) => {
+    const returnRequest = await findReturnInStatus(req.params.id, 'approved');
+    let order = await Order.findById(returnRequest.order);
+
+    // Flip status first so a double submit can't restock twice
+    const claimed = await ReturnRequest.findOneAndUpdate(
+        { _id: returnRequest._id, status: 'approved' },
+        { status: 'received', receivedAt: new Date(), staffNote: req.body.note || returnRequest.staffNote },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new ApiError(409, 'Return was updated concurrently, please retry');
+    }
+
+    await inventoryService.releaseStock(claimed.items, null, {
+        type: 'return',
+        order: claimed.order,
+        returnRequest: claimed._id,
+        actorId: req.user._id,
+    });
+    await recordReturnStep(claimed, order, 'Returned items received', req.user._id);
+
+    // Once every unit of the order is back, the order itself is returned
+    const receivedReturns = await ReturnRequest.find({
+        order: order._id,
+        status: { $in: ['received', 'refunded'] },
+    });
+    const receivedQty = {};
+    receivedReturns.forEach(r => r.items.forEach(item => {
+        receivedQty[item.variantId] = (receivedQty[item.variantId] || 0) + item.quantity;
+    }));
+    const fullyReturned = order.items.every(item => (receivedQty[item.variantId] || 0) >= item.quantity);
+
+    if (fullyReturned && canTransition(order.orderStatus, ORDER_STATUS.RETURNED)) {
+        order = await orderService.transitionStatus(order._id, ORDER_STATUS.RETURNED, {
+            note: `All items returned (${claimed.rmaNumber})`,
+            actorId: req.user._id,
+            viaReturn: true,
+        });
+    }
+
+    res.json({
+        success: true,
+        returnRequest: claimed,
+        orderStatus: order.orderStatus,
+    });
+});
+
+/**
+ * @desc    Issue a refund for received goods
+ *          Card orders are refunded through Stripe, Cash on Delivery is recorded manually,
+ *          or (method: 'store_credit') the amount is added to the customer's store credit
+ * @route   POST /api/returns/:id/refund
+ * @access  Private/Staff
+ */
+const refundReturn = asyncHandler(async (req, res) => {
+    const { amount, reference, note, method } = req.body;
+
+    const returnRequest = await findReturnInStatus(req.params.id, 'received');
+    const order = await Order.findById(returnRequest.order);
+
+    // Capped at what was paid for the returned units and at what is left after earlier refunds
+    const { itemsPaid, unitPrices } = getPaidPrices(order);
+    const returnedValue = returnRequest.items.reduce((sum, item) => sum + (unitPrices.get(item.variantId) ?? 0) * item.quantity, 0);
+    const earlierRefunds = await ReturnRequest.find({
+        order: order._id,
+        status: 'refunded',
+        _id: { $ne: returnRequest._id },
+    }).select('refund.amount refund.method').lean();
+    const alreadyRefunded = earlierRefunds.reduce((sum, r) => sum + (r.refund?.amount || 0), 0);
+    const maxRefund = roundAmount(Math.max(Math.min(returnedValue, itemsPaid - alreadyRefunded), 0));
+
+    const refundAmount = amount !== undefined ? Number(amount) : maxRefund;
+    if (!(refundAmount > 0) || refundAmount > maxRefund) {
+        throw new ApiError(400, `Refund amount must be between 0 and ${maxRefund}`);
+    }
+
+    const paymentIntentId = getPaymentIntentId(order);
+    const refund = {
+        amount: refundAmount,
+        refundedAt: new Date(),
+        refundedBy: req.user._id,
+    };
+
+    if (method === 'store_credit') {
+        if (!returnRequest.user) {
+            throw new ApiError(400, 'Store credit needs a customer account');
+        }
+
+        refund.method = 'store_credit';
+
+        // Claim the refund and issue the credit together: a double submit can't credit twice,
+        // and if the credit fails the return stays open to try again
+        await inventoryService.withTransaction(async (session) => {
+            const claimed = await ReturnRequest.updateOne(
+                { _id: returnRequest._id, status: 'received' },
+                { status: 'refunded', refund },
+                { session }
+            );
+            if (claimed.modifiedCount === 0) {
+                throw new ApiError(409, 'Return was updated concurrently, please retry');
+            }
+
+            await creditService.issueStoreCredit(returnRequest.user, refundAmount, {
+                note: `Refund for ${returnRequest.rmaNumber}`,
+                actorId: req.user._id,
+                order: order._id,
+                returnRequest: returnRequest._id,
+                session,
+            });
+        });
+    } else if (paymentIntentId) {
+        // Part of the order may have been paid by gift card / store credit, and earlier card refunds
+        // may not have reached the order through the webhook yet
+        if (order.payment?.amount !== undefined) {
+            const cardRefunded = Math.max(
+                order.payment.amountRefunded || 0,
+                earlierRefunds.filter(r => r.refund?.method === 'stripe').reduce((sum, r) => sum + r.refund.amount, 0)
+            );
+            const cardRemaining = roundAmount(Math.max(order.payment.amount - cardRefunded, 0));
+            if (refundAmount > cardRemaining) {
+                throw new ApiError(400, `Only ৳${cardRemaining} paid by card is left to refund; refund the rest as store credit`);
+            }
+        }
+
+        const stripeRefund = await stripe.refunds.create({
+            payment_intent: paymentIntentId,
+            amount: Math.round(refundAmount * 100),
+            metadata: {
+                orderId: order.orderId || order._id.toString(),
+                rmaNumber: returnRequest.rmaNumber,
+            },
+        }, {
+            // A retried request must not refund twice
+            idempotencyKey: `refund-${returnRequest._id}`,
+        });
+        refund.method = 'stripe';
+        refund.stripeRefundId = stripeRefund.id;
+    } else {
+        if (!reference) {
+            throw new ApiError(400, 'A refund reference is required for manual refunds');
+        }
+        refund.method = 'manual';
+        refund.reference = reference;
+    }
+
+    returnRequest.status = 'refunded';
+    returnRequest.refund = refund;
+    if (note) returnRequest.staffNote = note;
+    await returnRequest.save();
+
+    await recordReturnStep(
+        returnRequest,
+        order,
+        `Refund of ৳${refundAmount} issued (${refund.method})`,
+        req.user._id,
+        { refundAmount }
+    );
+
+    res.json({
+        success: true,
+        returnRequest,
+    });
+});
+
+module.exports = {
+    createReturnRequest,
+    getMyReturns,
+    getAllReturns,
+    getReturnById,
+    approveReturn,
+    rejectReturn,
+    receiveReturn,
+    refundReturn,
+};
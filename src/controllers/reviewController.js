@@ -1,14 +1,33 @@
 const { Review, Order } = require('../models');
 const asyncHandler = require('../utils/asyncHandler');
 const { ApiResponse, ApiError } = require('../utils/ApiResponse');
+const { assertOwnEmail } = require('../utils/ownership');
+
+// Fields a review's author may change (moderators may also set isVerified)
+const AUTHOR_FIELDS = ['name', 'rating', 'review', 'date'];
+
+// Load a review the caller may change: their own, or any with moderation rights
+const findEditableReview = async (req) => {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+        throw new ApiError(404, 'Review not found');
+    }
+    if (req.requireOwnership) {
+        assertOwnEmail(req.user, review.email, 'You can only change your own reviews');
+    }
+
+    return review;
+};
 
 /**
- * @desc    Get all reviews
+ * @desc    Get all reviews (customers only get their own)
  * @route   GET /api/reviews
- * @access  Public
+ * @access  Private
  */
 const getAllReviews = asyncHandler(async (req, res) => {
-    const reviews = await Review.find().sort({ createdAt: -1 });
+    const filter = req.requireOwnership ? { email: req.user.email } : {};
+    const reviews = await Review.find(filter).sort({ createdAt: -1 });
     // Return plain array for frontend compatibility
     res.json(reviews);
 });
@@ -29,7 +48,8 @@ const getReviewsByProduct = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const createReview = asyncHandler(async (req, res) => {
-    const { email, productId } = req.body;
+    const { productId } = req.body;
+    const email = req.user.email;
 
     // Check if the user has purchased this product
     const hasOrdered = await Order.findOne({
@@ -40,6 +60,8 @@ const createReview = asyncHandler(async (req, res) => {
 
     const reviewData = {
         ...req.body,
+        name: req.body.name || req.user.name,
+        email,
         isVerified: !!hasOrdered
     };
 
@@ -50,18 +72,16 @@ const createReview = asyncHandler(async (req, res) => {
 /**
  * @desc    Update review
  * @route   PUT /api/reviews/:id
- * @access  Private
+ * @access  Private (author or moderator)
  */
 const updateReview = asyncHandler(async (req, res) => {
-    const review = await Review.findByIdAndUpdate(
-        req.params.id,
-        req.body,
-        { new: true, runValidators: true }
-    );
+    const review = await findEditableReview(req);
 
-    if (!review) {
-        throw new ApiError(404, 'Review not found');
+    const fields = req.requireOwnership ? AUTHOR_FIELDS : [...AUTHOR_FIELDS, 'isVerified'];
+    for (const key of fields) {
+        if (req.body[key] !== undefined) review[key] = req.body[key];
     }
+    await review.save();
 
     res.json(review);
 });
@@ -69,14 +89,11 @@ const updateReview = asyncHandler(async (req, res) => {
 /**
  * @desc    Delete review
  * @route   DELETE /api/reviews/:id
- * @access  Private
+ * @access  Private (author or moderator)
  */
 const deleteReview = asyncHandler(async (req, res) => {
-    const review = await Review.findByIdAndDelete(req.params.id);
-
-    if (!review) {
-        throw new ApiError(404, 'Review not found');
-    }
+    const review = await findEditableReview(req);
+    await review.deleteOne();
 
     res.json({ message: 'Review deleted successfully' });
 });
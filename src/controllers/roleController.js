@@ -0,0 +1,182 @@
+const { Role, User } = require('../models');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/ApiResponse');
+const roleService = require('../services/roleService');
+const auditService = require('../services/auditService');
+const { PERMISSIONS } = require('../constants/permissions');
+
+/**
+ * Role Controller
+ * Custom staff roles built from PERMISSIONS. A role can only create or edit
+ * roles below its own level, holding permissions it has itself.
+ */
+
+// Check the requested permissions and the role's effective level against the acting user's role
+const assertCanDefine = async (actorRole, { permissions = [], level }) => {
+    if (!Array.isArray(permissions)) {
+        throw new ApiError(400, 'permissions must be an array');
+    }
+
+    const unknown = permissions.filter(perm => !Object.values(PERMISSIONS).includes(perm));
+    if (unknown.length) {
+        throw new ApiError(400, 'Unknown permissions', unknown);
+    }
+
+    if (!Number.isFinite(Number(level))) {
+        throw new ApiError(400, 'level must be a number');
+    }
+    if (Number(level) >= await roleService.getLevel(actorRole)) {
+        throw new ApiError(403, 'You can only create roles below your own level');
+    }
+
+    await roleService.assertCanGrantPermissions(actorRole, permissions);
+};
+
+// Load a custom role the acting user is allowed to change
+const findEditableRole = async (id, actorRole) => {
+    const role = await Role.findById(id);
+    if (!role) {
+        throw new ApiError(404, 'Role not found');
+    }
+
+    if (role.level >= await roleService.getLevel(actorRole)) {
+        throw new ApiError(403, 'You cannot modify a role at or above your own level');
+    }
+
+    return role;
+};
+
+/**
+ * @desc    Get all roles (built-in and custom) with member counts
+ * @route   GET /api/roles
+ * @access  Private/Staff
+ */
+const getRoles = asyncHandler(async (req, res) => {
+    const [roles, counts] = await Promise.all([
+        roleService.listRoles(),
+        User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+    ]);
+
+    const memberCounts = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json({
+        success: true,
+        roles: roles.map(role => ({ ...role, memberCount: memberCounts[role.name] || 0 })),
+        availablePermissions: PERMISSIONS,
+    });
+});
+
+/**
+ * @desc    Create a custom role
+ * @route   POST /api/roles
+ * @access  Private (manage:roles)
+ */
+const createRole = asyncHandler(async (req, res) => {
+    const { name, displayName, description, permissions = [], level } = req.body;
+
+    if (!name) {
+        throw new ApiError(400, 'Role name is required');
+    }
+
+    // An omitted level still has to be below the actor's: check the schema default
+    await assertCanDefine(req.user.role, { permissions, level: level ?? Role.schema.path('level').defaultValue });
+
+    if (await Role.exists({ name: String(name).toLowerCase().trim() })) {
+        throw new ApiError(400, 'A role with this name already exists');
+    }
+
+    const role = await Role.create({
+        name,
+        displayName,
+        description,
+        permissions,
+        level,
+        createdBy: req.user._id,
+    });
+
+    roleService.invalidate(role.name);
+
+    await auditService.record(req, {
+        action: 'role.create',
+        resourceType: 'Role',
+        resourceId: role._id,
+        after: role,
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        role,
+    });
+});
+
+/**
+ * @desc    Update a custom role (the name can't change once users hold it)
+ * @route   PUT /api/roles/:id
+ * @access  Private (manage:roles)
+ */
+const updateRole = asyncHandler(async (req, res) => {
+    const role = await findEditableRole(req.params.id, req.user.role);
+    const { displayName, description, permissions, level } = req.body;
+    const before = role.toObject();
+
+    await assertCanDefine(req.user.role, { permissions, level: level ?? role.level });
+
+    if (displayName !== undefined) role.displayName = displayName;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    if (level !== undefined) role.level = level;
+    role.updatedBy = req.user._id;
+
+    await role.save();
+    roleService.invalidate(role.name);
+
+    await auditService.record(req, {
+        action: 'role.update',
+        resourceType: 'Role',
+        resourceId: role._id,
+        before,
+        after: role,
+    });
+
+    res.json({
+        success: true,
+        message: 'Role updated successfully',
+        role,
+    });
+});
+
+/**
+ * @desc    Delete a custom role (only when no user or pending invitation holds it)
+ * @route   DELETE /api/roles/:id
+ * @access  Private (manage:roles)
+ */
+const deleteRole = asyncHandler(async (req, res) => {
+    const role = await findEditableRole(req.params.id, req.user.role);
+
+    if (await roleService.isInUse(role.name)) {
+        throw new ApiError(400, 'Role is still assigned to users or pending invitations. Reassign them first.');
+    }
+
+    await role.deleteOne();
+    roleService.invalidate(role.name);
+
+    await auditService.record(req, {
+        action: 'role.delete',
+        resourceType: 'Role',
+        resourceId: role._id,
+        before: role,
+    });
+
+    res.json({
+        success: true,
+        message: 'Role deleted successfully',
+    });
+});
+
+module.exports = {
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+};
@@ -0,0 +1,153 @@
+const { SearchSynonym } = require('../models');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/ApiResponse');
+const searchService = require('../services/searchService');
+const auditService = require('../services/auditService');
+
+/**
+ * Search Controller
+ * Relevance-ranked product search, autocomplete, and the synonym groups staff manage.
+ */
+
+// Synonym terms from a request body: lowercase, trimmed, at least two distinct
+const parseTerms = (terms) => {
+    if (!Array.isArray(terms)) {
+        throw new ApiError(400, 'terms must be an array');
+    }
+
+    const clean = [...new Set(terms.map(term => String(term).trim().toLowerCase()).filter(Boolean))];
+    if (clean.length < 2) {
+        throw new ApiError(400, 'A synonym group needs at least two terms');
+    }
+    return clean;
+};
+
+/**
+ * @desc    Search products by relevance (typo tolerant, with synonyms)
+ * @route   GET /api/products/search
+ * @access  Public
+ * @query   q, page, limit
+ */
+const searchProducts = asyncHandler(async (req, res) => {
+    const { q, page, limit } = req.query;
+
+    const result = await searchService.search(q, { page, limit });
+
+    res.json({
+        data: result.products,
+        correctedQuery: result.correctedQuery,
+        pagination: {
+            page: result.page,
+            limit: result.limit,
+            total: result.total,
+            pages: Math.ceil(result.total / result.limit)
+        }
+    });
+});
+
+/**
+ * @desc    Autocomplete suggestions for a partial query
+ * @route   GET /api/products/suggest
+ * @access  Public
+ * @query   q
+ */
+const suggestProducts = asyncHandler(async (req, res) => {
+    const { products, terms } = await searchService.suggest(req.query.q);
+
+    res.json({ success: true, products, terms });
+});
+
+/**
+ * @desc    Get synonym groups
+ * @route   GET /api/products/synonyms
+ * @access  Private (update:product)
+ */
+const getSynonyms = asyncHandler(async (req, res) => {
+    const synonyms = await SearchSynonym.find().sort({ terms: 1 }).lean();
+
+    res.json({ success: true, count: synonyms.length, synonyms });
+});
+
+/**
+ * @desc    Create a synonym group
+ * @route   POST /api/products/synonyms
+ * @access  Private (update:product)
+ */
+const createSynonym = asyncHandler(async (req, res) => {
+    const synonym = await SearchSynonym.create({
+        terms: parseTerms(req.body.terms),
+        createdBy: req.user._id,
+    });
+
+    searchService.invalidate();
+
+    await auditService.record(req, {
+        action: 'synonym.create',
+        resourceType: 'SearchSynonym',
+        resourceId: synonym._id,
+        after: { terms: synonym.terms },
+    });
+
+    res.status(201).json({ success: true, synonym });
+});
+
+/**
+ * @desc    Update a synonym group
+ * @route   PUT /api/products/synonyms/:id
+ * @access  Private (update:product)
+ */
+const updateSynonym = asyncHandler(async (req, res) => {
+    const synonym = await SearchSynonym.findById(req.params.id);
+    if (!synonym) {
+        throw new ApiError(404, 'Synonym group not found');
+    }
+
+    const before = { terms: [...synonym.terms] };
+    synonym.terms = parseTerms(req.body.terms);
+    synonym.updatedBy = req.user._id;
+    await synonym.save();
+
+    searchService.invalidate();
+
+    await auditService.record(req, {
+        action: 'synonym.update',
+        resourceType: 'SearchSynonym',
+        resourceId: synonym._id,
+        before,
+        after: { terms: synonym.terms },
+    });
+
+    res.json({ success: true, synonym });
+});
+
+/**
+ * @desc    Delete a synonym group
+ * @route   DELETE /api/products/synonyms/:id
+ * @access  Private (update:product)
+ */
+const deleteSynonym = asyncHandler(async (req, res) => {
+    const synonym = await SearchSynonym.findByIdAndDelete(req.params.id);
+    if (!synonym) {
+        throw new ApiError(404, 'Synonym group not found');
+    }
+
+    searchService.invalidate();
+
+    await auditService.record(req, {
+        action: 'synonym.delete',
+        resourceType: 'SearchSynonym',
+        resourceId: synonym._id,
+        before: { terms: synonym.terms },
+    });
+
+    res.json({ success: true, message: 'Synonym group deleted' });
+});
+
+module.exports = {
+    searchProducts,
+    suggestProducts,
+    getSynonyms,
+    createSynonym,
+    updateSynonym,
+    deleteSynonym,
+};
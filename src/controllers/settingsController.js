@@ -1,4 +1,5 @@
 const StoreSettings = require('../models/SiteSettings');
+const auditService = require('../services/auditService');
 
 /**
  * Store Settings Controller
@@ -31,7 +32,7 @@ const getSettings = async (req, res) => {
  * Get specific section of settings
  * @route GET /api/settings/:section
  * @access Public
- * @param section - layout, store, social, ecommerce, seo, maintenance, notifications
+ * @param section - layout, store, social, ecommerce, seo, maintenance, security, dataRetention, notifications
  */
 const getSettingsBySection = async (req, res) => {
     try {
@@ -81,6 +82,7 @@ const updateSettings = async (req, res) => {
     try {
         const { section } = req.params;
         const settings = await StoreSettings.getSettings();
+        const before = settings.toObject();
 
         // Handle legacy announcementBar endpoint
         if (section === 'announcementBar') {
@@ -92,6 +94,15 @@ const updateSettings = async (req, res) => {
             settings.updatedBy = req.user?._id;
             await settings.save();
 
+            await auditService.record(req, {
+                action: 'settings.update',
+                resourceType: 'StoreSettings',
+                resourceId: settings._id,
+                before,
+                after: settings,
+                metadata: { section },
+            });
+
             return res.json({
                 success: true,
                 data: settings.layout.announcementBar,
@@ -115,7 +126,7 @@ const updateSettings = async (req, res) => {
             };
         } else {
             // Update entire settings (merge at top level)
-            const allowedSections = ['layout', 'store', 'social', 'ecommerce', 'seo', 'maintenance', 'notifications'];
+            const allowedSections = ['layout', 'store', 'social', 'ecommerce', 'seo', 'maintenance', 'security', 'dataRetention', 'notifications'];
             
             for (const key of allowedSections) {
                 if (req.body[key]) {
@@ -130,6 +141,15 @@ const updateSettings = async (req, res) => {
         settings.updatedBy = req.user?._id;
         await settings.save();
 
+        await auditService.record(req, {
+            action: 'settings.update',
+            resourceType: 'StoreSettings',
+            resourceId: settings._id,
+            before,
+            after: settings,
+            metadata: section ? { section } : undefined,
+        });
+
         res.json({
             success: true,
             data: settings,
@@ -151,9 +171,18 @@ const updateSettings = async (req, res) => {
  */
 const resetSettings = async (req, res) => {
     try {
+        const before = await StoreSettings.findOne().lean();
         await StoreSettings.deleteMany({});
         const settings = await StoreSettings.getSettings(); // Creates new with defaults
 
+        await auditService.record(req, {
+            action: 'settings.reset',
+            resourceType: 'StoreSettings',
+            resourceId: settings._id,
+            before,
+            after: settings,
+        });
+
         res.json({
             success: true,
             data: settings,
@@ -3,10 +3,19 @@ const Invitation = require('../models/Invitation');
 const emailService = require('../services/emailService');
 const { ApiError, ApiResponse } = require('../utils/ApiResponse');
 const asyncHandler = require('../utils/asyncHandler');
-const { ROLES, PERMISSIONS } = require('../constants/permissions');
+const roleService = require('../services/roleService');
+const auditService = require('../services/auditService');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
 
+// Only admins, or staff who outrank the member, may change a member's role
+const assertCanManageMember = async (actor, member) => {
+    if (actor.role !== 'admin' && !(await roleService.outranks(actor.role, member.role))) {
+        throw new ApiError(403, 'You cannot modify a user with equal or higher role');
+    }
+};
+
 /**
  * Team Controller
  * Handles team member management and invitations
@@ -14,7 +23,7 @@ const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
 
 // @desc    Send team invitation
 // @route   POST /api/team/invite
-// @access  Admin only
+// @access  Private (manage:roles)
 const inviteMember = asyncHandler(async (req, res) => {
     const { email, role } = req.body;
     
@@ -22,18 +31,21 @@ const inviteMember = asyncHandler(async (req, res) => {
         throw new ApiError(400, 'Email and role are required');
     }
     
-    if (!['admin', 'moderator'].includes(role)) {
-        throw new ApiError(400, 'Role must be admin or moderator');
+    if (role === 'user') {
+        throw new ApiError(400, 'Role must be a staff role');
     }
     
+    // A role can only hand out permissions it holds itself
+    await roleService.assertCanAssign(req.user.role, role);
+    
     // Check if user already exists with this role or higher
     const existingUser = await User.findOne({ email });
     if (existingUser) {
         if (existingUser.role === role) {
             throw new ApiError(400, `User is already a ${role}`);
         }
-        if (existingUser.role === 'admin' && role === 'moderator') {
-            throw new ApiError(400, 'User is already an admin');
+        if (await roleService.outranks(existingUser.role, role)) {
+            throw new ApiError(400, `User already has a higher role (${existingUser.role})`);
         }
     }
     
@@ -48,6 +60,13 @@ const inviteMember = asyncHandler(async (req, res) => {
             token,
         });
         
+        await auditService.record(req, {
+            action: 'team.invite',
+            resourceType: 'Invitation',
+            resourceId: invitation._id,
+            after: { email: invitation.email, role: invitation.role },
+        });
+        
         // Send invitation email
         const inviteLink = `${CLIENT_URL}/invite/${token}`;
         await emailService.sendTeamInvitation(
@@ -126,6 +145,11 @@ const acceptInvitation = asyncHandler(async (req, res) => {
         throw new ApiError(403, 'This invitation was sent to a different email address');
     }
     
+    // The role may have been deleted since the invitation was sent
+    if (!(await roleService.getRole(invitation.role))) {
+        throw new ApiError(400, 'The role in this invitation no longer exists');
+    }
+    
     // Update user role
     const user = await User.findByIdAndUpdate(
         req.user._id,
@@ -149,7 +173,7 @@ const acceptInvitation = asyncHandler(async (req, res) => {
 
 // @desc    Cancel/revoke invitation
 // @route   DELETE /api/team/invite/:id
-// @access  Admin only
+// @access  Private (manage:roles)
 const cancelInvitation = asyncHandler(async (req, res) => {
     const { id } = req.params;
     
@@ -166,15 +190,24 @@ const cancelInvitation = asyncHandler(async (req, res) => {
     invitation.status = 'cancelled';
     await invitation.save();
     
+    await auditService.record(req, {
+        action: 'team.invite_cancel',
+        resourceType: 'Invitation',
+        resourceId: invitation._id,
+        before: { status: 'pending' },
+        after: { status: 'cancelled' },
+        metadata: { email: invitation.email, role: invitation.role },
+    });
+    
     res.json(new ApiResponse(200, null, 'Invitation cancelled'));
 });
 
-// @desc    Get all team members (admins and moderators)
+// @desc    Get all team members (every role except user)
 // @route   GET /api/team/members
-// @access  Staff (admin/moderator)
+// @access  Staff
 const getTeamMembers = asyncHandler(async (req, res) => {
     const members = await User.find({ 
-        role: { $in: ['admin', 'moderator'] } 
+        role: { $ne: 'user' } 
     })
     .select('name email role avatar createdAt lastLogin')
     .sort({ role: 1, createdAt: -1 });
@@ -184,7 +217,7 @@ const getTeamMembers = asyncHandler(async (req, res) => {
 
 // @desc    Get pending invitations
 // @route   GET /api/team/invitations
-// @access  Admin only
+// @access  Private (manage:roles)
 const getPendingInvitations = asyncHandler(async (req, res) => {
     const invitations = await Invitation.find({ 
         status: 'pending',
@@ -198,12 +231,12 @@ const getPendingInvitations = asyncHandler(async (req, res) => {
 
 // @desc    Update team member role
 // @route   PUT /api/team/members/:id
-// @access  Admin only
+// @access  Private (manage:roles)
 const updateMemberRole = asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { role } = req.body;
     
-    if (!['admin', 'moderator', 'user'].includes(role)) {
+    if (!role) {
         throw new ApiError(400, 'Invalid role');
     }
     
@@ -213,6 +246,9 @@ const updateMemberRole = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'User not found');
     }
     
+    await assertCanManageMember(req.user, member);
+    await roleService.assertCanAssign(req.user.role, role);
+    
     // Prevent self-demotion for last admin
     if (member._id.toString() === req.user._id.toString() && role !== 'admin') {
         const adminCount = await User.countDocuments({ role: 'admin' });
@@ -221,9 +257,19 @@ const updateMemberRole = asyncHandler(async (req, res) => {
         }
     }
     
+    const previousRole = member.role;
     member.role = role;
     await member.save();
     
+    await auditService.record(req, {
+        action: 'user.role_change',
+        resourceType: 'User',
+        resourceId: member._id,
+        before: { role: previousRole },
+        after: { role },
+        metadata: { email: member.email },
+    });
+    
     res.json(
         new ApiResponse(200, { 
             member: member.toPublicJSON() 
@@ -233,7 +279,7 @@ const updateMemberRole = asyncHandler(async (req, res) => {
 
 // @desc    Remove member from team (demote to user)
 // @route   DELETE /api/team/members/:id
-// @access  Admin only
+// @access  Private (manage:roles)
 const removeMember = asyncHandler(async (req, res) => {
     const { id } = req.params;
     
@@ -243,10 +289,12 @@ const removeMember = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'User not found');
     }
     
-    if (!['admin', 'moderator'].includes(member.role)) {
+    if (member.role === 'user') {
         throw new ApiError(400, 'User is not a team member');
     }
     
+    await assertCanManageMember(req.user, member);
+    
     // Prevent removing self if last admin
     if (member._id.toString() === req.user._id.toString()) {
         const adminCount = await User.countDocuments({ role: 'admin' });
@@ -255,15 +303,25 @@ const removeMember = asyncHandler(async (req, res) => {
         }
     }
     
+    const previousRole = member.role;
     member.role = 'user';
     await member.save();
     
+    await auditService.record(req, {
+        action: 'user.role_change',
+        resourceType: 'User',
+        resourceId: member._id,
+        before: { role: previousRole },
+        after: { role: 'user' },
+        metadata: { email: member.email },
+    });
+    
     res.json(new ApiResponse(200, null, 'Member removed from team'));
 });
 
 // @desc    Resend invitation email
 // @route   POST /api/team/invite/:id/resend
-// @access  Admin only
+// @access  Private (manage:roles)
 const resendInvitation = asyncHandler(async (req, res) => {
     const { id } = req.params;
     
@@ -307,28 +365,31 @@ const resendInvitation = asyncHandler(async (req, res) => {
     );
 });
 
-// @desc    Get permissions for all roles
+// Descriptions for the built-in staff roles
+const BUILT_IN_DESCRIPTIONS = {
+    admin: 'Full access to all features',
+    moderator: 'Manage products, orders, and moderate content',
+};
+
+// @desc    Get permissions for all staff roles (built-in and custom)
 // @route   GET /api/team/permissions
-// @access  Staff (admin/moderator)
+// @access  Staff
 const getPermissions = asyncHandler(async (req, res) => {
-    const permissions = {
-        admin: {
-            description: 'Full access to all features',
+    const roles = await roleService.listRoles();
+    
+    const permissions = {};
+    for (const role of roles.filter(r => r.name !== 'user')) {
+        permissions[role.name] = {
+            displayName: role.displayName,
+            description: role.builtIn ? BUILT_IN_DESCRIPTIONS[role.name] : role.description,
+            builtIn: role.builtIn,
             permissions: Object.keys(PERMISSIONS).map(key => ({
                 key,
                 name: PERMISSIONS[key],
-                granted: true,
+                granted: role.permissions.includes(PERMISSIONS[key]),
             })),
-        },
-        moderator: {
-            description: 'Manage products, orders, and moderate content',
-            permissions: Object.keys(PERMISSIONS).map(key => ({
-                key,
-                name: PERMISSIONS[key],
-                granted: ROLES.moderator.includes(PERMISSIONS[key]),
-            })),
-        },
-    };
+        };
+    }
     
     res.json(new ApiResponse(200, { permissions }));
 });
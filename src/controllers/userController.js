@@ -1,7 +1,8 @@
 const { User } = require('../models');
 const asyncHandler = require('../utils/asyncHandler');
 const { ApiResponse, ApiError } = require('../utils/ApiResponse');
-const { sendWelcomeEmail } = require('../services/emailService');
+const { assertOwnEmail } = require('../utils/ownership');
+const paymentMethodService = require('../services/paymentMethodService');
 
 /**
  * @desc    Get all users
@@ -9,7 +10,7 @@ const { sendWelcomeEmail } = require('../services/emailService');
  * @access  Private/Admin
  */
 const getAllUsers = asyncHandler(async (req, res) => {
-    const users = await User.find().sort({ createdAt: -1 });
+    const users = await User.find().select('-password').sort({ createdAt: -1 });
     // Return plain array for frontend compatibility
     res.json(users);
 });
@@ -17,9 +18,13 @@ const getAllUsers = asyncHandler(async (req, res) => {
 /**
  * @desc    Get user by email
  * @route   GET /api/users/:email
- * @access  Private
+ * @access  Private (own profile, or staff)
  */
 const getUserByEmail = asyncHandler(async (req, res) => {
+    if (req.requireOwnership) {
+        assertOwnEmail(req.user, req.params.email, 'You can only view your own profile');
+    }
+
     const user = await User.findOne({ email: req.params.email });
 
     if (!user) {
@@ -30,30 +35,30 @@ const getUserByEmail = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Create/Register new user
+ * @desc    Create/Register user (legacy). Accounts are created by sign-up, so this only
+ *          records the caller's name on their own account; the email always comes from the session.
  * @route   POST /api/users
- * @access  Public
+ * @access  Private
  */
 const createUser = asyncHandler(async (req, res) => {
-    const { email } = req.body;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-        return res.json(existingUser);
+    const user = await User.findOne({ email: req.user.email });
+    if (!user) {
+        throw new ApiError(404, 'User not found');
     }
 
-    const user = await User.create(req.body);
-
-    // Send welcome email (asynchronous, don't block response)
-    sendWelcomeEmail({ email: user.email, name: user.orderName || user.name || 'Valued Customer' })
-        .catch(err => console.error('Failed to send welcome email:', err));
+    if (name && name !== user.name) {
+        user.name = name;
+        await user.save();
+    }
 
-    res.status(201).json(user);
+    res.json(user.toPublicJSON());
 });
 
 /**
- * @desc    Update user card information
+ * @desc    Update user card information (retired: raw card numbers are refused;
+ *          cards are saved through POST /api/payments/setup-intent)
  * @route   PUT /api/users/card
  * @access  Private
  */
@@ -63,18 +68,19 @@ const updateCardInfo = asyncHandler(async (req, res) => {
     if (!email) {
         throw new ApiError(400, 'Email is required');
     }
+    assertOwnEmail(req.user, email, 'You can only update your own profile');
 
-    const user = await User.findOneAndUpdate(
-        { email },
-        { cardnumber },
-        { new: true, upsert: true, runValidators: true }
-    );
+    if (cardnumber !== undefined || Object.values(req.body).some(value => paymentMethodService.looksLikeCardNumber(value))) {
+        throw new ApiError(400, 'Card numbers are not accepted. Save a card with POST /api/payments/setup-intent instead.');
+    }
 
-    res.json(user);
+    const paymentMethods = await paymentMethodService.list(req.user);
+
+    res.json({ paymentMethods });
 });
 
 /**
- * @desc    Update user delivery information
+ * @desc    Update user delivery information (single legacy address; see /api/addresses)
  * @route   PUT /api/users/delivery
  * @access  Private
  */
@@ -84,9 +90,10 @@ const updateDeliveryInfo = asyncHandler(async (req, res) => {
     if (!email) {
         throw new ApiError(400, 'Email is required');
     }
+    assertOwnEmail(req.user, email, 'You can only update your own profile');
 
     const user = await User.findOneAndUpdate(
-        { email },
+        { email: req.user.email },
         { address, orderName, contact, city },
         { new: true, upsert: true, runValidators: true }
     );
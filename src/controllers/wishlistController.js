@@ -1,6 +1,7 @@
 const Wishlist = require('../models/Wishlist');
 const { Product } = require('../models');
 const asyncHandler = require('../utils/asyncHandler');
+const { assertOwnEmail } = require('../utils/ownership');
 
 /**
  * @desc    Get user's wishlist
@@ -9,6 +10,7 @@ const asyncHandler = require('../utils/asyncHandler');
  */
 const getWishlist = asyncHandler(async (req, res) => {
     const { email } = req.params;
+    assertOwnEmail(req.user, email, 'You can only access your own wishlist');
 
     const wishlistItems = await Wishlist.find({ email }).populate({
         path: 'productId',
@@ -60,6 +62,8 @@ const addToWishlist = asyncHandler(async (req, res) => {
         });
     }
 
+    assertOwnEmail(req.user, email, 'You can only access your own wishlist');
+
     // Check if already in wishlist
     const existing = await Wishlist.findOne({ email, productId });
     if (existing) {
@@ -94,6 +98,7 @@ const addToWishlist = asyncHandler(async (req, res) => {
  */
 const removeFromWishlist = asyncHandler(async (req, res) => {
     const { email, productId } = req.params;
+    assertOwnEmail(req.user, email, 'You can only access your own wishlist');
 
     const result = await Wishlist.findOneAndDelete({ email, productId });
 
@@ -117,6 +122,7 @@ const removeFromWishlist = asyncHandler(async (req, res) => {
  */
 const checkWishlist = asyncHandler(async (req, res) => {
     const { email, productId } = req.params;
+    assertOwnEmail(req.user, email, 'You can only access your own wishlist');
 
     const exists = await Wishlist.findOne({ email, productId });
 
@@ -133,6 +139,7 @@ const checkWishlist = asyncHandler(async (req, res) => {
  */
 const getWishlistCount = asyncHandler(async (req, res) => {
     const { email } = req.params;
+    assertOwnEmail(req.user, email, 'You can only access your own wishlist');
 
     const count = await Wishlist.countDocuments({ email });
 
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const sessionService = require('../services/sessionService');
 const { ApiError } = require('../utils/ApiResponse');
 const asyncHandler = require('../utils/asyncHandler');
 
@@ -8,6 +9,20 @@ const asyncHandler = require('../utils/asyncHandler');
  * Protects routes by verifying JWT tokens
  */
 
+/**
+ * Verify a session access token
+ * Challenge, link and refresh tokens are signed with the same secret but must not authenticate requests
+ * @param {String} token - JWT from the header or cookie
+ * @returns {Object} Decoded payload
+ */
+const verifyAccessToken = (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'access' || !decoded.sid || decoded.purpose) {
+        throw new jwt.JsonWebTokenError('invalid token type');
+    }
+    return decoded;
+};
+
 /**
  * Protect route - Require authentication
  * Extracts JWT from Authorization header or cookies
@@ -30,7 +45,7 @@ const protect = asyncHandler(async (req, res, next) => {
 
     try {
         // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = verifyAccessToken(token);
 
         // Find user and attach to request
         const user = await User.findById(decoded.id);
@@ -39,7 +54,13 @@ const protect = asyncHandler(async (req, res, next) => {
             throw new ApiError(401, 'User not found. Please log in again.');
         }
 
+        // Tokens of a revoked session (logout, device removed, reuse detected) stop working
+        if (!(await sessionService.isActive(decoded.sid))) {
+            throw new ApiError(401, 'Session has been revoked. Please log in again.');
+        }
+
         req.user = user;
+        req.sessionId = decoded.sid;
         next();
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
@@ -88,10 +109,11 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
 
     if (token) {
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            const decoded = verifyAccessToken(token);
             const user = await User.findById(decoded.id);
-            if (user) {
+            if (user && await sessionService.isActive(decoded.sid)) {
                 req.user = user;
+                req.sessionId = decoded.sid;
             }
         } catch (error) {
             // Token invalid, but don't throw - just continue without user
@@ -1,24 +1,20 @@
 const { ApiError } = require('../utils/ApiResponse');
-const { 
-    PERMISSIONS, 
-    hasPermission, 
-    hasAllPermissions, 
-    hasAnyPermission,
-    outranks 
-} = require('../constants/permissions');
+const asyncHandler = require('../utils/asyncHandler');
+const { PERMISSIONS } = require('../constants/permissions');
+const roleService = require('../services/roleService');
 
-// RBAC Middleware: Permission-based authorization
+// RBAC Middleware: Permission-based authorization (built-in and custom roles)
 
 // Authorize middleware - Check if user has ALL required permissions
 const authorize = (...requiredPermissions) => {
-    return (req, res, next) => {
+    return asyncHandler(async (req, res, next) => {
         if (!req.user) {
             throw new ApiError(401, 'Authentication required');
         }
 
         const userRole = req.user.role;
         
-        if (!hasAllPermissions(userRole, requiredPermissions)) {
+        if (!(await roleService.hasAllPermissions(userRole, requiredPermissions))) {
             throw new ApiError(
                 403, 
                 'You do not have permission to perform this action'
@@ -26,19 +22,19 @@ const authorize = (...requiredPermissions) => {
         }
 
         next();
-    };
+    });
 };
 
 // Authorize any - Check if user has ANY of the required permissions
 const authorizeAny = (...anyPermissions) => {
-    return (req, res, next) => {
+    return asyncHandler(async (req, res, next) => {
         if (!req.user) {
             throw new ApiError(401, 'Authentication required');
         }
 
         const userRole = req.user.role;
         
-        if (!hasAnyPermission(userRole, anyPermissions)) {
+        if (!(await roleService.hasAnyPermission(userRole, anyPermissions))) {
             throw new ApiError(
                 403, 
                 'You do not have permission to perform this action'
@@ -46,7 +42,7 @@ const authorizeAny = (...anyPermissions) => {
         }
 
         next();
-    };
+    });
 };
 
 // Admin only middleware - Shorthand for admin-only routes
@@ -62,50 +58,49 @@ const adminOnly = (req, res, next) => {
     next();
 };
 
-// Staff only middleware - Allows admin and moderator
-const staffOnly = (req, res, next) => {
+// Staff only middleware - Any role with dashboard access (admin, moderator, custom staff roles)
+const staffOnly = asyncHandler(async (req, res, next) => {
     if (!req.user) {
         throw new ApiError(401, 'Authentication required');
     }
 
-    if (!['admin', 'moderator'].includes(req.user.role)) {
+    if (!(await roleService.hasPermission(req.user.role, PERMISSIONS.ACCESS_DASHBOARD))) {
         throw new ApiError(403, 'Staff access required');
     }
 
     next();
-};
+});
 
 // Check permission middleware - For conditional logic in controllers
-const attachPermissions = (req, res, next) => {
-    req.hasPermission = (permission) => {
-        if (!req.user) return false;
-        return hasPermission(req.user.role, permission);
-    };
+const attachPermissions = asyncHandler(async (req, res, next) => {
+    const permissions = req.user ? await roleService.getPermissions(req.user.role) : [];
+
+    req.hasPermission = (permission) => permissions.includes(permission);
     
     req.canManage = (targetRole) => {
-        if (!req.user) return false;
-        return outranks(req.user.role, targetRole);
+        if (!req.user) return Promise.resolve(false);
+        return roleService.outranks(req.user.role, targetRole);
     };
     
     next();
-};
+});
 
 // Resource ownership check - Ensure user owns the resource or has override permission
 const ownerOrPermission = (overridePermission) => {
-    return (req, res, next) => {
+    return asyncHandler(async (req, res, next) => {
         if (!req.user) {
             throw new ApiError(401, 'Authentication required');
         }
 
         // Check if user has override permission (admin/moderator)
-        if (hasPermission(req.user.role, overridePermission)) {
+        if (await roleService.hasPermission(req.user.role, overridePermission)) {
             return next();
         }
 
         // Otherwise, ownership check must be performed in the controller
         req.requireOwnership = true;
         next();
-    };
+    });
 };
 
 module.exports = {
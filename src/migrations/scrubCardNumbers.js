@@ -0,0 +1,29 @@
+require('dotenv').config();
+
+const { connectDB, closeDB } = require('../config/database');
+const { User } = require('../models');
+
+/**
+ * Migration: remove plaintext card numbers from users
+ * Cards are now saved as Stripe payment methods; the old `cardnumber` values
+ * are unset rather than converted since they can't be turned into payment methods.
+ * Safe to run more than once.
+ * Usage: npm run migrate:scrub-cards
+ */
+const run = async () => {
+    await connectDB();
+
+    const result = await User.updateMany(
+        { cardnumber: { $exists: true } },
+        { $unset: { cardnumber: 1 } }
+    );
+
+    console.log(`Scrubbed card numbers from ${result.modifiedCount} users`);
+};
+
+run()
+    .catch((error) => {
+        console.error('Card number scrub failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(closeDB);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog Schema
+ * Append-only record of staff actions: who did what to which resource,
+ * with the changed fields before and after and where the request came from.
+ */
+const auditLogSchema = new mongoose.Schema(
+    {
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            index: true,
+        },
+        // Copied so entries stay readable after the user changes or is deleted
+        actorEmail: String,
+        actorRole: String,
+        // Dotted verb, e.g. 'product.update', 'user.role_change', 'order.delete'
+        action: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        resourceType: {
+            type: String,
+            required: true,
+        },
+        resourceId: String,
+        // Changed fields only, by dotted path; sensitive values redacted
+        changes: [{
+            _id: false,
+            path: String,
+            before: mongoose.Schema.Types.Mixed,
+            after: mongoose.Schema.Types.Mixed,
+        }],
+        metadata: mongoose.Schema.Types.Mixed,
+        ip: String,
+        userAgent: String,
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        collection: 'auditLogs',
+    }
+);
+
+auditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries can be written once and never changed or removed
+const rejectWrite = function (next) {
+    next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre('save', function (next) {
+    if (!this.isNew) return rejectWrite(next);
+    next();
+});
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    rejectWrite
+);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -1,5 +1,40 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const softDelete = require('./plugins/softDelete');
+
+/**
+ * Category Attribute Schema (embedded)
+ * One entry in a category's attribute catalog: the variant attribute names
+ * products in the category may use and, optionally, the values allowed for each.
+ * Subcategories inherit their parents' attributes (see attributeCatalogService).
+ */
+const categoryAttributeSchema = new mongoose.Schema(
+    {
+        // Used as the key in Product.variants[].attributes, e.g. 'RAM', 'Color'
+        name: {
+            type: String,
+            required: [true, 'Attribute name is required'],
+            trim: true,
+            maxlength: 50,
+            match: [/^[^.$][^.]*$/, 'Attribute names cannot start with "$" or contain "."'],
+        },
+        // Empty means any value is accepted
+        values: {
+            type: [String],
+            default: [],
+        },
+        // Display unit, e.g. 'GB', 'inch'
+        unit: {
+            type: String,
+            trim: true,
+        },
+        order: {
+            type: Number,
+            default: 0,
+        },
+    },
+    { _id: false }
+);
 
 const categorySchema = new mongoose.Schema(
     {
@@ -47,6 +82,11 @@ const categorySchema = new mongoose.Schema(
             type: Boolean,
             default: true,
         },
+        // Attribute catalog for products in this category
+        attributes: {
+            type: [categoryAttributeSchema],
+            default: [],
+        },
     },
     {
         timestamps: true,
@@ -62,6 +102,49 @@ categorySchema.virtual('subcategories', {
     foreignField: 'parent',
 });
 
+/**
+ * Every category's id, slug and parent (the tree getDescendantIds walks)
+ * @returns {Promise<Array<Object>>}
+ */
+categorySchema.statics.getTree = function () {
+    return this.find({}).select('_id slug parent').lean();
+};
+
+/**
+ * Resolve category IDs or slugs to a set of IDs including every descendant
+ * @param {Array<String>} values - Category ObjectIds or slugs
+ * @param {Array<Object>} tree - Result of getTree() when the caller already has it
+ * @returns {Promise<Set<String>>} Category IDs (as strings)
+ */
+categorySchema.statics.getDescendantIds = async function (values = [], tree = null) {
+    if (!values.length) return new Set();
+
+    const categories = tree || await this.getTree();
+
+    const childrenByParent = {};
+    categories.forEach(cat => {
+        const parentId = cat.parent ? String(cat.parent) : null;
+        if (!parentId) return;
+        (childrenByParent[parentId] = childrenByParent[parentId] || []).push(String(cat._id));
+    });
+
+    const roots = values.map(value => {
+        const match = categories.find(cat => String(cat._id) === String(value) || cat.slug === value);
+        return match ? String(match._id) : null;
+    }).filter(Boolean);
+
+    const result = new Set();
+    const stack = [...roots];
+    while (stack.length) {
+        const id = stack.pop();
+        if (result.has(id)) continue;
+        result.add(id);
+        stack.push(...(childrenByParent[id] || []));
+    }
+
+    return result;
+};
+
 // Auto-generate slug before save
 categorySchema.pre('save', function (next) {
     if (this.isModified('name') && !this.slug) {
@@ -70,6 +153,8 @@ categorySchema.pre('save', function (next) {
     next();
 });
 
+categorySchema.plugin(softDelete);
+
 const Category = mongoose.model('Category', categorySchema);
 
 module.exports = Category;
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * Credit Account Schema
+ * A spendable balance: either a gift card (identified by code)
+ * or a customer's store credit (one account per user).
+ * Every balance change is recorded in the credit ledger.
+ */
+const creditAccountSchema = new mongoose.Schema(
+    {
+        kind: {
+            type: String,
+            enum: ['gift_card', 'store_credit'],
+            required: true,
+        },
+        // Gift cards only
+        code: {
+            type: String,
+            uppercase: true,
+            trim: true,
+        },
+        // Store credit owner, or the customer a gift card was issued to
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        recipientEmail: {
+            type: String,
+            trim: true,
+            lowercase: true,
+        },
+        initialBalance: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        balance: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        currency: {
+            type: String,
+            default: 'bdt',
+        },
+        status: {
+            type: String,
+            enum: ['active', 'voided'],
+            default: 'active',
+        },
+        expiresAt: {
+            type: Date,
+            default: null, // null means no expiry
+        },
+        // How a gift card came to exist
+        source: {
+            type: String,
+            enum: ['purchase', 'admin', 'refund'],
+        },
+        // Stripe PaymentIntent that paid for a purchased gift card
+        paymentIntentId: String,
+        note: String,
+        issuedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        voidedAt: Date,
+        voidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        voidReason: String,
+    },
+    {
+        timestamps: true,
+        collection: 'creditAccounts',
+    }
+);
+
+creditAccountSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { kind: 'gift_card' } });
+creditAccountSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { kind: 'store_credit' } });
+creditAccountSchema.index({ paymentIntentId: 1 }, { unique: true, sparse: true });
+creditAccountSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual to check if the account has expired
+creditAccountSchema.virtual('isExpired').get(function () {
+    return Boolean(this.expiresAt && this.expiresAt < new Date());
+});
+
+// Virtual to check if the account can be spent right now
+creditAccountSchema.virtual('isUsable').get(function () {
+    return this.status === 'active' && !this.isExpired && this.balance > 0;
+});
+
+creditAccountSchema.set('toJSON', { virtuals: true });
+
+const CreditAccount = mongoose.model('CreditAccount', creditAccountSchema);
+
+module.exports = CreditAccount;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * Credit Ledger Schema
+ * Append-only history of every gift card and store credit balance change.
+ * Credits are positive amounts, debits negative.
+ */
+const creditLedgerSchema = new mongoose.Schema(
+    {
+        account: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CreditAccount',
+            required: true,
+            index: true,
+        },
+        kind: {
+            type: String,
+            enum: ['gift_card', 'store_credit'],
+        },
+        code: String,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        type: {
+            type: String,
+            enum: [
+                'issue',    // Card issued / credit granted
+                'redeem',   // Spent on an order
+                'reversal', // Redemption given back when the order was cancelled
+                'void',     // Remaining balance removed by staff
+                'expire',   // Remaining balance removed at expiry
+            ],
+            required: true,
+        },
+        amount: {
+            type: Number,
+            required: true,
+        },
+        balanceAfter: Number,
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order',
+        },
+        returnRequest: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ReturnRequest',
+        },
+        note: String,
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+        collection: 'creditLedger',
+    }
+);
+
+creditLedgerSchema.index({ user: 1, createdAt: -1 });
+creditLedgerSchema.index({ order: 1, type: 1 });
+
+const CreditLedger = mongoose.model('CreditLedger', creditLedgerSchema);
+
+module.exports = CreditLedger;
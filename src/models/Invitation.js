@@ -1,9 +1,10 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { ROLES } = require('../constants/permissions');
 
 /**
  * Invitation Schema
- * Tracks pending team invitations for admin/moderator roles
+ * Tracks pending team invitations for staff roles (built-in or custom)
  */
 const invitationSchema = new mongoose.Schema(
     {
@@ -16,8 +17,15 @@ const invitationSchema = new mongoose.Schema(
         },
         role: {
             type: String,
-            enum: ['moderator', 'admin'],
             required: [true, 'Role is required'],
+            validate: {
+                // admin, moderator or an existing custom Role
+                validator: async function (value) {
+                    if (value === 'user') return false;
+                    return Boolean(ROLES[value] || await mongoose.model('Role').exists({ name: value }));
+                },
+                message: 'Role must be a staff role',
+            },
         },
         invitedBy: {
             type: mongoose.Schema.Types.ObjectId,
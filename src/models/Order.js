@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { ORDER_STATUSES } = require('../constants/orderStatus');
+const softDelete = require('./plugins/softDelete');
 
 /**
  * Order Item Schema (embedded)
@@ -67,6 +69,17 @@ const orderSchema = new mongoose.Schema(
             type: String,
             trim: true,
         },
+        // Snapshot of the saved address used at checkout (address/city/contact above are derived from it)
+        shippingAddress: {
+            addressId: mongoose.Schema.Types.ObjectId,
+            label: String,
+            recipientName: String,
+            phone: String,
+            address: String,
+            area: String,
+            district: String,
+            postcode: String,
+        },
         email: {
             type: String,
             trim: true,
@@ -92,9 +105,32 @@ const orderSchema = new mongoose.Schema(
         },
         orderStatus: {
             type: String,
-            enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
+            enum: ORDER_STATUSES,
             default: 'pending',
         },
+        // Payment Info (kept in sync with Stripe through webhooks)
+        payment: {
+            method: {
+                type: String,
+                enum: ['card', 'cod', 'credit'], // credit: fully paid by gift card / store credit
+            },
+            paymentIntentId: String,
+            status: {
+                type: String,
+                enum: ['pending', 'succeeded', 'failed', 'refunded', 'partially_refunded'],
+                default: 'pending',
+            },
+            amount: Number,
+            amountRefunded: {
+                type: Number,
+                default: 0,
+            },
+            currency: String,
+            failureMessage: String,
+            paidAt: Date,
+            refundedAt: Date,
+            lastEventId: String,
+        },
         // Courier / Shipment Info (Steadfast)
         courierInfo: {
             consignmentId: String,
@@ -111,17 +147,57 @@ const orderSchema = new mongoose.Schema(
             type: Number,
             default: 0,
         },
+        // Server-calculated price breakdown
+        // discount is the promo code discount, promotionDiscount the automatic promotions.
+        // creditApplied is paid by gift cards / store credit, leaving amountDue (=== amount)
+        pricing: {
+            subtotal: Number,
+            promotionDiscount: Number,
+            discount: Number,
+            shipping: Number,
+            total: Number,
+            creditApplied: Number,
+            amountDue: Number,
+        },
+        // Gift card and store credit tenders redeemed for this order
+        tenders: [{
+            account: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'CreditAccount',
+            },
+            kind: {
+                type: String,
+                enum: ['gift_card', 'store_credit'],
+            },
+            code: String,
+            amount: Number,
+        }],
+        // Automatic promotions applied at checkout
+        promotions: [{
+            promotion: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Promotion',
+            },
+            name: String,
+            type: { type: String },
+            discount: Number,
+            freeShipping: Boolean,
+        }],
         // Status History for Timeline
         statusHistory: [{
             status: {
                 type: String,
-                enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
+                enum: ORDER_STATUSES,
             },
             timestamp: {
                 type: Date,
                 default: Date.now,
             },
             note: String,
+            changedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
         }],
     },
     {
@@ -135,6 +211,10 @@ const orderSchema = new mongoose.Schema(
 orderSchema.index({ email: 1 });
 orderSchema.index({ orderStatus: 1 });
 orderSchema.index({ 'courierInfo.trackingCode': 1 });
+orderSchema.index({ 'payment.paymentIntentId': 1 }, { unique: true, sparse: true });
+
+// Deleted orders are hidden (including from analytics) until restored or purged
+orderSchema.plugin(softDelete);
 
 const Order = mongoose.model('Order', orderSchema);
 
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 /**
  * Product Schema - Clean, simplified structure
@@ -144,9 +145,17 @@ const productSchema = new mongoose.Schema(
 
 // Indexes for common queries
 productSchema.index({ 'category': 1, 'subCategory': 1 });
+// Weighted text index for product search (name > tags > brand > description)
+productSchema.index(
+    { name: 'text', tags: 'text', brand: 'text', description: 'text' },
+    { name: 'product_search', weights: { name: 10, tags: 5, brand: 3, description: 1 } }
+);
+// Wildcard index so attribute filters (variants.attributes.<name>) can use an index for any attribute name;
+// productSearchService puts them in the leading $match of the listing, its facet counts and the export
+productSchema.index({ 'variants.attributes.$**': 1 });
 
 // Slug generation utility
-async function generateUniqueSlug(name, productId) {
+async function generateUniqueSlug(name, productId, session) {
     // Take first 100 chars, convert to lowercase, replace spaces/special chars with hyphens
     let baseSlug = name
         .slice(0, 100)
@@ -158,9 +167,10 @@ async function generateUniqueSlug(name, productId) {
     let slug = baseSlug;
     let counter = 1;
     
-    // Check if slug exists (excluding current product if updating)
+    // Check if slug exists (excluding current product if updating; trashed products keep theirs)
     const Product = mongoose.model('Product');
-    while (await Product.findOne({ slug, _id: { $ne: productId } })) {
+    // Inside a transaction, so products created earlier in it are seen
+    while (await Product.findOne({ slug, _id: { $ne: productId } }).withDeleted().session(session)) {
         slug = `${baseSlug}-${counter}`;
         counter++;
     }
@@ -170,9 +180,9 @@ async function generateUniqueSlug(name, productId) {
 
 // Pre-save hook: Generate slug if missing or name changed
 productSchema.pre('save', async function(next) {
-    // Generate slug if missing or name changed
-    if (!this.slug || this.isModified('name')) {
-        this.slug = await generateUniqueSlug(this.name, this._id);
+    // Generate slug if missing or name changed (a slug set explicitly, like a CSV import handle, is kept)
+    if (!this.slug || (this.isModified('name') && !this.isModified('slug'))) {
+        this.slug = await generateUniqueSlug(this.name, this._id, this.$session());
     }
     
     // Ensure at least one variant exists
@@ -183,6 +193,9 @@ productSchema.pre('save', async function(next) {
     next();
 });
 
+// Deleted products stay in the trash so order items keep their references
+productSchema.plugin(softDelete);
+
 const Product = mongoose.model('Product', productSchema);
 
 module.exports = Product;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { buildLineMatcher, allocateDiscount } = require('../utils/lineTargeting');
 
 /**
  * Promo Code Schema
@@ -46,6 +47,14 @@ const promoCodeSchema = new mongoose.Schema(
             type: Number,
             default: 0,
         },
+        perCustomerLimit: {
+            type: Number,
+            default: null, // null means unlimited per customer
+        },
+        firstOrderOnly: {
+            type: Boolean,
+            default: false,
+        },
         validFrom: {
             type: Date,
             default: Date.now,
@@ -59,10 +68,39 @@ const promoCodeSchema = new mongoose.Schema(
             default: true,
             index: true,
         },
+        // Item-level targeting (see utils/lineTargeting)
         applicableCategories: {
             type: [String],
             default: [], // Empty means all categories
         },
+        applicableBrands: {
+            type: [String],
+            default: [],
+        },
+        applicableProducts: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+        }],
+        applicableVariants: {
+            type: [String],
+            default: [],
+        },
+        excludedCategories: {
+            type: [String],
+            default: [],
+        },
+        excludedBrands: {
+            type: [String],
+            default: [],
+        },
+        excludedProducts: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+        }],
+        excludedVariants: {
+            type: [String],
+            default: [],
+        },
         createdBy: {
             type: String,
         },
@@ -88,7 +126,8 @@ promoCodeSchema.virtual('isValid').get(function() {
 });
 
 // Method to validate promo code for an order
-promoCodeSchema.methods.validateForOrder = function(orderTotal, category = null) {
+// eligibleTotal is the value of line items the promo applies to (see applyToLines)
+promoCodeSchema.methods.validateForOrder = function(orderTotal, eligibleTotal = null) {
     const errors = [];
     const now = new Date();
 
@@ -107,7 +146,7 @@ promoCodeSchema.methods.validateForOrder = function(orderTotal, category = null)
     if (orderTotal < this.minOrderAmount) {
         errors.push(`Minimum order amount is $${this.minOrderAmount}`);
     }
-    if (this.applicableCategories.length > 0 && category && !this.applicableCategories.includes(category)) {
+    if (eligibleTotal !== null && eligibleTotal <= 0) {
         errors.push('This promo code is not valid for these items');
     }
 
@@ -140,6 +179,36 @@ promoCodeSchema.methods.calculateDiscount = function(orderTotal) {
     return Math.round(discount * 100) / 100; // Round to 2 decimal places
 };
 
+// Method to build a line-item eligibility check from the targeting rules
+promoCodeSchema.methods.getLineEligibility = function(options = {}) {
+    return buildLineMatcher(this, options);
+};
+
+// Method to calculate the discount over eligible line items only,
+// split across those lines in proportion to their totals.
+// options.loadCategories shares one category tree load with the rest of a quote
+promoCodeSchema.methods.applyToLines = async function(lines, options = {}) {
+    const isEligible = await this.getLineEligibility(options);
+
+    const eligibleAmounts = lines.map(line => (isEligible(line) ? line.totalPrice : 0));
+    const eligibleTotal = eligibleAmounts.reduce((sum, amount) => sum + amount, 0);
+    const discount = this.calculateDiscount(eligibleTotal);
+    const shares = allocateDiscount(discount, eligibleAmounts);
+
+    return {
+        eligibleTotal: Math.round(eligibleTotal * 100) / 100,
+        discount,
+        lines: lines.map((line, i) => ({
+            productId: line.productId,
+            variantId: line.variantId,
+            name: line.name,
+            lineTotal: line.totalPrice,
+            eligible: eligibleAmounts[i] > 0,
+            discount: shares[i],
+        })),
+    };
+};
+
 const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
 
 module.exports = PromoCode;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promo Redemption Schema
+ * One record per order that used a promo code; drives per-customer limits
+ * and is released when the order is cancelled
+ */
+const promoRedemptionSchema = new mongoose.Schema(
+    {
+        promo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PromoCode',
+            required: true,
+        },
+        code: {
+            type: String,
+            uppercase: true,
+            trim: true,
+        },
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order',
+            required: true,
+            unique: true, // Keyed by order: an order redeems at most one code
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        email: {
+            type: String,
+            trim: true,
+            lowercase: true,
+        },
+        discount: {
+            type: Number,
+            default: 0,
+        },
+        status: {
+            type: String,
+            enum: ['active', 'released'],
+            default: 'active',
+        },
+        releasedAt: Date,
+    },
+    {
+        timestamps: true,
+        collection: 'promoRedemptions',
+    }
+);
+
+// Per-customer usage lookups
+promoRedemptionSchema.index({ promo: 1, email: 1, status: 1 });
+promoRedemptionSchema.index({ promo: 1, user: 1, status: 1 });
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+
+module.exports = PromoRedemption;
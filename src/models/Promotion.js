@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promotion Schema
+ * Automatic promotions applied to the cart without a code:
+ * buy X get Y, spend tiers, bundle pricing and free shipping
+ */
+const tierSchema = new mongoose.Schema({
+    minSubtotal: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        default: 'percentage',
+    },
+    discountValue: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+}, { _id: false });
+
+const promotionSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Promotion name is required'],
+            trim: true,
+        },
+        description: {
+            type: String,
+            trim: true,
+        },
+        type: {
+            type: String,
+            enum: ['buy_x_get_y', 'tiered', 'bundle', 'free_shipping'],
+            required: true,
+        },
+        // Higher priority promotions are evaluated first
+        priority: {
+            type: Number,
+            default: 0,
+        },
+        // A non-stackable promotion applies alone: it is skipped if a higher priority
+        // promotion already applied, and stops lower priority ones once it applies
+        stackable: {
+            type: Boolean,
+            default: true,
+        },
+        // Whether a customer promo code may be used on top of this promotion
+        combinableWithCodes: {
+            type: Boolean,
+            default: true,
+        },
+
+        // buy_x_get_y: for every buyQuantity eligible units, the next getQuantity
+        // cheapest eligible units get getDiscountPercent off (100 = free)
+        buyQuantity: {
+            type: Number,
+            min: 1,
+        },
+        getQuantity: {
+            type: Number,
+            min: 1,
+        },
+        getDiscountPercent: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 100,
+        },
+
+        // tiered: the highest tier reached by the eligible subtotal applies
+        tiers: {
+            type: [tierSchema],
+            default: [],
+        },
+
+        // bundle: every complete set of bundleProducts is sold for bundlePrice
+        bundleProducts: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+        }],
+        bundlePrice: {
+            type: Number,
+            min: 0,
+        },
+
+        // free_shipping: shipping is waived once the eligible subtotal reaches this
+        minSubtotal: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+
+        // Item-level targeting (see utils/lineTargeting)
+        applicableCategories: {
+            type: [String],
+            default: [],
+        },
+        applicableBrands: {
+            type: [String],
+            default: [],
+        },
+        applicableProducts: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+        }],
+        applicableVariants: {
+            type: [String],
+            default: [],
+        },
+        excludedCategories: {
+            type: [String],
+            default: [],
+        },
+        excludedBrands: {
+            type: [String],
+            default: [],
+        },
+        excludedProducts: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+        }],
+        excludedVariants: {
+            type: [String],
+            default: [],
+        },
+
+        validFrom: {
+            type: Date,
+            default: Date.now,
+        },
+        validUntil: {
+            type: Date,
+            default: null, // null means no end date
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+            index: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+        collection: 'promotions',
+    }
+);
+
+promotionSchema.index({ isActive: 1, priority: -1 });
+
+// Type-specific required settings
+promotionSchema.pre('validate', function (next) {
+    if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+        this.invalidate('buyQuantity', 'Buy and get quantities are required');
+    }
+    if (this.type === 'tiered' && this.tiers.length === 0) {
+        this.invalidate('tiers', 'At least one tier is required');
+    }
+    if (this.type === 'bundle' && (this.bundleProducts.length < 2 || this.bundlePrice === undefined)) {
+        this.invalidate('bundleProducts', 'A bundle needs at least two products and a bundle price');
+    }
+    next();
+});
+
+// Currently running promotions, highest priority first
+promotionSchema.statics.findRunning = function () {
+    const now = new Date();
+    return this.find({
+        isActive: true,
+        validFrom: { $lte: now },
+        $or: [{ validUntil: null }, { validUntil: { $gte: now } }],
+    }).sort({ priority: -1, createdAt: 1 });
+};
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = Promotion;
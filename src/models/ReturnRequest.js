@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+/**
+ * Return Request Item Schema (embedded)
+ * A single order line item (or part of it) being sent back
+ */
+const returnItemSchema = new mongoose.Schema(
+    {
+        productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+        },
+        variantId: {
+            type: String,
+            required: true,
+        },
+        name: String,
+        image: String,
+        price: Number,
+        // Unit price actually charged after promotions and promo code (the refund limit)
+        paidPrice: Number,
+        quantity: {
+            type: Number,
+            required: true,
+            min: 1,
+        },
+    },
+    { _id: false }
+);
+
+/**
+ * Return Request Schema (RMA)
+ * Tracks a customer return from request through refund
+ * Flow: requested → approved/rejected → received → refunded
+ */
+const returnRequestSchema = new mongoose.Schema(
+    {
+        rmaNumber: {
+            type: String,
+            unique: true,
+            required: true,
+        },
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order',
+            required: true,
+            index: true,
+        },
+        orderId: String, // Human readable order ID (ORD...)
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            index: true,
+        },
+        email: {
+            type: String,
+            trim: true,
+            lowercase: true,
+        },
+        items: {
+            type: [returnItemSchema],
+            validate: [items => items.length > 0, 'At least one item is required'],
+        },
+        reason: {
+            type: String,
+            required: [true, 'Return reason is required'],
+            trim: true,
+        },
+        photos: {
+            type: [String],
+            default: [],
+        },
+        status: {
+            type: String,
+            enum: ['requested', 'approved', 'rejected', 'received', 'refunded'],
+            default: 'requested',
+            index: true,
+        },
+        staffNote: {
+            type: String,
+            trim: true,
+        },
+        refund: {
+            method: {
+                type: String,
+                enum: ['stripe', 'manual', 'store_credit'],
+            },
+            amount: Number,
+            stripeRefundId: String,
+            reference: String, // Manual refund reference (bKash trx, bank ref, etc.)
+            refundedAt: Date,
+            refundedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        reviewedAt: Date,
+        receivedAt: Date,
+    },
+    {
+        timestamps: true,
+        collection: 'returnRequests',
+    }
+);
+
+// What the customer paid for the returned items
+returnRequestSchema.virtual('itemsTotal').get(function() {
+    const total = this.items.reduce((sum, item) => sum + (item.paidPrice ?? item.price ?? 0) * item.quantity, 0);
+    return Math.round(total * 100) / 100;
+});
+
+returnRequestSchema.set('toJSON', { virtuals: true });
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+module.exports = ReturnRequest;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ROLES } = require('../constants/permissions');
+
+/**
+ * Role Schema
+ * Custom staff roles (e.g. fulfilment staff, content editor) holding a set of PERMISSIONS.
+ * The built-in admin, moderator and user roles stay in constants/permissions.
+ */
+const roleSchema = new mongoose.Schema(
+    {
+        // Stored on User.role / Invitation.role
+        name: {
+            type: String,
+            required: [true, 'Role name is required'],
+            unique: true,
+            trim: true,
+            lowercase: true,
+            match: [/^[a-z][a-z0-9_-]{1,39}$/, 'Role name may only contain letters, numbers, dashes and underscores'],
+            validate: {
+                validator: (value) => !ROLES[value],
+                message: 'Built-in role names are reserved',
+            },
+        },
+        displayName: {
+            type: String,
+            trim: true,
+        },
+        description: {
+            type: String,
+            trim: true,
+        },
+        permissions: [{
+            type: String,
+            enum: Object.values(PERMISSIONS),
+        }],
+        // Hierarchy level (user = 1, moderator = 2, admin = 3); custom roles sit below admin
+        level: {
+            type: Number,
+            default: 2,
+            min: 1,
+            max: 2,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+        collection: 'roles',
+    }
+);
+
+// Drop duplicate permissions
+roleSchema.pre('validate', function (next) {
+    this.permissions = [...new Set(this.permissions)];
+    next();
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * SearchSynonym Schema
+ * A group of interchangeable search terms managed by staff, e.g. ['tv', 'television'].
+ * Searching for any term in the group also matches the others.
+ */
+const searchSynonymSchema = new mongoose.Schema(
+    {
+        terms: {
+            type: [{
+                type: String,
+                trim: true,
+                lowercase: true,
+            }],
+            validate: [terms => terms.length >= 2, 'A synonym group needs at least two terms'],
+            index: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+        collection: 'searchSynonyms',
+    }
+);
+
+// Drop duplicate terms
+searchSynonymSchema.pre('validate', function (next) {
+    this.terms = [...new Set(this.terms.filter(Boolean))];
+    next();
+});
+
+const SearchSynonym = mongoose.model('SearchSynonym', searchSynonymSchema);
+
+module.exports = SearchSynonym;
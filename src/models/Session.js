@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema
+ * One login on one device. Holds the hash of the current refresh token;
+ * every refresh rotates it, so the session is also the token family.
+ */
+const sessionSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        // SHA-256 of the current refresh token (the raw token is never stored)
+        tokenHash: {
+            type: String,
+            required: true,
+            select: false,
+        },
+        userAgent: String,
+        ip: String,
+        lastSeenAt: {
+            type: Date,
+            default: Date.now,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        revokedAt: Date,
+        revokedReason: {
+            type: String,
+            enum: ['logout', 'user_revoked', 'reuse_detected', 'password_changed', 'password_reset'],
+        },
+    },
+    {
+        timestamps: true,
+        collection: 'sessions',
+    }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+// Instance method to check if the session can still be used
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -88,6 +88,21 @@ const storeSettingsSchema = new mongoose.Schema(
             allowedIPs: [{ type: String }], // Admin IPs that can bypass maintenance
         },
 
+        // ==================== SECURITY ====================
+        security: {
+            // Staff roles (built-in or custom) that must sign in with TOTP two-factor authentication
+            requireTwoFactorRoles: [{
+                type: String,
+                trim: true,
+            }],
+        },
+
+        // ==================== DATA RETENTION ====================
+        dataRetention: {
+            // Days deleted products, orders and categories stay in the trash before being purged
+            trashRetentionDays: { type: Number, default: 30, min: 1 },
+        },
+
         // ==================== NOTIFICATIONS ====================
         notifications: {
             orderConfirmationEmail: { type: Boolean, default: true },
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stock Movement Schema
+ * Append-only history of every change to a variant's stock.
+ * Quantities are signed: stock added is positive, stock removed negative.
+ */
+const stockMovementSchema = new mongoose.Schema(
+    {
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true,
+        },
+        variant: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+        },
+        sku: String,
+        type: {
+            type: String,
+            enum: [
+                'initial',      // Stock a variant was created with
+                'sale',         // Reserved by an order
+                'cancellation', // Put back when the order was cancelled
+                'return',       // Returned goods received
+                'adjustment',   // Changed by staff (with a reason), e.g. after a stock count
+                'receipt',      // Received from a purchase order
+            ],
+            required: true,
+        },
+        quantity: {
+            type: Number,
+            required: true,
+        },
+        stockAfter: Number,
+        // Units found by a physical count (adjustments made from a count)
+        countedStock: Number,
+        reason: {
+            type: String,
+            trim: true,
+            required: [function () { return this.type === 'adjustment'; }, 'Adjustments need a reason'],
+        },
+        // Purchase order number or supplier invoice for receipts
+        reference: {
+            type: String,
+            trim: true,
+        },
+        note: {
+            type: String,
+            trim: true,
+        },
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order',
+        },
+        returnRequest: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ReturnRequest',
+        },
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+        collection: 'stockMovements',
+    }
+);
+
+stockMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
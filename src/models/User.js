@@ -1,6 +1,64 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+// Lifetime of single-use email tokens
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+const LOGIN_PROVIDERS = ['local', 'google', 'facebook'];
+
+/**
+ * Address Schema (embedded)
+ * A saved delivery address in the customer's address book.
+ * Checked against the courier's required fields by addressService before saving.
+ */
+const addressSchema = new mongoose.Schema(
+    {
+        // e.g. 'Home', 'Office'
+        label: {
+            type: String,
+            trim: true,
+            maxlength: 30,
+            default: 'Home',
+        },
+        recipientName: {
+            type: String,
+            trim: true,
+            required: [true, 'Recipient name is required'],
+        },
+        phone: {
+            type: String,
+            trim: true,
+            required: [true, 'Phone number is required'],
+        },
+        // House, road, building
+        address: {
+            type: String,
+            trim: true,
+            required: [true, 'Address is required'],
+        },
+        area: {
+            type: String,
+            trim: true,
+        },
+        district: {
+            type: String,
+            trim: true,
+            required: [true, 'District is required'],
+        },
+        postcode: {
+            type: String,
+            trim: true,
+        },
+        isDefault: {
+            type: Boolean,
+            default: false,
+        },
+    },
+    { timestamps: true }
+);
 
 // User Schema: Extended with Passport.js, OAuth, and RBAC support
 const userSchema = new mongoose.Schema(
@@ -24,15 +82,30 @@ const userSchema = new mongoose.Schema(
             minlength: [6, 'Password must be at least 6 characters'],
             select: false, // Don't include in queries by default
         },
-        // OAuth provider info
+        // Provider the account was created with (legacy; login methods live in linkedAccounts)
         authProvider: {
             type: String,
-            enum: ['local', 'google', 'facebook'],
+            enum: LOGIN_PROVIDERS,
             default: 'local',
         },
         providerId: {
             type: String, // Google/Facebook user ID
         },
+        // Every way this user can sign in ('local' = email and password)
+        linkedAccounts: [{
+            _id: false,
+            provider: {
+                type: String,
+                enum: LOGIN_PROVIDERS,
+                required: true,
+            },
+            providerId: String, // Google/Facebook user ID (none for local)
+            email: String, // Email reported by the provider
+            linkedAt: {
+                type: Date,
+                default: Date.now,
+            },
+        }],
         // Profile
         avatar: {
             type: String,
@@ -43,20 +116,80 @@ const userSchema = new mongoose.Schema(
             type: Boolean,
             default: false,
         },
+        // Built-in role (user, moderator, admin) or the name of a custom Role
         role: {
             type: String,
-            enum: ['user', 'moderator', 'admin'],
             default: 'user',
+            trim: true,
         },
-        // Session management
-        refreshToken: {
+        // TOTP two-factor authentication (secrets and recovery code hashes are never selected by default)
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false,
+            },
+            secret: {
+                type: String,
+                select: false,
+            },
+            // Secret awaiting confirmation during enrollment
+            pendingSecret: {
+                type: String,
+                select: false,
+            },
+            // SHA-256 hashes of unused one-time recovery codes
+            recoveryCodes: {
+                type: [String],
+                select: false,
+            },
+            // Last accepted time step, so a code can't be replayed
+            lastUsedStep: {
+                type: Number,
+                select: false,
+            },
+            enabledAt: Date,
+        },
+        // Session management (refresh tokens live in the Session collection)
+        lastLogin: {
+            type: Date,
+        },
+        // Single-use email tokens (only the SHA-256 hash is stored)
+        passwordResetToken: {
             type: String,
             select: false,
         },
-        lastLogin: {
+        passwordResetExpires: {
+            type: Date,
+            select: false,
+        },
+        emailVerificationToken: {
+            type: String,
+            select: false,
+        },
+        emailVerificationExpires: {
+            type: Date,
+            select: false,
+        },
+        // Single-use nonce carried through an OAuth redirect as `state` when linking a provider
+        accountLinkToken: {
+            type: String,
+            select: false,
+        },
+        accountLinkProvider: {
+            type: String,
+            enum: LOGIN_PROVIDERS,
+            select: false,
+        },
+        accountLinkExpires: {
             type: Date,
+            select: false,
         },
-        // Delivery information
+        // Saved delivery addresses (see addressService)
+        addresses: {
+            type: [addressSchema],
+            default: [],
+        },
+        // Delivery information (legacy single address, kept for older clients)
         orderName: {
             type: String,
             trim: true,
@@ -73,10 +206,18 @@ const userSchema = new mongoose.Schema(
             type: String,
             trim: true,
         },
-        // Card information (legacy - consider encrypting)
+        // Saved cards live in Stripe under this customer (see paymentMethodService)
+        stripeCustomerId: {
+            type: String,
+            unique: true,
+            sparse: true,
+        },
+        // Legacy plaintext card number: never selected and can no longer be written.
+        // Kept only so src/migrations/scrubCardNumbers.js can remove old values.
         cardnumber: {
             type: String,
-            trim: true,
+            select: false,
+            set: () => undefined,
         },
         // Push Notification tokens (FCM)
         fcmTokens: [{
@@ -120,14 +261,23 @@ const userSchema = new mongoose.Schema(
 // Indexes
 // userSchema.index({ email: 1 }); // Removed duplicate index
 userSchema.index({ authProvider: 1, providerId: 1 });
+userSchema.index({ 'linkedAccounts.provider': 1, 'linkedAccounts.providerId': 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ accountLinkToken: 1 }, { sparse: true });
+
+// Pre-save middleware - Backfill linked accounts for users created before linking existed
+userSchema.pre('save', function (next) {
+    if (!this.linkedAccounts?.length) {
+        this.linkedAccounts = this.getLinkedAccounts();
+    }
+    next();
+});
 
 // Pre-save middleware - Hash password
 userSchema.pre('save', async function (next) {
-    // Only hash if password is modified
-    if (!this.isModified('password')) return next();
-    
-    // Skip hashing for OAuth users
-    if (this.authProvider !== 'local') return next();
+    // Only hash if password is modified (OAuth-only users have no password)
+    if (!this.isModified('password') || !this.password) return next();
     
     try {
         const salt = await bcrypt.genSalt(12);
@@ -145,28 +295,67 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
     return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT access token
-userSchema.methods.generateAuthToken = function () {
+// Generate JWT access token, bound to a session so revoking the session revokes it
+userSchema.methods.generateAuthToken = function (sessionId) {
     return jwt.sign(
         { 
             id: this._id,
             email: this.email,
-            role: this.role 
+            role: this.role,
+            type: 'access',
+            sid: sessionId,
         },
         process.env.JWT_SECRET,
         { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
     );
 };
 
-// Generate refresh token
-userSchema.methods.generateRefreshToken = function () {
-    const refreshToken = jwt.sign(
-        { id: this._id },
-        process.env.JWT_SECRET,
-        { expiresIn: '30d' }
-    );
-    this.refreshToken = refreshToken;
-    return refreshToken;
+// Login methods, falling back to the legacy single-provider fields
+userSchema.methods.getLinkedAccounts = function () {
+    if (this.linkedAccounts?.length) return this.linkedAccounts;
+
+    return [{
+        provider: this.authProvider || 'local',
+        ...(this.authProvider !== 'local' && { providerId: this.providerId }),
+        email: this.email,
+        linkedAt: this.createdAt,
+    }];
+};
+
+// Check whether the user can sign in with a provider
+userSchema.methods.hasLoginMethod = function (provider) {
+    return this.getLinkedAccounts().some(account => account.provider === provider);
+};
+
+// Query matching the user linked to a provider account (including legacy fields)
+userSchema.statics.linkedAccountQuery = function (provider, providerId) {
+    return {
+        $or: [
+            { linkedAccounts: { $elemMatch: { provider, providerId } } },
+            { authProvider: provider, providerId },
+        ],
+    };
+};
+
+// Hash an emailed token for storage/lookup
+userSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Generate password reset token (returns the raw token for the email link)
+userSchema.methods.createPasswordResetToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.passwordResetToken = this.constructor.hashToken(token);
+    this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+    return token;
+};
+
+// Generate email verification token (returns the raw token for the email link)
+userSchema.methods.createEmailVerificationToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.emailVerificationToken = this.constructor.hashToken(token);
+    this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+    return token;
 };
 
 // Get public profile (exclude sensitive data)
@@ -178,7 +367,9 @@ userSchema.methods.toPublicJSON = function () {
         avatar: this.avatar,
         role: this.role,
         authProvider: this.authProvider,
+        linkedAccounts: this.getLinkedAccounts().map(account => account.provider),
         isVerified: this.isVerified,
+        twoFactorEnabled: Boolean(this.twoFactor?.enabled),
         createdAt: this.createdAt,
     };
 };
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook Event Schema
+ * Records processed provider events so replays are ignored (idempotency by event id)
+ */
+const webhookEventSchema = new mongoose.Schema(
+    {
+        eventId: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        provider: {
+            type: String,
+            enum: ['stripe'],
+            default: 'stripe',
+        },
+        type: {
+            type: String,
+            required: true,
+        },
+        // Outcome of processing: applied to an order, no matching order, or ignored type
+        outcome: {
+            type: String,
+            enum: ['applied', 'unmatched', 'ignored'],
+        },
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order',
+        },
+    },
+    {
+        timestamps: true,
+        collection: 'webhookEvents',
+    }
+);
+
+// Keep event history for 90 days (Stripe retries for at most 3 days)
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
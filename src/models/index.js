@@ -12,6 +12,17 @@ const Cart = require('./Cart');
 const StoreSettings = require('./SiteSettings');
 const Category = require('./Category');
 const PageBuilder = require('./PageBuilder');
+const ReturnRequest = require('./ReturnRequest');
+const WebhookEvent = require('./WebhookEvent');
+const PromoRedemption = require('./PromoRedemption');
+const Promotion = require('./Promotion');
+const CreditAccount = require('./CreditAccount');
+const CreditLedger = require('./CreditLedger');
+const Session = require('./Session');
+const Role = require('./Role');
+const AuditLog = require('./AuditLog');
+const SearchSynonym = require('./SearchSynonym');
+const StockMovement = require('./StockMovement');
 
 module.exports = {
     Product,
@@ -24,4 +35,15 @@ module.exports = {
     StoreSettings,
     Category,
     PageBuilder,
+    ReturnRequest,
+    WebhookEvent,
+    PromoRedemption,
+    Promotion,
+    CreditAccount,
+    CreditLedger,
+    Session,
+    Role,
+    AuditLog,
+    SearchSynonym,
+    StockMovement,
 };
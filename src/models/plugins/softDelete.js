@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+/**
+ * Soft Delete Plugin
+ * Adds deletedAt/deletedBy and hides deleted documents from reads, updates and
+ * aggregations. A filter (or leading $match) that mentions deletedAt is left
+ * alone, `.withDeleted()` / `.onlyDeleted()` opt a query into the trash and
+ * `Model.aggregateWithDeleted()` does the same for an aggregation.
+ * Deletes are never filtered so purging stays explicit.
+ */
+
+const INCLUDE_DELETED = Symbol('includeDeleted');
+
+const FILTERED_QUERIES = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'];
+
+// Pipeline stages that must stay first
+const LEADING_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch'];
+
+const softDelete = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    });
+
+    // Include deleted documents in this query
+    schema.query.withDeleted = function () {
+        this[INCLUDE_DELETED] = true;
+        return this;
+    };
+
+    // Only deleted documents
+    schema.query.onlyDeleted = function () {
+        return this.withDeleted().where({ deletedAt: { $ne: null } });
+    };
+
+    schema.pre(FILTERED_QUERIES, function () {
+        if (this[INCLUDE_DELETED] || 'deletedAt' in this.getFilter()) return;
+        this.where({ deletedAt: null });
+    });
+
+    /**
+     * Aggregate over every document, trashed ones included
+     * @param {Array<Object>} pipeline - Aggregation pipeline
+     * @returns {Aggregate}
+     */
+    schema.statics.aggregateWithDeleted = function (pipeline = []) {
+        const aggregate = this.aggregate(pipeline);
+        aggregate[INCLUDE_DELETED] = true;
+        return aggregate;
+    };
+
+    schema.pre('aggregate', function () {
+        if (this[INCLUDE_DELETED]) return;
+
+        const pipeline = this.pipeline();
+        const at = pipeline.length && LEADING_STAGES.some(stage => stage in pipeline[0]) ? 1 : 0;
+        const match = pipeline[at]?.$match;
+
+        if (match && 'deletedAt' in match) return;
+        pipeline.splice(at, 0, { $match: { deletedAt: null } });
+    });
+
+    /**
+     * Move matching documents to the trash
+     * @param {Object} filter - Documents to delete
+     * @param {String} actorId - User deleting them
+     * @returns {Promise<Object>} Update result
+     */
+    schema.statics.softDeleteMany = function (filter, actorId) {
+        return this.updateMany(
+            { ...filter, deletedAt: null },
+            { $set: { deletedAt: new Date(), deletedBy: actorId || null } }
+        );
+    };
+
+    /**
+     * Bring matching documents back from the trash
+     * @param {Object} filter - Documents to restore
+     * @returns {Promise<Object>} Update result
+     */
+    schema.statics.restoreMany = function (filter) {
+        return this.updateMany(
+            { ...filter, deletedAt: { $ne: null } },
+            { $set: { deletedAt: null, deletedBy: null } }
+        );
+    };
+};
+
+module.exports = softDelete;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getAddresses,
+    addAddress,
+    updateAddress,
+    setDefaultAddress,
+    deleteAddress,
+} = require('../controllers/addressController');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * Address Routes
+ * Base path: /api/addresses
+ */
+
+// Customers can only manage their own address book
+router.use(protect);
+
+router.get('/', getAddresses);
+router.post('/', addAddress);
+router.put('/:id', updateAddress);
+router.put('/:id/default', setDefaultAddress);
+router.delete('/:id', deleteAddress);
+
+module.exports = router;
@@ -18,4 +18,7 @@ router.post('/order/courier', adminOnly, adminController.sendToCourier);
 router.post('/order/sync-courier', adminOnly, adminController.syncCourierStatus);
 router.post('/inventory-alert', staffOnly, adminController.sendInventoryAlert);
 
+router.get('/audit-log', authorize(PERMISSIONS.VIEW_AUDIT_LOG), adminController.getAuditLog);
+router.get('/audit-log/export', authorize(PERMISSIONS.VIEW_AUDIT_LOG), adminController.exportAuditLog);
+
 module.exports = router;
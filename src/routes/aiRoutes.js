@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const aiController = require('../controllers/aiController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorizeAny, PERMISSIONS } = require('../middleware/rbacMiddleware');
+
+// Product copy tools are for staff editing the catalog
+const productEditor = [protect, authorizeAny(PERMISSIONS.CREATE_PRODUCT, PERMISSIONS.UPDATE_PRODUCT)];
 
 // AI routes
 router.get('/recommendations', aiController.getRecommendations);
@@ -9,7 +14,7 @@ router.get('/search', aiController.aiSearch);
 router.post('/chat', aiController.chatAIChat);
 router.get('/analyze-history', aiController.analyzeHistory);
 router.post('/history-recommendations', aiController.getHistoryRecs);
-router.post('/generate-description', aiController.generateDescription);
-router.post('/generate-tags', aiController.generateTags);
+router.post('/generate-description', productEditor, aiController.generateDescription);
+router.post('/generate-tags', productEditor, aiController.generateTags);
 
 module.exports = router;
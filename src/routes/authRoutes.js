@@ -11,15 +11,54 @@ const {
     googleCallback,
     facebookCallback,
     updatePassword,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    verifyTwoFactorLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    getLinkedAccounts,
+    linkAccount,
+    unlinkAccount,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
 } = require('../controllers/authController');
 
 const { protect } = require('../middleware/authMiddleware');
+const { authRateLimiter, sensitiveRateLimiter } = require('../middleware/rateLimitMiddleware');
 
 /**
  * Auth Routes
  * Base path: /api/auth
  */
 
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Start an OAuth flow; `?link=<token>` (from POST /linked-accounts/:provider) is carried as state
+const startOAuth = (provider, scope) => (req, res, next) => passport.authenticate(provider, {
+    scope,
+    session: false,
+    ...(req.query.link && { state: String(req.query.link) }),
+})(req, res, next);
+
+// Finish an OAuth flow, redirecting failures with the reason (e.g. account_exists)
+const finishOAuth = (provider) => (req, res, next) => passport.authenticate(provider, { session: false }, (err, user, info) => {
+    if (err) {
+        return next(err);
+    }
+    if (!user) {
+        const page = info?.linking ? 'account/linked-accounts' : 'login';
+        return res.redirect(`${FRONTEND_URL}/${page}?error=${info?.code || `${provider}_auth_failed`}`);
+    }
+    req.user = user;
+    req.authInfo = info;
+    next();
+})(req, res, next);
+
 // ============================================
 // Local Authentication (Email/Password)
 // ============================================
@@ -42,46 +81,63 @@ router.get('/me', protect, getMe);
 // Update password
 router.put('/password', protect, updatePassword);
 
+// Active sessions (devices)
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+
+// ============================================
+// Two-Factor Authentication (TOTP)
+// ============================================
+
+// Second login step with the challenge token returned by /login
+router.post('/2fa/verify', authRateLimiter, verifyTwoFactorLogin);
+
+// Enrollment: logged in, or with a setup challenge token when 2FA is required
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/enable', authRateLimiter, enableTwoFactor);
+
+router.post('/2fa/disable', protect, authRateLimiter, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, authRateLimiter, regenerateRecoveryCodes);
+
+// ============================================
+// Password Reset & Email Verification
+// ============================================
+
+// Request a reset link / set a new password with it
+router.post('/forgot-password', sensitiveRateLimiter, forgotPassword);
+router.post('/reset-password/:token', sensitiveRateLimiter, resetPassword);
+
+// Resend must be registered before /:token
+router.post('/verify-email/resend', protect, sensitiveRateLimiter, resendVerification);
+router.post('/verify-email/:token', sensitiveRateLimiter, verifyEmail);
+
 // ============================================
 // Google OAuth
 // ============================================
 
 // Start Google OAuth flow
-router.get('/google', 
-    passport.authenticate('google', { 
-        scope: ['profile', 'email'],
-        session: false 
-    })
-);
+router.get('/google', startOAuth('google', ['profile', 'email']));
 
 // Google OAuth callback
-router.get('/google/callback',
-    passport.authenticate('google', { 
-        session: false,
-        failureRedirect: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/login?error=google_auth_failed`
-    }),
-    googleCallback
-);
+router.get('/google/callback', finishOAuth('google'), googleCallback);
 
 // ============================================
 // Facebook OAuth
 // ============================================
 
 // Start Facebook OAuth flow
-router.get('/facebook',
-    passport.authenticate('facebook', { 
-        scope: ['email'],
-        session: false 
-    })
-);
+router.get('/facebook', startOAuth('facebook', ['email']));
 
 // Facebook OAuth callback
-router.get('/facebook/callback',
-    passport.authenticate('facebook', { 
-        session: false,
-        failureRedirect: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/login?error=facebook_auth_failed`
-    }),
-    facebookCallback
-);
+router.get('/facebook/callback', finishOAuth('facebook'), facebookCallback);
+
+// ============================================
+// Linked Accounts (re-authentication required to change)
+// ============================================
+
+router.get('/linked-accounts', protect, getLinkedAccounts);
+router.post('/linked-accounts/:provider', protect, sensitiveRateLimiter, linkAccount);
+router.delete('/linked-accounts/:provider', protect, sensitiveRateLimiter, unlinkAccount);
 
 module.exports = router;
@@ -6,16 +6,29 @@ const {
     createCategory,
     updateCategory,
     deleteCategory,
+    getCategoryAttributes,
+    updateCategoryAttributes,
+    getTrashedCategories,
+    restoreCategory,
 } = require('../controllers/categoryController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, PERMISSIONS } = require('../middleware/rbacMiddleware');
 
 router.route('/')
     .get(getAllCategories)
-    .post(protect, restrictTo('admin'), createCategory);
+    .post(protect, authorize(PERMISSIONS.MANAGE_CATEGORIES), createCategory);
+
+router.get('/trash', protect, authorize(PERMISSIONS.MANAGE_CATEGORIES), getTrashedCategories);
 
 router.route('/:id')
     .get(getCategoryById)
-    .put(protect, restrictTo('admin'), updateCategory)
-    .delete(protect, restrictTo('admin'), deleteCategory);
+    .put(protect, authorize(PERMISSIONS.MANAGE_CATEGORIES), updateCategory)
+    .delete(protect, authorize(PERMISSIONS.MANAGE_CATEGORIES), deleteCategory);
+
+router.route('/:id/attributes')
+    .get(getCategoryAttributes)
+    .put(protect, authorize(PERMISSIONS.MANAGE_CATEGORIES), updateCategoryAttributes);
+
+router.post('/:id/restore', protect, authorize(PERMISSIONS.MANAGE_CATEGORIES), restoreCategory);
 
 module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { processAbandonedCarts } = require('../controllers/cronController');
+const { processAbandonedCarts, expireCredits, purgeTrash } = require('../controllers/cronController');
 
 /**
  * Cron Routes
@@ -9,5 +9,7 @@ const { processAbandonedCarts } = require('../controllers/cronController');
  */
 
 router.get('/process-abandoned', processAbandonedCarts);
+router.get('/expire-credits', expireCredits);
+router.get('/purge-trash', purgeTrash);
 
 module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+    purchaseGiftCard,
+    checkGiftCardBalance,
+    getMyStoreCredit,
+    getAllGiftCards,
+    getGiftCardById,
+    issueGiftCard,
+    issueStoreCredit,
+    voidGiftCard,
+} = require('../controllers/giftCardController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, PERMISSIONS } = require('../middleware/rbacMiddleware');
+const { authRateLimiter } = require('../middleware/rateLimitMiddleware');
+
+/**
+ * Gift Card & Store Credit Routes
+ * Base path: /api/gift-cards
+ */
+
+// Public routes (balance checks are rate limited against code guessing)
+router.post('/purchase', purchaseGiftCard);
+router.post('/balance', authRateLimiter, checkGiftCardBalance);
+
+// Customer routes
+router.get('/store-credit/me', protect, getMyStoreCredit);
+
+// Staff routes
+router.get('/', protect, authorize(PERMISSIONS.VIEW_GIFT_CARDS), getAllGiftCards);
+router.post('/', protect, authorize(PERMISSIONS.MANAGE_GIFT_CARDS), issueGiftCard);
+router.post('/store-credit', protect, authorize(PERMISSIONS.MANAGE_GIFT_CARDS), issueStoreCredit);
+router.get('/:id', protect, authorize(PERMISSIONS.VIEW_GIFT_CARDS), getGiftCardById);
+router.post('/:id/void', protect, authorize(PERMISSIONS.MANAGE_GIFT_CARDS), voidGiftCard);
+
+module.exports = router;
@@ -11,6 +11,7 @@ const uploadRoutes = require('./uploadRoutes');
 const wishlistRoutes = require('./wishlistRoutes');
 const aiRoutes = require('./aiRoutes');
 const promoRoutes = require('./promoRoutes');
+const promotionRoutes = require('./promotionRoutes');
 const authRoutes = require('./authRoutes');
 const adminRoutes = require('./adminRoutes');
 const analyticsRoutes = require('./analyticsRoutes');
@@ -18,11 +19,17 @@ const cartRoutes = require('./cartRoutes');
 const cronRoutes = require('./cronRoutes');
 const notificationRoutes = require('./notificationRoutes');
 const teamRoutes = require('./teamRoutes');
+const roleRoutes = require('./roleRoutes');
 const settingsRoutes = require('./settingsRoutes');
 const categoryRoutes = require('./categoryRoutes');
 const pageBuilderRoutes = require('./pageBuilderRoutes');
+const returnRoutes = require('./returnRoutes');
+const giftCardRoutes = require('./giftCardRoutes');
+const addressRoutes = require('./addressRoutes');
 
 const { productController, userController, orderController, reviewController, paymentController } = require('../controllers');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, ownerOrPermission, PERMISSIONS } = require('../middleware/rbacMiddleware');
 
 router.use('/auth', authRoutes);
 router.use('/admin', adminRoutes);
@@ -39,10 +46,15 @@ router.use('/upload', uploadRoutes);
 router.use('/wishlist', wishlistRoutes);
 router.use('/ai', aiRoutes);
 router.use('/promo', promoRoutes);
+router.use('/promotions', promotionRoutes);
 router.use('/team', teamRoutes);
+router.use('/roles', roleRoutes);
 router.use('/settings', settingsRoutes);
 router.use('/categories', categoryRoutes);
 router.use('/page-builder', pageBuilderRoutes);
+router.use('/returns', returnRoutes);
+router.use('/gift-cards', giftCardRoutes);
+router.use('/addresses', addressRoutes);
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -72,26 +84,26 @@ legacyRoutes.get('/bestseller', productController.getBestsellerProducts);
 legacyRoutes.get('/special', productController.getSpecialProducts);
 legacyRoutes.get('/latestItems', productController.getLatestItems);
 legacyRoutes.get('/backInStore', productController.getBackInStore);
-legacyRoutes.post('/addproduct', productController.createProduct);
-legacyRoutes.put('/update/:id', productController.updateProduct);
-legacyRoutes.delete('/delete', productController.deleteProducts);
+legacyRoutes.post('/addproduct', protect, authorize(PERMISSIONS.CREATE_PRODUCT), productController.createProduct);
+legacyRoutes.put('/update/:id', protect, authorize(PERMISSIONS.UPDATE_PRODUCT), productController.updateProduct);
+legacyRoutes.delete('/delete', protect, authorize(PERMISSIONS.DELETE_PRODUCT), productController.deleteProducts);
 
 // Legacy user routes
-legacyRoutes.get('/getusers', userController.getAllUsers);
-legacyRoutes.post('/adduser', userController.createUser);
-legacyRoutes.put('/userdata', userController.updateCardInfo);
-legacyRoutes.put('/deliveryInfo', userController.updateDeliveryInfo);
+legacyRoutes.get('/getusers', protect, authorize(PERMISSIONS.VIEW_ALL_USERS), userController.getAllUsers);
+legacyRoutes.post('/adduser', protect, userController.createUser);
+legacyRoutes.put('/userdata', protect, userController.updateCardInfo);
+legacyRoutes.put('/deliveryInfo', protect, userController.updateDeliveryInfo);
 
 // Legacy order routes
-legacyRoutes.get('/orderhistory', orderController.getAllOrders);
+legacyRoutes.get('/orderhistory', protect, authorize(PERMISSIONS.VIEW_ALL_ORDERS), orderController.getAllOrders);
 legacyRoutes.post('/orderhistory', orderController.createOrder);
-legacyRoutes.put('/orderstatus', orderController.updateOrderStatus);
-legacyRoutes.put('/orderCancel', orderController.cancelOrders);
-legacyRoutes.delete('/deleteOrder', orderController.deleteOrders);
+legacyRoutes.put('/orderstatus', protect, authorize(PERMISSIONS.UPDATE_ORDER_STATUS), orderController.updateOrderStatus);
+legacyRoutes.put('/orderCancel', protect, authorize(PERMISSIONS.MANAGE_ORDERS), orderController.cancelOrders);
+legacyRoutes.delete('/deleteOrder', protect, authorize(PERMISSIONS.MANAGE_ORDERS), orderController.deleteOrders);
 
 // Legacy review routes
-legacyRoutes.get('/get-review', reviewController.getAllReviews);
-legacyRoutes.post('/post-review', reviewController.createReview);
+legacyRoutes.get('/get-review', protect, ownerOrPermission(PERMISSIONS.VIEW_ALL_REVIEWS), reviewController.getAllReviews);
+legacyRoutes.post('/post-review', protect, reviewController.createReview);
 
 // Legacy payment routes
 legacyRoutes.post('/create-payment-intent', paymentController.createPaymentIntent);
@@ -9,8 +9,12 @@ const {
     updateOrderStatus,
     cancelOrders,
     deleteOrders,
+    getTrashedOrders,
+    restoreOrders,
     getOrdersByPhone,
 } = require('../controllers/orderController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, ownerOrPermission, PERMISSIONS } = require('../middleware/rbacMiddleware');
 
 /**
  * Order Routes
@@ -20,22 +24,24 @@ const {
 // Public tracking route (no auth required)
 router.get('/track/:phone', getOrdersByPhone);
 
-// Search route (must be before /:id to prevent conflict)
-router.get('/search', searchOrders);
+// Search and trash routes (must be before /:id to prevent conflict)
+router.get('/search', protect, authorize(PERMISSIONS.VIEW_ALL_ORDERS), searchOrders);
+router.get('/trash', protect, authorize(PERMISSIONS.MANAGE_ORDERS), getTrashedOrders);
 
-// GET routes
-router.get('/', getAllOrders);
-router.get('/user/:email', getOrdersByEmail);
-router.get('/:id', getOrderById);
+// GET routes (customers can only read their own orders)
+router.get('/', protect, authorize(PERMISSIONS.VIEW_ALL_ORDERS), getAllOrders);
+router.get('/user/:email', protect, ownerOrPermission(PERMISSIONS.VIEW_ALL_ORDERS), getOrdersByEmail);
+router.get('/:id', protect, ownerOrPermission(PERMISSIONS.VIEW_ALL_ORDERS), getOrderById);
 
 // POST routes
 router.post('/', createOrder);
+router.post('/restore', protect, authorize(PERMISSIONS.MANAGE_ORDERS), restoreOrders);
 
 // PUT routes
-router.put('/status', updateOrderStatus);
-router.put('/cancel', cancelOrders);
+router.put('/status', protect, authorize(PERMISSIONS.UPDATE_ORDER_STATUS), updateOrderStatus);
+router.put('/cancel', protect, authorize(PERMISSIONS.MANAGE_ORDERS), cancelOrders);
 
 // DELETE routes
-router.delete('/', deleteOrders);
+router.delete('/', protect, authorize(PERMISSIONS.MANAGE_ORDERS), deleteOrders);
 
 module.exports = router;
@@ -7,6 +7,8 @@ const {
     publishPageConfig,
     resetPageConfig
 } = require('../controllers/pageBuilderController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, PERMISSIONS } = require('../middleware/rbacMiddleware');
 
 /**
  * Page Builder Routes
@@ -16,10 +18,10 @@ const {
 // Public routes
 router.get('/:pageName/published', getPublishedPageConfig);
 
-// Admin routes (add auth middleware as needed)
-router.get('/:pageName', getPageConfig);
-router.put('/:pageName', updatePageConfig);
-router.post('/:pageName/publish', publishPageConfig);
-router.post('/:pageName/reset', resetPageConfig);
+// Editor routes (drafts and publishing)
+router.get('/:pageName', protect, authorize(PERMISSIONS.MANAGE_PAGES), getPageConfig);
+router.put('/:pageName', protect, authorize(PERMISSIONS.MANAGE_PAGES), updatePageConfig);
+router.post('/:pageName/publish', protect, authorize(PERMISSIONS.MANAGE_PAGES), publishPageConfig);
+router.post('/:pageName/reset', protect, authorize(PERMISSIONS.MANAGE_PAGES), resetPageConfig);
 
 module.exports = router;
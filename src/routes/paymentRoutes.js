@@ -3,7 +3,11 @@ const router = express.Router();
 const {
     createPaymentIntent,
     confirmPayment,
+    createSetupIntent,
+    getPaymentMethods,
+    deletePaymentMethod,
 } = require('../controllers/paymentController');
+const { protect } = require('../middleware/authMiddleware');
 
 /**
  * Payment Routes
@@ -14,4 +18,9 @@ const {
 router.post('/create-intent', createPaymentIntent);
 router.post('/confirm', confirmPayment);
 
+// Saved cards (stored by Stripe, never on our servers)
+router.post('/setup-intent', protect, createSetupIntent);
+router.get('/methods', protect, getPaymentMethods);
+router.delete('/methods/:id', protect, deletePaymentMethod);
+
 module.exports = router;
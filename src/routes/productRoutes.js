@@ -13,8 +13,27 @@ const {
     createProduct,
     updateProduct,
     deleteProducts,
+    getTrashedProducts,
+    restoreProducts,
+    exportProducts,
+    importProducts,
 } = require('../controllers/productController');
+const {
+    searchProducts,
+    suggestProducts,
+    getSynonyms,
+    createSynonym,
+    updateSynonym,
+    deleteSynonym,
+} = require('../controllers/searchController');
+const {
+    getStockMovements,
+    adjustStock,
+    receiveStock,
+} = require('../controllers/inventoryController');
 const { cacheMiddleware } = require('../middleware/cacheMiddleware');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, PERMISSIONS } = require('../middleware/rbacMiddleware');
 
 /**
  * Product Routes
@@ -29,16 +48,29 @@ router.get('/bestseller', getBestsellerProducts);
 router.get('/special', getSpecialProducts);
 router.get('/latest-items', getLatestItems);
 router.get('/back-in-store', getBackInStore);
+router.get('/search', searchProducts);
+router.get('/suggest', suggestProducts);
+router.get('/synonyms', protect, authorize(PERMISSIONS.UPDATE_PRODUCT), getSynonyms);
+router.get('/export', protect, authorize(PERMISSIONS.VIEW_ALL_PRODUCTS), exportProducts);
+router.get('/trash', protect, authorize(PERMISSIONS.DELETE_PRODUCT), getTrashedProducts);
 router.get('/slug/:slug', getProductBySlug);
 router.get('/:id', getProductById);
+router.get('/:id/variants/:variantId/stock-movements', protect, authorize(PERMISSIONS.VIEW_ALL_PRODUCTS), getStockMovements);
 
 // POST routes
-router.post('/', createProduct);
+router.post('/', protect, authorize(PERMISSIONS.CREATE_PRODUCT), createProduct);
+router.post('/import', protect, authorize(PERMISSIONS.CREATE_PRODUCT, PERMISSIONS.UPDATE_PRODUCT), importProducts);
+router.post('/restore', protect, authorize(PERMISSIONS.DELETE_PRODUCT), restoreProducts);
+router.post('/synonyms', protect, authorize(PERMISSIONS.UPDATE_PRODUCT), createSynonym);
+router.post('/:id/variants/:variantId/stock-adjustments', protect, authorize(PERMISSIONS.UPDATE_PRODUCT), adjustStock);
+router.post('/:id/variants/:variantId/stock-receipts', protect, authorize(PERMISSIONS.UPDATE_PRODUCT), receiveStock);
 
 // PUT routes
-router.put('/:id', updateProduct);
+router.put('/synonyms/:id', protect, authorize(PERMISSIONS.UPDATE_PRODUCT), updateSynonym);
+router.put('/:id', protect, authorize(PERMISSIONS.UPDATE_PRODUCT), updateProduct);
 
 // DELETE routes
-router.delete('/', deleteProducts);
+router.delete('/', protect, authorize(PERMISSIONS.DELETE_PRODUCT), deleteProducts);
+router.delete('/synonyms/:id', protect, authorize(PERMISSIONS.UPDATE_PRODUCT), deleteSynonym);
 
 module.exports = router;
@@ -10,6 +10,8 @@ const {
     deletePromoCode,
     togglePromoCode,
 } = require('../controllers/promoController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, PERMISSIONS } = require('../middleware/rbacMiddleware');
 
 // Public routes
 router.get('/active', getActivePromoCodes);
@@ -17,10 +19,10 @@ router.post('/validate', validatePromoCode);
 router.post('/apply', applyPromoCode);
 
 // Admin routes
-router.get('/', getAllPromoCodes);
-router.post('/', createPromoCode);
-router.put('/:id', updatePromoCode);
-router.delete('/:id', deletePromoCode);
-router.patch('/:id/toggle', togglePromoCode);
+router.get('/', protect, authorize(PERMISSIONS.VIEW_PROMOS), getAllPromoCodes);
+router.post('/', protect, authorize(PERMISSIONS.MANAGE_PROMOS), createPromoCode);
+router.put('/:id', protect, authorize(PERMISSIONS.MANAGE_PROMOS), updatePromoCode);
+router.delete('/:id', protect, authorize(PERMISSIONS.MANAGE_PROMOS), deletePromoCode);
+router.patch('/:id/toggle', protect, authorize(PERMISSIONS.MANAGE_PROMOS), togglePromoCode);
 
 module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getAllPromotions,
+    getPromotionById,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+    togglePromotion,
+} = require('../controllers/promotionController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, PERMISSIONS } = require('../middleware/rbacMiddleware');
+
+/**
+ * Promotion Routes
+ * Base path: /api/promotions
+ */
+
+router.use(protect);
+
+router.get('/', authorize(PERMISSIONS.VIEW_PROMOS), getAllPromotions);
+router.get('/:id', authorize(PERMISSIONS.VIEW_PROMOS), getPromotionById);
+
+router.post('/', authorize(PERMISSIONS.MANAGE_PROMOS), createPromotion);
+router.put('/:id', authorize(PERMISSIONS.MANAGE_PROMOS), updatePromotion);
+router.delete('/:id', authorize(PERMISSIONS.MANAGE_PROMOS), deletePromotion);
+router.patch('/:id/toggle', authorize(PERMISSIONS.MANAGE_PROMOS), togglePromotion);
+
+module.exports = router;
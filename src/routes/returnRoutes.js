@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createReturnRequest,
+    getMyReturns,
+    getAllReturns,
+    getReturnById,
+    approveReturn,
+    rejectReturn,
+    receiveReturn,
+    refundReturn,
+} = require('../controllers/returnController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, PERMISSIONS } = require('../middleware/rbacMiddleware');
+
+/**
+ * Return (RMA) Routes
+ * Base path: /api/returns
+ */
+
+router.use(protect);
+
+// Customer routes
+router.post('/', createReturnRequest);
+router.get('/my', getMyReturns);
+
+// Staff routes
+router.get('/', authorize(PERMISSIONS.VIEW_ALL_ORDERS), getAllReturns);
+router.put('/:id/approve', authorize(PERMISSIONS.MANAGE_ORDERS), approveReturn);
+router.put('/:id/reject', authorize(PERMISSIONS.MANAGE_ORDERS), rejectReturn);
+router.put('/:id/receive', authorize(PERMISSIONS.MANAGE_ORDERS), receiveReturn);
+router.post('/:id/refund', authorize(PERMISSIONS.MANAGE_ORDERS), refundReturn);
+
+// Owner or staff
+router.get('/:id', getReturnById);
+
+module.exports = router;
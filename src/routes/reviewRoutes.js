@@ -7,23 +7,25 @@ const {
     updateReview,
     deleteReview,
 } = require('../controllers/reviewController');
+const { protect } = require('../middleware/authMiddleware');
+const { ownerOrPermission, PERMISSIONS } = require('../middleware/rbacMiddleware');
 
 /**
  * Review Routes
  * Base path: /api/reviews
  */
 
-// GET routes
-router.get('/', getAllReviews);
+// GET routes (staff see every review, customers their own)
+router.get('/', protect, ownerOrPermission(PERMISSIONS.VIEW_ALL_REVIEWS), getAllReviews);
 router.get('/product/:productId', getReviewsByProduct);
 
 // POST routes
-router.post('/', createReview);
+router.post('/', protect, createReview);
 
-// PUT routes
-router.put('/:id', updateReview);
+// PUT routes (authors edit their own reviews, moderators any)
+router.put('/:id', protect, ownerOrPermission(PERMISSIONS.MODERATE_REVIEWS), updateReview);
 
 // DELETE routes
-router.delete('/:id', deleteReview);
+router.delete('/:id', protect, ownerOrPermission(PERMISSIONS.MODERATE_REVIEWS), deleteReview);
 
 module.exports = router;
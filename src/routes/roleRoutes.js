@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+} = require('../controllers/roleController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, staffOnly, PERMISSIONS } = require('../middleware/rbacMiddleware');
+
+/**
+ * Role Routes
+ * Base path: /api/roles
+ */
+
+router.use(protect);
+
+router.get('/', staffOnly, getRoles);
+
+router.post('/', authorize(PERMISSIONS.MANAGE_ROLES), createRole);
+router.put('/:id', authorize(PERMISSIONS.MANAGE_ROLES), updateRole);
+router.delete('/:id', authorize(PERMISSIONS.MANAGE_ROLES), deleteRole);
+
+module.exports = router;
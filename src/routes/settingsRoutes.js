@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const settingsController = require('../controllers/settingsController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, PERMISSIONS } = require('../middleware/rbacMiddleware');
 
 /**
  * @route   GET /api/settings
@@ -20,22 +21,22 @@ router.get('/:section', settingsController.getSettingsBySection);
 /**
  * @route   PUT /api/settings
  * @desc    Update all settings
- * @access  Admin only
+ * @access  Private (manage:settings)
  */
-router.put('/', protect, restrictTo('admin'), settingsController.updateSettings);
+router.put('/', protect, authorize(PERMISSIONS.MANAGE_SETTINGS), settingsController.updateSettings);
 
 /**
  * @route   PUT /api/settings/:section
  * @desc    Update specific section of settings
- * @access  Admin only
+ * @access  Private (manage:settings)
  */
-router.put('/:section', protect, restrictTo('admin'), settingsController.updateSettings);
+router.put('/:section', protect, authorize(PERMISSIONS.MANAGE_SETTINGS), settingsController.updateSettings);
 
 /**
  * @route   DELETE /api/settings
  * @desc    Reset settings to defaults
- * @access  Admin only
+ * @access  Private (manage:settings)
  */
-router.delete('/', protect, restrictTo('admin'), settingsController.resetSettings);
+router.delete('/', protect, authorize(PERMISSIONS.MANAGE_SETTINGS), settingsController.resetSettings);
 
 module.exports = router;
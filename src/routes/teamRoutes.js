@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/authMiddleware');
-const { adminOnly, staffOnly } = require('../middleware/rbacMiddleware');
+const { authorize, staffOnly, PERMISSIONS } = require('../middleware/rbacMiddleware');
 const {
     inviteMember,
     getInvitation,
@@ -28,12 +28,13 @@ router.post('/accept/:token', acceptInvitation);
 router.get('/members', staffOnly, getTeamMembers);
 router.get('/permissions', staffOnly, getPermissions);
 
-// Admin only routes
-router.post('/invite', adminOnly, inviteMember);
-router.post('/invite/:id/resend', adminOnly, resendInvitation);
-router.delete('/invite/:id', adminOnly, cancelInvitation);
-router.get('/invitations', adminOnly, getPendingInvitations);
-router.put('/members/:id', adminOnly, updateMemberRole);
-router.delete('/members/:id', adminOnly, removeMember);
+// Role management routes (a role can only assign permissions it holds itself)
+const manageRoles = authorize(PERMISSIONS.MANAGE_ROLES);
+router.post('/invite', manageRoles, inviteMember);
+router.post('/invite/:id/resend', manageRoles, resendInvitation);
+router.delete('/invite/:id', manageRoles, cancelInvitation);
+router.get('/invitations', manageRoles, getPendingInvitations);
+router.put('/members/:id', manageRoles, updateMemberRole);
+router.delete('/members/:id', manageRoles, removeMember);
 
 module.exports = router;
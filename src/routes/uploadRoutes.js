@@ -5,11 +5,19 @@ const {
     uploadImages,
     removeSingleImage,
 } = require('../controllers/uploadController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorizeAny, PERMISSIONS } = require('../middleware/rbacMiddleware');
 
 // Increase payload limit for base64 images
 router.use(express.json({ limit: '10mb' }));
 
-// Upload routes
+// Upload routes (staff who manage products or storefront content)
+router.use(protect, authorizeAny(
+    PERMISSIONS.CREATE_PRODUCT,
+    PERMISSIONS.UPDATE_PRODUCT,
+    PERMISSIONS.MANAGE_CATEGORIES,
+    PERMISSIONS.MANAGE_PAGES
+));
 router.post('/', uploadSingleImage);
 router.post('/multiple', uploadImages);
 router.delete('/:publicId', removeSingleImage);
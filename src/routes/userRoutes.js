@@ -7,6 +7,8 @@ const {
     updateCardInfo,
     updateDeliveryInfo,
 } = require('../controllers/userController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, ownerOrPermission, PERMISSIONS } = require('../middleware/rbacMiddleware');
 
 /**
  * User Routes
@@ -14,14 +16,14 @@ const {
  */
 
 // GET routes
-router.get('/', getAllUsers);
-router.get('/:email', getUserByEmail);
+router.get('/', protect, authorize(PERMISSIONS.VIEW_ALL_USERS), getAllUsers);
+router.get('/:email', protect, ownerOrPermission(PERMISSIONS.VIEW_ALL_USERS), getUserByEmail);
 
 // POST routes
-router.post('/', createUser);
+router.post('/', protect, createUser);
 
-// PUT routes
-router.put('/card', updateCardInfo);
-router.put('/delivery', updateDeliveryInfo);
+// PUT routes (own profile only)
+router.put('/card', protect, updateCardInfo);
+router.put('/delivery', protect, updateDeliveryInfo);
 
 module.exports = router;
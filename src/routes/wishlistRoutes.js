@@ -7,8 +7,11 @@ const {
     checkWishlist,
     getWishlistCount,
 } = require('../controllers/wishlistController');
+const { protect } = require('../middleware/authMiddleware');
+
+// Wishlist routes (users can only access their own wishlist)
+router.use(protect);
 
-// Wishlist routes
 router.get('/:email', getWishlist);
 router.get('/count/:email', getWishlistCount);
 router.get('/check/:email/:productId', checkWishlist);
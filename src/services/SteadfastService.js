@@ -1,5 +1,10 @@
 const { STEADFAST_API_KEY, STEADFAST_SECRET_KEY, STEADFAST_BASE_URL } = process.env;
 
+// Recipient limits from the Steadfast create_order docs
+const RECIPIENT_NAME_MAX = 100;
+const RECIPIENT_ADDRESS_MAX = 250;
+const RECIPIENT_PHONE_PATTERN = /^\d{11}$/;
+
 /**
  * Steadfast Courier Service
  * Wraps the Steadfast API for order creation and status checking.
@@ -15,6 +20,33 @@ class SteadfastService {
         };
     }
 
+    /**
+     * Check recipient details against the fields Steadfast requires
+     * @param {Object} recipient - {recipient_name, recipient_phone, recipient_address}
+     * @returns {Array<String>} Problems (empty when acceptable)
+     */
+    validateRecipient({ recipient_name, recipient_phone, recipient_address }) {
+        const errors = [];
+
+        if (!recipient_name) {
+            errors.push('Recipient name is required');
+        } else if (recipient_name.length > RECIPIENT_NAME_MAX) {
+            errors.push(`Recipient name must be at most ${RECIPIENT_NAME_MAX} characters`);
+        }
+
+        if (!RECIPIENT_PHONE_PATTERN.test(recipient_phone || '')) {
+            errors.push('Phone number must be 11 digits (e.g. 01712345678)');
+        }
+
+        if (!recipient_address) {
+            errors.push('Address is required');
+        } else if (recipient_address.length > RECIPIENT_ADDRESS_MAX) {
+            errors.push(`Address must be at most ${RECIPIENT_ADDRESS_MAX} characters`);
+        }
+
+        return errors;
+    }
+
     /**
      * Create a new order in Steadfast system
      * @param {Object} orderData
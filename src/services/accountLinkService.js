@@ -0,0 +1,232 @@
+/**
+ * Account Link Service
+ * Several login methods per user (email/password, Google, Facebook).
+ * OAuth sign-ins never attach themselves to an existing account by email;
+ * linking is an explicit, re-authenticated action from account settings.
+ */
+const crypto = require('crypto');
+const { User, Session } = require('../models');
+const { ApiError } = require('../utils/ApiResponse');
+const twoFactorService = require('./twoFactorService');
+
+const OAUTH_PROVIDERS = ['google', 'facebook'];
+const LINK_TOKEN_TTL = 10 * 60 * 1000; // 10 minutes
+const REAUTH_WINDOW = 10 * 60 * 1000; // Sign-in counts as re-authentication for 10 minutes
+
+const PROVIDER_NAMES = {
+    local: 'email and password',
+    google: 'Google',
+    facebook: 'Facebook',
+};
+
+class AccountLinkService {
+    /**
+     * Check a provider name from a request
+     * @param {String} provider - Provider name
+     * @param {Boolean} allowLocal - Whether 'local' is accepted
+     */
+    assertProvider(provider, allowLocal = true) {
+        if (!OAUTH_PROVIDERS.includes(provider) && !(allowLocal && provider === 'local')) {
+            throw new ApiError(400, `Unknown login provider: ${provider}`);
+        }
+    }
+
+    /**
+     * Require proof that the person at the keyboard is the account owner:
+     * the password for users who have one, otherwise a sign-in within the last few minutes,
+     * plus a second factor when 2FA is enabled
+     * @param {User} user - Logged in user
+     * @param {String} sessionId - Current session ID
+     * @param {Object} proof - {password, code, recoveryCode}
+     */
+    async assertReauthenticated(user, sessionId, { password, code, recoveryCode } = {}) {
+        const account = await User.findById(user._id).select('+password');
+
+        if (account.hasLoginMethod('local') && account.password) {
+            if (!password || !(await account.comparePassword(password))) {
+                throw new ApiError(401, 'Password is incorrect');
+            }
+        } else {
+            const session = sessionId && await Session.findById(sessionId);
+            if (!session || Date.now() - session.createdAt.getTime() > REAUTH_WINDOW) {
+                throw new ApiError(401, 'Please sign in again to confirm it\'s you');
+            }
+        }
+
+        if (account.twoFactor?.enabled) {
+            await twoFactorService.verify(user._id, { code, recoveryCode });
+        }
+    }
+
+    /**
+     * Issue a single-use nonce that carries a link request through the OAuth redirect (as `state`).
+     * Only its hash is stored, on the user, so the nonce names nobody and can't be used to sign in.
+     * @param {User} user - User linking a provider
+     * @param {String} provider - 'google' or 'facebook'
+     * @returns {Promise<String>} Link token
+     */
+    async createLinkToken(user, provider) {
+        const token = crypto.randomBytes(32).toString('hex');
+        await User.updateOne({ _id: user._id }, {
+            accountLinkToken: User.hashToken(token),
+            accountLinkProvider: provider,
+            accountLinkExpires: new Date(Date.now() + LINK_TOKEN_TTL),
+        });
+        return token;
+    }
+
+    /**
+     * Consume a link token (atomically, so it can only be used once)
+     * @param {String} token - Link token
+     * @param {String} provider - Provider being linked
+     * @returns {Promise<String|null>} User ID, or null when invalid, used or expired
+     */
+    async consumeLinkToken(token, provider) {
+        const user = await User.findOneAndUpdate(
+            {
+                accountLinkToken: User.hashToken(token),
+                accountLinkProvider: provider,
+                accountLinkExpires: { $gt: new Date() },
+            },
+            { $unset: { accountLinkToken: 1, accountLinkProvider: 1, accountLinkExpires: 1 } }
+        ).select('_id');
+        return user?._id || null;
+    }
+
+    /**
+     * Resolve an OAuth profile for the passport strategies.
+     * With a link token in `state` the provider account is attached to that user,
+     * provided the same token is in this browser's link cookie (a link URL sent to
+     * someone else can't attach their account); otherwise it signs in the linked user or creates a new one.
+     * @param {String} provider - 'google' or 'facebook'
+     * @param {Object} profile - Passport profile
+     * @param {String} state - OAuth state (link token, if linking)
+     * @param {String} browserToken - Link token from the cookie set when the link was requested
+     * @returns {Promise<Object>} {user, info} - user is false on failure, info.code explains why
+     */
+    async resolveOAuthProfile(provider, profile, state, browserToken) {
+        const email = profile.emails?.[0]?.value?.toLowerCase();
+        const avatar = profile.photos?.[0]?.value;
+
+        if (state) {
+            if (state !== browserToken) {
+                return { user: false, info: { linking: true, code: 'link_expired' } };
+            }
+
+            const userId = await this.consumeLinkToken(state, provider);
+            if (!userId) {
+                return { user: false, info: { linking: true, code: 'link_expired' } };
+            }
+
+            const owner = await User.findOne(User.linkedAccountQuery(provider, profile.id));
+            if (owner && !owner._id.equals(userId)) {
+                return { user: false, info: { linking: true, code: 'account_in_use' } };
+            }
+
+            const user = owner || await this.link(userId, { provider, providerId: profile.id, email });
+            return { user, info: { linked: provider } };
+        }
+
+        let user = await User.findOne(User.linkedAccountQuery(provider, profile.id));
+
+        if (user) {
+            user.avatar = avatar || user.avatar;
+            user.lastLogin = new Date();
+            await user.save();
+            return { user, info: {} };
+        }
+
+        // Same email as an existing account: the owner has to link this provider first
+        if (email && await User.exists({ email })) {
+            return { user: false, info: { code: 'account_exists' } };
+        }
+
+        user = await User.create({
+            name: profile.displayName,
+            email: email || `${profile.id}@${provider}.placeholder`,
+            avatar,
+            authProvider: provider,
+            providerId: profile.id,
+            linkedAccounts: [{ provider, providerId: profile.id, email }],
+            isVerified: !!email, // Provider emails are verified
+        });
+
+        return { user, info: {} };
+    }
+
+    /**
+     * Attach a login method to a user
+     * @param {String} userId - User ID
+     * @param {Object} account - {provider, providerId, email}
+     * @returns {Promise<User>} Updated user
+     */
+    async link(userId, { provider, providerId, email }) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+        if (user.hasLoginMethod(provider)) {
+            throw new ApiError(400, `${PROVIDER_NAMES[provider]} is already linked to your account`);
+        }
+
+        user.linkedAccounts = [...user.getLinkedAccounts(), { provider, providerId, email }];
+        await user.save();
+
+        return user;
+    }
+
+    /**
+     * Add email/password login to an account that only uses OAuth
+     * @param {String} userId - User ID
+     * @param {String} password - New password
+     * @returns {Promise<User>} Updated user
+     */
+    async linkPassword(userId, password) {
+        if (!password || password.length < 6) {
+            throw new ApiError(400, 'Password must be at least 6 characters');
+        }
+
+        const user = await User.findById(userId);
+        if (user.hasLoginMethod('local')) {
+            throw new ApiError(400, 'Your account already has a password');
+        }
+
+        user.password = password;
+        user.linkedAccounts = [...user.getLinkedAccounts(), { provider: 'local', email: user.email }];
+        await user.save();
+
+        return user;
+    }
+
+    /**
+     * Remove a login method (never the last one)
+     * @param {String} userId - User ID
+     * @param {String} provider - Provider to unlink
+     * @returns {Promise<User>} Updated user
+     */
+    async unlink(userId, provider) {
+        const user = await User.findById(userId);
+        const accounts = user.getLinkedAccounts();
+
+        if (!accounts.some(account => account.provider === provider)) {
+            throw new ApiError(400, `${PROVIDER_NAMES[provider]} is not linked to your account`);
+        }
+        if (accounts.length === 1) {
+            throw new ApiError(400, 'You can\'t remove your only way to sign in. Link another method first.');
+        }
+
+        user.linkedAccounts = accounts.filter(account => account.provider !== provider);
+        if (provider === 'local') {
+            user.password = undefined;
+        }
+        if (user.authProvider === provider) {
+            user.authProvider = user.linkedAccounts[0].provider;
+            user.providerId = user.linkedAccounts[0].providerId;
+        }
+        await user.save();
+
+        return user;
+    }
+}
+
+module.exports = new AccountLinkService();
@@ -0,0 +1,225 @@
+/**
+ * Address Service
+ * Customer address book: several labelled addresses, one of them the default.
+ * Every saved address must satisfy the courier's recipient requirements so
+ * orders placed with it can be booked without edits.
+ */
+const { User } = require('../models');
+const { ApiError } = require('../utils/ApiResponse');
+const SteadfastService = require('./SteadfastService');
+
+const MAX_ADDRESSES = 10;
+const ADDRESS_FIELDS = ['label', 'recipientName', 'phone', 'address', 'area', 'district', 'postcode'];
+
+// Local 11-digit form: '+880 1712-345678' -> '01712345678'
+const normalizePhone = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.startsWith('880') ? digits.slice(2) : digits;
+};
+
+class AddressService {
+    /**
+     * Street line of an address (what orders store as `address`; district goes in `city`)
+     * @param {Object} address - Saved address
+     * @returns {String}
+     */
+    formatLine(address) {
+        return [address.address, address.area, address.postcode].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Order delivery fields for a saved address
+     * @param {Object} address - Saved address
+     * @returns {Object} {name, contact, address, city, shippingAddress}
+     */
+    toOrderFields(address) {
+        return {
+            name: address.recipientName,
+            contact: address.phone,
+            address: this.formatLine(address),
+            city: address.district,
+            shippingAddress: {
+                addressId: address._id,
+                label: address.label,
+                recipientName: address.recipientName,
+                phone: address.phone,
+                address: address.address,
+                area: address.area,
+                district: address.district,
+                postcode: address.postcode,
+            },
+        };
+    }
+
+    /**
+     * Reject an address the courier would not accept
+     * @param {Object} address - Address fields
+     */
+    assertDeliverable(address) {
+        const errors = SteadfastService.validateRecipient({
+            recipient_name: address.recipientName,
+            recipient_phone: address.phone,
+            // Same string sendToCourier builds from the order's address and city
+            recipient_address: address.address ? `${this.formatLine(address)}, ${address.district || ''}` : '',
+        });
+
+        if (!address.district) {
+            errors.push('District is required');
+        }
+
+        if (errors.length) {
+            throw new ApiError(400, 'Address is missing details required for delivery', errors);
+        }
+    }
+
+    /**
+     * Load a user with their address book
+     * @param {String} userId - User ID
+     * @returns {Promise<User>}
+     */
+    async getUser(userId) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+        return user;
+    }
+
+    /**
+     * Find one saved address
+     * @param {User} user - User document
+     * @param {String} addressId - Address ID
+     * @returns {Object} Address subdocument
+     */
+    findAddress(user, addressId) {
+        const address = user.addresses.id(addressId);
+        if (!address) {
+            throw new ApiError(404, 'Address not found');
+        }
+        return address;
+    }
+
+    /**
+     * Saved addresses, default first
+     * @param {String} userId - User ID
+     * @returns {Promise<Array<Object>>}
+     */
+    async list(userId) {
+        const user = await this.getUser(userId);
+        return [...user.addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+    }
+
+    /**
+     * Saved address for checkout
+     * @param {String} userId - User ID
+     * @param {String} addressId - Address ID
+     * @returns {Promise<Object>} Address subdocument
+     */
+    async get(userId, addressId) {
+        const user = await this.getUser(userId);
+        return this.findAddress(user, addressId);
+    }
+
+    /**
+     * Add an address (the first one becomes the default)
+     * @param {String} userId - User ID
+     * @param {Object} data - Address fields plus optional isDefault
+     * @returns {Promise<Object>} Saved address
+     */
+    async add(userId, data) {
+        const user = await this.getUser(userId);
+
+        if (user.addresses.length >= MAX_ADDRESSES) {
+            throw new ApiError(400, `You can save up to ${MAX_ADDRESSES} addresses`);
+        }
+
+        const fields = this.pick(data);
+        this.assertDeliverable(fields);
+
+        const isDefault = Boolean(data.isDefault) || user.addresses.length === 0;
+        if (isDefault) {
+            user.addresses.forEach(address => { address.isDefault = false; });
+        }
+
+        user.addresses.push({ ...fields, isDefault });
+        await user.save();
+
+        return user.addresses[user.addresses.length - 1];
+    }
+
+    /**
+     * Update an address
+     * @param {String} userId - User ID
+     * @param {String} addressId - Address ID
+     * @param {Object} data - Changed fields plus optional isDefault
+     * @returns {Promise<Object>} Updated address
+     */
+    async update(userId, addressId, data) {
+        const user = await this.getUser(userId);
+        const address = this.findAddress(user, addressId);
+
+        const fields = { ...this.pick(address), ...this.pick(data) };
+        this.assertDeliverable(fields);
+
+        address.set(fields);
+        if (data.isDefault === true) {
+            user.addresses.forEach(other => { other.isDefault = other._id.equals(address._id); });
+        }
+        await user.save();
+
+        return address;
+    }
+
+    /**
+     * Make an address the default
+     * @param {String} userId - User ID
+     * @param {String} addressId - Address ID
+     * @returns {Promise<Object>} Default address
+     */
+    async setDefault(userId, addressId) {
+        const user = await this.getUser(userId);
+        const address = this.findAddress(user, addressId);
+
+        user.addresses.forEach(other => { other.isDefault = other._id.equals(address._id); });
+        await user.save();
+
+        return address;
+    }
+
+    /**
+     * Remove an address; if it was the default the next one takes over
+     * @param {String} userId - User ID
+     * @param {String} addressId - Address ID
+     */
+    async remove(userId, addressId) {
+        const user = await this.getUser(userId);
+        const address = this.findAddress(user, addressId);
+        const wasDefault = address.isDefault;
+
+        user.addresses.pull(address._id);
+        if (wasDefault && user.addresses.length) {
+            user.addresses[0].isDefault = true;
+        }
+        await user.save();
+    }
+
+    /**
+     * Whitelisted address fields from request data, phone normalized
+     * @param {Object} data - Request body or address
+     * @returns {Object}
+     */
+    pick(data = {}) {
+        const fields = {};
+        for (const field of ADDRESS_FIELDS) {
+            if (data[field] !== undefined) {
+                fields[field] = typeof data[field] === 'string' ? data[field].trim() : data[field];
+            }
+        }
+        if (fields.phone !== undefined) {
+            fields.phone = normalizePhone(fields.phone);
+        }
+        return fields;
+    }
+}
+
+module.exports = new AddressService();
@@ -0,0 +1,194 @@
+/**
+ * Attribute Catalog Service
+ * Per-category lists of allowed variant attributes. A category's catalog is its own
+ * attributes plus those of its ancestors (nearer categories win on name clashes).
+ * Product variants are checked against the catalog and their names and values
+ * rewritten to the catalog's spelling, so "ram: 16gb" is stored as "RAM: 16GB".
+ * Categories without any catalog accept free-form attributes as before.
+ */
+const { Category } = require('../models');
+const { ApiError } = require('../utils/ApiResponse');
+
+const ATTRIBUTE_NAME_PATTERN = /^[^.$][^.]*$/;
+const MAX_NAME_LENGTH = 50;
+
+const key = (value) => String(value).trim().toLowerCase();
+
+class AttributeCatalogService {
+    /**
+     * Whether a string can be used as an attribute name (a Map key in MongoDB)
+     * @param {String} name - Attribute name
+     * @returns {Boolean}
+     */
+    isValidName(name) {
+        return typeof name === 'string' && name.length <= MAX_NAME_LENGTH && ATTRIBUTE_NAME_PATTERN.test(name);
+    }
+
+    /**
+     * Effective catalog for one or more categories, including inherited attributes
+     * @param {Array<String>} categoryIds - Category IDs (e.g. a product's category and subCategory)
+     * @returns {Promise<Array<Object>>} [{name, values, unit, order}] sorted for display
+     */
+    async getCatalog(categoryIds = []) {
+        const ids = categoryIds.filter(Boolean).map(String);
+        if (!ids.length) return [];
+
+        const categories = await Category.find({}).select('_id parent attributes').lean();
+        const byId = new Map(categories.map(cat => [String(cat._id), cat]));
+
+        const merged = new Map();
+        for (const id of ids) {
+            // Walk up to the root, then apply root-first so nearer categories override
+            const chain = [];
+            const seen = new Set();
+            for (let cat = byId.get(id); cat && !seen.has(String(cat._id)); cat = byId.get(String(cat.parent))) {
+                seen.add(String(cat._id));
+                chain.unshift(cat);
+            }
+
+            for (const cat of chain) {
+                for (const attribute of cat.attributes || []) {
+                    merged.set(key(attribute.name), attribute);
+                }
+            }
+        }
+
+        return [...merged.values()].sort((a, b) => (a.order || 0) - (b.order || 0) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Check a category's attribute definitions and tidy them (trimmed, deduplicated values)
+     * @param {Array<Object>} attributes - [{name, values, unit, order}]
+     * @returns {Array<Object>} Clean definitions
+     */
+    sanitizeDefinitions(attributes) {
+        if (!Array.isArray(attributes)) {
+            throw new ApiError(400, 'attributes must be an array');
+        }
+
+        const errors = [];
+        const names = new Set();
+
+        const clean = attributes.map((attribute, index) => {
+            const name = String(attribute?.name || '').trim();
+            if (!this.isValidName(name)) {
+                errors.push(`Attribute ${index + 1}: name is required, at most ${MAX_NAME_LENGTH} characters, and cannot start with "$" or contain "."`);
+            } else if (names.has(key(name))) {
+                errors.push(`Attribute "${name}" is listed more than once`);
+            }
+            names.add(key(name));
+
+            const values = [];
+            for (const value of [].concat(attribute?.values || [])) {
+                const text = String(value).trim();
+                if (text && !values.some(existing => key(existing) === key(text))) {
+                    values.push(text);
+                }
+            }
+
+            return {
+                name,
+                values,
+                unit: attribute?.unit ? String(attribute.unit).trim() : undefined,
+                order: Number.isFinite(Number(attribute?.order)) ? Number(attribute.order) : index,
+            };
+        });
+
+        if (errors.length) {
+            throw new ApiError(400, 'Invalid attribute catalog', errors);
+        }
+
+        return clean;
+    }
+
+    /**
+     * Check one variant's attributes against a catalog and rewrite them to catalog spelling
+     * @param {Object|Map} attributes - Variant attributes
+     * @param {Array<Object>} catalog - Effective catalog from getCatalog()
+     * @returns {Object} {attributes, errors} - errors are messages without a variant prefix
+     */
+    normalizeAttributes(attributes, catalog) {
+        const entries = attributes instanceof Map ? [...attributes] : Object.entries(attributes || {});
+        if (!catalog.length) {
+            return { attributes: Object.fromEntries(entries), errors: [] };
+        }
+
+        const byName = new Map(catalog.map(attribute => [key(attribute.name), attribute]));
+        const clean = {};
+        const errors = [];
+
+        for (const [name, value] of entries) {
+            const definition = byName.get(key(name));
+            if (!definition) {
+                errors.push(`"${name}" is not an attribute of this category`);
+                continue;
+            }
+
+            const text = String(value ?? '').trim();
+            if (!definition.values.length) {
+                clean[definition.name] = text;
+                continue;
+            }
+
+            const allowed = definition.values.find(option => key(option) === key(text));
+            if (!allowed) {
+                errors.push(`"${text}" is not an allowed ${definition.name} (${definition.values.join(', ')})`);
+                continue;
+            }
+            clean[definition.name] = allowed;
+        }
+
+        return { attributes: clean, errors };
+    }
+
+    /**
+     * Rewrite an attribute filter to catalog spelling so "ram=16gb" finds variants stored as "RAM: 16GB".
+     * Names and values the catalog doesn't know are kept as given (free-form attributes).
+     * @param {Object} filter - {name: [values]}
+     * @param {Array<String>} categoryIds - Filtered categories; every category's catalog when empty
+     * @returns {Promise<Object>} {name: [values]} in catalog spelling
+     */
+    async normalizeFilter(filter, categoryIds = []) {
+        const ids = categoryIds.length
+            ? categoryIds
+            : (await Category.find({}).select('_id').lean()).map(cat => cat._id);
+        const byName = new Map((await this.getCatalog(ids)).map(attribute => [key(attribute.name), attribute]));
+
+        const normalized = {};
+        for (const [name, values] of Object.entries(filter)) {
+            const definition = byName.get(key(name));
+            const spelled = values.map(value => definition?.values.find(option => key(option) === key(value)) || value);
+            const target = definition?.name || name;
+            normalized[target] = [...new Set([...(normalized[target] || []), ...spelled])];
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Validate variant attributes against the catalog and rewrite them to catalog spelling
+     * @param {Array<Object>} variants - Variants with an `attributes` object or Map
+     * @param {Array<String>} categoryIds - The product's category and subCategory
+     * @returns {Promise<Array<Object>>} Variants with normalized attributes (unchanged without a catalog)
+     */
+    async normalizeVariants(variants = [], categoryIds = []) {
+        const catalog = await this.getCatalog(categoryIds);
+        if (!catalog.length) return variants;
+
+        const errors = [];
+
+        const normalized = variants.map((variant, index) => {
+            const result = this.normalizeAttributes(variant.attributes, catalog);
+            errors.push(...result.errors.map(message => `Variant ${index + 1}: ${message}`));
+            return { ...variant, attributes: result.attributes };
+        });
+
+        if (errors.length) {
+            throw new ApiError(400, 'Variant attributes do not match the category attribute catalog', errors);
+        }
+
+        return normalized;
+    }
+}
+
+module.exports = new AttributeCatalogService();
@@ -0,0 +1,182 @@
+/**
+ * Audit Service
+ * Records staff actions to the append-only audit log and queries it.
+ * Recording never fails the action being audited; errors are only logged.
+ */
+const mongoose = require('mongoose');
+const { AuditLog } = require('../models');
+const { toCsv } = require('../utils/csv');
+
+// Bookkeeping fields that are not worth diffing
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Fields whose values never go into the log
+const REDACTED_FIELDS = ['password', 'tokenHash', 'secret', 'pendingSecret', 'recoveryCodes', 'cardnumber', 'passwordResetToken', 'emailVerificationToken'];
+
+const MAX_EXPORT_ROWS = 10000;
+
+// Plain object from a document, or the value itself
+const toPlain = (value) => {
+    if (value && typeof value.toObject === 'function') {
+        return value.toObject({ depopulate: true });
+    }
+    return value;
+};
+
+// Nested objects flattened to dotted paths; arrays, ids and dates are compared whole
+const flatten = (value, prefix = '', out = {}) => {
+    const isPlainObject = value && typeof value === 'object' && !Array.isArray(value)
+        && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId);
+
+    if (!isPlainObject) {
+        if (prefix) out[prefix] = value;
+        return out;
+    }
+
+    for (const [key, nested] of Object.entries(value)) {
+        if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+        flatten(nested, prefix ? `${prefix}.${key}` : key, out);
+    }
+    return out;
+};
+
+// Comparable form of a value
+const serialize = (value) => JSON.stringify(value === undefined ? null : value);
+
+class AuditService {
+    /**
+     * Changed fields between two versions of a resource
+     * @param {Object} before - Previous version (document or object), null when created
+     * @param {Object} after - New version (document or object), null when deleted
+     * @returns {Array<Object>} [{path, before, after}]
+     */
+    diff(before, after) {
+        const previous = flatten(toPlain(before) || {});
+        const next = flatten(toPlain(after) || {});
+        const changes = [];
+
+        for (const path of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+            if (serialize(previous[path]) === serialize(next[path])) continue;
+
+            const redacted = REDACTED_FIELDS.includes(path.split('.').pop());
+            changes.push({
+                path,
+                before: redacted ? '[redacted]' : previous[path],
+                after: redacted ? '[redacted]' : next[path],
+            });
+        }
+
+        return changes;
+    }
+
+    /**
+     * Record a staff action
+     * @param {Object} req - Express request (actor, IP, user agent)
+     * @param {Object} entry - {action, resourceType, resourceId, before, after, metadata}
+     * @returns {Promise<AuditLog|null>}
+     */
+    async record(req, { action, resourceType, resourceId, before = null, after = null, metadata }) {
+        try {
+            return await AuditLog.create({
+                actor: req.user?._id,
+                actorEmail: req.user?.email,
+                actorRole: req.user?.role,
+                action,
+                resourceType,
+                resourceId: resourceId ? String(resourceId) : undefined,
+                changes: this.diff(before, after),
+                metadata,
+                ip: req.ip,
+                userAgent: req.headers?.['user-agent'],
+            });
+        } catch (error) {
+            console.error(`Audit log error (${action}):`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Build a query filter from request query params
+     * @param {Object} query - {actor, action, resourceType, resourceId, from, to}
+     * @returns {Object} Mongo filter
+     */
+    buildFilter({ actor, action, resourceType, resourceId, from, to } = {}) {
+        const filter = {};
+
+        if (actor) {
+            filter[mongoose.isValidObjectId(actor) ? 'actor' : 'actorEmail'] = String(actor).toLowerCase();
+        }
+        if (action) {
+            // 'product' matches every product.* action
+            filter.action = String(action).includes('.') ? String(action) : { $regex: `^${String(action).replace(/[^\w-]/g, '')}\\.` };
+        }
+        if (resourceType) filter.resourceType = String(resourceType);
+        if (resourceId) filter.resourceId = String(resourceId);
+
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) {
+                const end = new Date(to);
+                end.setHours(23, 59, 59, 999);
+                filter.createdAt.$lte = end;
+            }
+        }
+
+        return filter;
+    }
+
+    /**
+     * Page through log entries, newest first
+     * @param {Object} query - Filters plus page and limit
+     * @returns {Promise<Object>} {entries, pagination}
+     */
+    async list(query = {}) {
+        const page = Math.max(parseInt(query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200);
+        const filter = this.buildFilter(query);
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            AuditLog.countDocuments(filter),
+        ]);
+
+        return {
+            entries,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                total,
+            },
+        };
+    }
+
+    /**
+     * Export matching entries as CSV (newest first, capped)
+     * @param {Object} query - Filters
+     * @returns {Promise<String>} CSV text
+     */
+    async exportCsv(query = {}) {
+        const entries = await AuditLog.find(this.buildFilter(query))
+            .sort({ createdAt: -1 })
+            .limit(MAX_EXPORT_ROWS)
+            .lean();
+
+        return toCsv(entries, [
+            { header: 'Time', value: entry => entry.createdAt },
+            { header: 'Actor', value: entry => entry.actorEmail },
+            { header: 'Role', value: entry => entry.actorRole },
+            { header: 'Action', value: entry => entry.action },
+            { header: 'Resource Type', value: entry => entry.resourceType },
+            { header: 'Resource ID', value: entry => entry.resourceId },
+            { header: 'Changes', value: entry => (entry.changes || []).map(change => `${change.path}: ${serialize(change.before)} -> ${serialize(change.after)}`).join('; ') },
+            { header: 'IP', value: entry => entry.ip },
+        ]);
+    }
+}
+
+module.exports = new AuditService();
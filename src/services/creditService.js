@@ -0,0 +1,313 @@
+/**
+ * Credit Service
+ * Gift card and store credit balances: issue, tender planning, redemption,
+ * reversal on cancellation, void and expiry. Every change is written to the ledger.
+ */
+const crypto = require('crypto');
+const { CreditAccount, CreditLedger } = require('../models');
+const { ApiError } = require('../utils/ApiResponse');
+
+// Round to 2 decimal places
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Unambiguous characters for gift card codes (no 0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Purchased gift cards are valid for one year
+const GIFT_CARD_VALIDITY_DAYS = 365;
+
+// Accounts that can currently be spent
+const usableFilter = () => ({
+    status: 'active',
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+});
+
+// Human readable name for error messages
+const describeAccount = (account) => (account.kind === 'gift_card' ? `Gift card ${account.code}` : 'Store credit');
+
+class CreditService {
+    /**
+     * Generate a random gift card code like ABCD-EFGH-JKLM-NPQR
+     * @returns {String} Gift card code
+     */
+    generateCode() {
+        const bytes = crypto.randomBytes(16);
+        const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+        return chars.match(/.{4}/g).join('-');
+    }
+
+    /**
+     * Append a ledger entry for a balance change
+     * @param {CreditAccount} account - Account after the change
+     * @param {String} type - Ledger entry type
+     * @param {Number} amount - Signed amount (credit > 0, debit < 0)
+     * @param {Object} details - {order, returnRequest, note, actorId, session}
+     */
+    async record(account, type, amount, { order, returnRequest, note, actorId, session = null } = {}) {
+        await CreditLedger.create([{
+            account: account._id,
+            kind: account.kind,
+            code: account.code,
+            user: account.user,
+            type,
+            amount: roundAmount(amount),
+            balanceAfter: account.balance,
+            order,
+            returnRequest,
+            note,
+            actor: actorId,
+        }], { session });
+    }
+
+    /**
+     * Issue a new gift card
+     * @param {Object} params - {amount, recipientEmail, userId, expiresAt, note, source, paymentIntentId, actorId, session}
+     * @returns {Promise<CreditAccount>} Gift card account
+     */
+    async issueGiftCard({
+        amount, recipientEmail, userId, expiresAt = null, note,
+        source = 'admin', paymentIntentId, actorId, session = null,
+    }) {
+        const value = roundAmount(Number(amount));
+        if (!(value > 0)) {
+            throw new ApiError(400, 'Gift card amount must be greater than 0');
+        }
+
+        const [account] = await CreditAccount.create([{
+            kind: 'gift_card',
+            code: this.generateCode(),
+            user: userId,
+            recipientEmail,
+            initialBalance: value,
+            balance: value,
+            expiresAt,
+            source,
+            paymentIntentId,
+            note,
+            issuedBy: actorId,
+        }], { session });
+
+        await this.record(account, 'issue', value, { note, actorId, session });
+        return account;
+    }
+
+    /**
+     * Issue a gift card paid for through Stripe.
+     * The PaymentIntent is unique per account, so webhook retries can't issue twice.
+     * @param {Object} paymentIntent - Succeeded Stripe PaymentIntent with gift card metadata
+     * @returns {Promise<Object>} {account, created}
+     */
+    async issuePurchasedGiftCard(paymentIntent) {
+        const existing = await CreditAccount.findOne({ paymentIntentId: paymentIntent.id });
+        if (existing) return { account: existing, created: false };
+
+        const expiresAt = new Date(Date.now() + GIFT_CARD_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+        const { recipientEmail, purchaserId, message } = paymentIntent.metadata;
+
+        const account = await this.issueGiftCard({
+            amount: paymentIntent.amount_received / 100,
+            recipientEmail,
+            expiresAt,
+            note: message,
+            source: 'purchase',
+            paymentIntentId: paymentIntent.id,
+            actorId: purchaserId !== 'guest' ? purchaserId : undefined,
+        });
+
+        return { account, created: true };
+    }
+
+    /**
+     * Add store credit to a customer's account (created on first use)
+     * @param {String} userId - Customer user ID
+     * @param {Number} amount - Credit amount
+     * @param {Object} details - {note, actorId, order, returnRequest, session}
+     * @returns {Promise<CreditAccount>} Store credit account
+     */
+    async issueStoreCredit(userId, amount, { note, actorId, order, returnRequest, session = null } = {}) {
+        const value = roundAmount(Number(amount));
+        if (!(value > 0)) {
+            throw new ApiError(400, 'Store credit amount must be greater than 0');
+        }
+
+        const account = await CreditAccount.findOneAndUpdate(
+            { kind: 'store_credit', user: userId },
+            { $inc: { balance: value, initialBalance: value } },
+            { upsert: true, new: true, setDefaultsOnInsert: true, session }
+        );
+
+        await this.record(account, 'issue', value, { note, actorId, order, returnRequest, session });
+        return account;
+    }
+
+    /**
+     * Work out how gift cards (in the order given) and then store credit cover an amount.
+     * Nothing is deducted here; see redeem.
+     * @param {Object} params - {giftCards: [code], useStoreCredit, userId}
+     * @param {Number} amountDue - Order total to cover
+     * @returns {Promise<Object>} {tenders: [{account, kind, code, amount}], creditApplied, amountDue}
+     */
+    async planTenders({ giftCards = [], useStoreCredit = false, userId } = {}, amountDue) {
+        const tenders = [];
+        let remaining = amountDue;
+
+        const codes = [...new Set((giftCards || []).map(code => String(code).trim().toUpperCase()))];
+        for (const code of codes) {
+            const account = await CreditAccount.findOne({ kind: 'gift_card', code });
+            if (!account) {
+                throw new ApiError(400, `Invalid gift card: ${code}`);
+            }
+            if (account.status === 'voided') {
+                throw new ApiError(400, `Gift card ${code} has been voided`);
+            }
+            if (account.isExpired) {
+                throw new ApiError(400, `Gift card ${code} has expired`);
+            }
+            if (account.balance <= 0) {
+                throw new ApiError(400, `Gift card ${code} has no remaining balance`);
+            }
+            if (remaining <= 0) break;
+
+            const amount = roundAmount(Math.min(account.balance, remaining));
+            tenders.push({ account: account._id, kind: account.kind, code: account.code, amount });
+            remaining = roundAmount(remaining - amount);
+        }
+
+        if (useStoreCredit && remaining > 0) {
+            if (!userId) {
+                throw new ApiError(401, 'Please log in to use store credit');
+            }
+
+            const account = await CreditAccount.findOne({ kind: 'store_credit', user: userId });
+            if (account?.isUsable) {
+                const amount = roundAmount(Math.min(account.balance, remaining));
+                tenders.push({ account: account._id, kind: account.kind, amount });
+                remaining = roundAmount(remaining - amount);
+            }
+        }
+
+        return {
+            tenders,
+            creditApplied: roundAmount(amountDue - remaining),
+            amountDue: remaining,
+        };
+    }
+
+    /**
+     * Deduct planned tenders for an order inside the order transaction.
+     * Each deduction is conditional on the balance still covering it.
+     * @param {Array} tenders - Tenders from planTenders
+     * @param {Order} order - Order being placed
+     * @param {ClientSession} session - Active mongoose session
+     */
+    async redeem(tenders, order, session) {
+        for (const tender of tenders) {
+            const account = await CreditAccount.findOneAndUpdate(
+                { _id: tender.account, ...usableFilter(), balance: { $gte: tender.amount } },
+                { $inc: { balance: -tender.amount } },
+                { new: true, session }
+            );
+
+            if (!account) {
+                throw new ApiError(409, `${describeAccount(tender)} balance has changed, please review your payment`);
+            }
+
+            await this.record(account, 'redeem', -tender.amount, { order: order._id, session });
+        }
+    }
+
+    /**
+     * Give back every redemption of a cancelled order (once per account)
+     * @param {String} orderId - Order MongoDB ID
+     * @param {Object} options - {actorId, session}
+     */
+    async reverseForOrder(orderId, { actorId, session = null } = {}) {
+        const entries = await CreditLedger.find({ order: orderId, type: { $in: ['redeem', 'reversal'] } }).session(session);
+        const reversed = new Set(entries.filter(e => e.type === 'reversal').map(e => e.account.toString()));
+
+        for (const entry of entries.filter(e => e.type === 'redeem')) {
+            if (reversed.has(entry.account.toString())) continue;
+
+            const account = await CreditAccount.findByIdAndUpdate(
+                entry.account,
+                { $inc: { balance: -entry.amount } },
+                { new: true, session }
+            );
+            if (!account) continue;
+
+            await this.record(account, 'reversal', -entry.amount, {
+                order: orderId,
+                note: 'Order cancelled',
+                actorId,
+                session,
+            });
+        }
+    }
+
+    /**
+     * Void a gift card or store credit account and remove its balance
+     * @param {String} accountId - Account MongoDB ID
+     * @param {Object} details - {reason, actorId}
+     * @returns {Promise<CreditAccount>} Voided account
+     */
+    async voidAccount(accountId, { reason, actorId } = {}) {
+        // Read the pre-void balance atomically so the ledger debit is exact
+        const previous = await CreditAccount.findOneAndUpdate(
+            { _id: accountId, status: 'active' },
+            { status: 'voided', balance: 0, voidedAt: new Date(), voidedBy: actorId, voidReason: reason },
+            { new: false }
+        );
+
+        if (!previous) {
+            const exists = await CreditAccount.exists({ _id: accountId });
+            throw exists
+                ? new ApiError(400, 'This account has already been voided')
+                : new ApiError(404, 'Gift card not found');
+        }
+
+        const account = await CreditAccount.findById(accountId);
+        await this.record(account, 'void', -previous.balance, { note: reason, actorId });
+        return account;
+    }
+
+    /**
+     * Zero the balance of every expired account
+     * @returns {Promise<Number>} Number of accounts expired
+     */
+    async expireAccounts() {
+        const expired = await CreditAccount.find({
+            status: 'active',
+            balance: { $gt: 0 },
+            expiresAt: { $ne: null, $lte: new Date() },
+        });
+
+        let count = 0;
+        for (const candidate of expired) {
+            // Conditional on the balance we read, in case it was spent meanwhile
+            const account = await CreditAccount.findOneAndUpdate(
+                { _id: candidate._id, balance: candidate.balance },
+                { balance: 0 },
+                { new: true }
+            );
+            if (!account) continue;
+
+            await this.record(account, 'expire', -candidate.balance, { note: 'Balance expired' });
+            count++;
+        }
+
+        return count;
+    }
+
+    /**
+     * Get an account's ledger, newest first
+     * @param {String} accountId - Account MongoDB ID
+     * @returns {Promise<Array>} Ledger entries
+     */
+    async getLedger(accountId) {
+        return CreditLedger.find({ account: accountId })
+            .populate('order', 'orderId')
+            .sort({ createdAt: -1 });
+    }
+}
+
+module.exports = new CreditService();
@@ -31,6 +31,14 @@ const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
 const FROM_EMAIL = process.env.FROM_EMAIL || 'BestDeal <noreply@bestdeal.com>';
 const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
 
+// Text typed by customers or staff, made safe to put in email HTML
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
 /**
  * Email Service
  * Handles transactional emails using Nodemailer (Gmail SMTP)
@@ -50,7 +58,7 @@ class EmailService {
                 subject: 'Welcome to BestDeal!',
                 html: `
                     <div style="font-family: Arial, sans-serif; color: #333;">
-                        <h1>Welcome to BestDeal, ${name}!</h1>
+                        <h1>Welcome to BestDeal, ${escapeHtml(name)}!</h1>
                         <p>We are excited to have you on board. Start exploring our latest products and deals.</p>
                         <a href="${CLIENT_URL}" style="background: #2563EB; color: #fff; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Shop Now</a>
                     </div>
@@ -61,6 +69,64 @@ class EmailService {
         }
     }
 
+    /**
+     * Send Email Verification link
+     * @param {String} toEmail
+     * @param {String} name
+     * @param {String} verifyLink - Full URL containing the verification token
+     */
+    async sendEmailVerification(toEmail, name, verifyLink) {
+        try {
+            await transporter.sendMail({
+                from: FROM_EMAIL,
+                to: toEmail,
+                subject: 'Verify your BestDeal email address',
+                html: `
+                    <div style="font-family: Arial, sans-serif; color: #333;">
+                        <h1>Confirm your email</h1>
+                        <p>Hello ${escapeHtml(name)},</p>
+                        <p>Please confirm that this is your email address to finish setting up your BestDeal account.</p>
+                        <a href="${verifyLink}" style="background: #2563EB; color: #fff; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Verify Email</a>
+                        <p style="color: #666; font-size: 13px; margin-top: 24px;">This link expires in 24 hours. If you didn't create an account, you can ignore this email.</p>
+                    </div>
+                `
+            });
+            return { success: true };
+        } catch (error) {
+            console.error('Email Verification Email Error:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Send Password Reset link
+     * @param {String} toEmail
+     * @param {String} name
+     * @param {String} resetLink - Full URL containing the reset token
+     */
+    async sendPasswordReset(toEmail, name, resetLink) {
+        try {
+            await transporter.sendMail({
+                from: FROM_EMAIL,
+                to: toEmail,
+                subject: 'Reset your BestDeal password',
+                html: `
+                    <div style="font-family: Arial, sans-serif; color: #333;">
+                        <h1>Password Reset</h1>
+                        <p>Hello ${escapeHtml(name)},</p>
+                        <p>We received a request to reset your password. Click the button below to choose a new one.</p>
+                        <a href="${resetLink}" style="background: #2563EB; color: #fff; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a>
+                        <p style="color: #666; font-size: 13px; margin-top: 24px;">This link expires in 1 hour and can only be used once. If you didn't request a reset, you can ignore this email - your password won't change.</p>
+                    </div>
+                `
+            });
+            return { success: true };
+        } catch (error) {
+            console.error('Password Reset Email Error:', error);
+            return { success: false, error };
+        }
+    }
+
     /**
      * Send Order Confirmation to customer with QR Code
      * @param {Object} order
@@ -221,7 +287,7 @@ class EmailService {
 
     /**
      * Send Shipping Status Update to customer
-     * @param {Object} data - {email, name, orderId, status}
+     * @param {Object} data - {email, name, orderId, status, note?}
      */
     async sendShippingUpdate(data) {
         if (!data.email) return;
@@ -243,10 +309,11 @@ class EmailService {
                 html: `
                     <div style="font-family: Arial, sans-serif; color: #333;">
                         <h1>Order Status Update</h1>
-                        <p>Hello ${data.name},</p>
+                        <p>Hello ${escapeHtml(data.name)},</p>
                         <p>${statusMessages[data.status] || 'Your order status has been updated'}.</p>
                         <p><strong>Order ID:</strong> ${data.orderId}</p>
                         <p><strong>Status:</strong> ${data.status}</p>
+                        ${data.note ? `<p><strong>Note:</strong> ${escapeHtml(data.note)}</p>` : ''}
                         <a href="${process.env.CLIENT_URL}/orders/${data.orderId}" style="background: #2563EB; color: #fff; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Track Order</a>
                     </div>
                 `
@@ -258,6 +325,78 @@ class EmailService {
         }
     }
 
+    /**
+     * Send Return (RMA) Status Update to customer
+     * @param {Object} data - {email, name, orderId, rmaNumber, status, note?, refundAmount?}
+     */
+    async sendReturnUpdate(data) {
+        if (!data.email) return;
+
+        try {
+            const statusMessages = {
+                requested: 'We have received your return request and will review it shortly',
+                approved: 'Your return request has been approved. Please send the items back to us',
+                rejected: 'Unfortunately your return request has been rejected',
+                received: 'We have received your returned items',
+                refunded: 'Your refund has been issued',
+            };
+
+            await transporter.sendMail({
+                from: FROM_EMAIL,
+                to: data.email,
+                subject: `Return ${data.rmaNumber} Update - ${data.orderId}`,
+                html: `
+                    <div style="font-family: Arial, sans-serif; color: #333;">
+                        <h1>Return Update</h1>
+                        <p>Hello ${escapeHtml(data.name)},</p>
+                        <p>${statusMessages[data.status] || 'Your return request has been updated'}.</p>
+                        <p><strong>Return ID:</strong> ${data.rmaNumber}</p>
+                        <p><strong>Order ID:</strong> ${data.orderId}</p>
+                        <p><strong>Status:</strong> ${data.status}</p>
+                        ${data.refundAmount ? `<p><strong>Refund Amount:</strong> ৳${data.refundAmount}</p>` : ''}
+                        ${data.note ? `<p><strong>Note:</strong> ${escapeHtml(data.note)}</p>` : ''}
+                        <a href="${CLIENT_URL}/orders/${data.orderId}" style="background: #2563EB; color: #fff; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Order</a>
+                    </div>
+                `
+            });
+            return { success: true };
+        } catch (error) {
+            console.error('Return Update Email Error:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Send Gift Card code to its recipient
+     * @param {Object} data - {email, code, amount, expiresAt?, message?}
+     */
+    async sendGiftCard(data) {
+        if (!data.email) return;
+
+        try {
+            await transporter.sendMail({
+                from: FROM_EMAIL,
+                to: data.email,
+                subject: `You've received a ৳${data.amount} BestDeal gift card`,
+                html: `
+                    <div style="font-family: Arial, sans-serif; color: #333;">
+                        <h1>Your Gift Card</h1>
+                        <p>You have received a BestDeal gift card worth <strong>৳${data.amount}</strong>.</p>
+                        ${data.message ? `<p style="font-style: italic;">"${escapeHtml(data.message)}"</p>` : ''}
+                        <p style="font-size: 22px; letter-spacing: 2px; background: #F3F4F6; padding: 12px; text-align: center;"><strong>${data.code}</strong></p>
+                        ${data.expiresAt ? `<p><strong>Valid until:</strong> ${new Date(data.expiresAt).toDateString()}</p>` : ''}
+                        <p>Enter the code at checkout to use your balance. Unused balance stays on the card.</p>
+                        <a href="${CLIENT_URL}" style="background: #2563EB; color: #fff; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Start Shopping</a>
+                    </div>
+                `
+            });
+            return { success: true };
+        } catch (error) {
+            console.error('Gift Card Email Error:', error);
+            return { success: false, error };
+        }
+    }
+
     /**
      * Send Low Stock Alert to Admin
      * @param {Array} products - Array of low stock products
@@ -334,7 +473,7 @@ class EmailService {
     /**
      * Send Team Invitation Email
      * @param {String} toEmail - Recipient email
-     * @param {String} role - 'admin' or 'moderator'
+     * @param {String} role - 'admin', 'moderator' or a custom role name
      * @param {String} inviteLink - Full URL to accept invitation
      * @param {String} inviterName - Name of the person sending the invite
      */
@@ -384,7 +523,9 @@ class EmailService {
                                     <p style="color: #64748b; font-size: 14px; margin: 12px 0 0 0;">
                                         ${role === 'admin' 
                                             ? 'Full access to manage products, orders, team, and settings' 
-                                            : 'Access to manage products, orders, and moderate content'}
+                                            : role === 'moderator'
+                                                ? 'Access to manage products, orders, and moderate content'
+                                                : 'Access to the dashboard areas granted to your role'}
                                     </p>
                                 </div>
                                 
@@ -0,0 +1,417 @@
+/**
+ * Inventory Service
+ * Handles variant stock reservation and release for orders, staff adjustments
+ * and receipts. Every change to a variant's stock goes through here and is
+ * recorded in the StockMovement ledger.
+ */
+const mongoose = require('mongoose');
+const { Product, StockMovement } = require('../models');
+const { ApiError } = require('../utils/ApiResponse');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+class InventoryService {
+    /**
+     * Apply a stock update to one variant and return the variant as it was before or after.
+     * Trashed products are included so returns and cancellations still restock them.
+     * @param {Object} filter - Product filter; must match the variant inside `variants`
+     * @param {Object} update - Update using `variants.$`
+     * @param {Object} options - {session, returnAfter}
+     * @returns {Promise<Object|null>} Variant, or null when nothing matched
+     */
+    async updateVariant(filter, update, { session = null, returnAfter = true } = {}) {
+        const product = await Product.findOneAndUpdate(filter, update, {
+            new: returnAfter,
+            projection: { 'variants.$': 1 },
+            session,
+        }).withDeleted().lean();
+
+        return product?.variants?.[0] || null;
+    }
+
+    /**
+     * Run a stock change and its ledger entry in one transaction
+     * @param {Function} work - async (session) => result
+     * @returns {Promise<*>} Result of work
+     */
+    async withTransaction(work) {
+        const session = await mongoose.startSession();
+        let result;
+        try {
+            await session.withTransaction(async () => {
+                result = await work(session);
+            });
+        } finally {
+            await session.endSession();
+        }
+        return result;
+    }
+
+    /**
+     * Append ledger entries
+     * @param {Array<Object>} movements - StockMovement fields
+     * @param {ClientSession} session - Optional mongoose session
+     */
+    async record(movements, session = null) {
+        if (movements.length) {
+            await StockMovement.create(movements, { session, ordered: true });
+        }
+    }
+
+    /**
+     * Reserve stock for a list of order items.
+     * Each decrement only matches when the variant still has enough stock,
+     * so concurrent checkouts cannot push stock below zero.
+     * Must run inside a transaction so a partial reservation is rolled back.
+     * @param {Array} items - [{productId, variantId, quantity, name, sku}]
+     * @param {ClientSession} session - Active mongoose session
+     * @param {Object} details - {order} for the ledger
+     * @returns {Promise<Array>} Items that could not be reserved (empty on success)
+     */
+    async reserveStock(items, session, { order } = {}) {
+        const outOfStock = [];
+        const movements = [];
+
+        for (const item of items) {
+            const variant = await this.updateVariant(
+                {
+                    _id: item.productId,
+                    variants: {
+                        $elemMatch: {
+                            _id: item.variantId,
+                            stock: { $gte: item.quantity },
+                        },
+                    },
+                },
+                {
+                    $inc: {
+                        'variants.$.stock': -item.quantity,
+                        'variants.$.sells': item.quantity,
+                    },
+                },
+                { session }
+            );
+
+            if (!variant) {
+                outOfStock.push({
+                    productId: item.productId.toString(),
+                    variantId: item.variantId.toString(),
+                    name: item.name,
+                    sku: item.sku,
+                    requested: item.quantity,
+                });
+                continue;
+            }
+
+            movements.push({
+                product: item.productId,
+                variant: variant._id,
+                sku: variant.sku,
+                type: 'sale',
+                quantity: -item.quantity,
+                stockAfter: variant.stock,
+                order,
+            });
+        }
+
+        if (!outOfStock.length) {
+            await this.record(movements, session);
+        }
+
+        return outOfStock;
+    }
+
+    /**
+     * Put stock back (cancellation or received return) and reverse the sells counter.
+     * Items whose product or variant no longer exists are skipped.
+     * @param {Array} items - Order items [{productId, variantId, quantity}]
+     * @param {ClientSession} session - Optional mongoose session
+     * @param {Object} details - {type: 'cancellation'|'return', order, returnRequest, actorId} for the ledger
+     */
+    async releaseStock(items, session = null, { type = 'cancellation', order, returnRequest, actorId } = {}) {
+        const movements = [];
+
+        for (const item of items) {
+            if (!item.productId || !item.variantId) continue;
+
+            const variant = await this.updateVariant(
+                { _id: item.productId, 'variants._id': item.variantId },
+                {
+                    $inc: {
+                        'variants.$.stock': item.quantity,
+                        'variants.$.sells': -item.quantity,
+                    },
+                },
+                { session }
+            );
+            if (!variant) continue;
+
+            movements.push({
+                product: item.productId,
+                variant: variant._id,
+                sku: variant.sku,
+                type,
+                quantity: item.quantity,
+                stockAfter: variant.stock,
+                order,
+                returnRequest,
+                actor: actorId,
+            });
+        }
+
+        await this.record(movements, session);
+    }
+
+    /**
+     * Record stock set by a product create, edit or import (the product document was
+     * already written). New variants get an `initial` entry, changed or removed ones an adjustment.
+     * @param {Object} product - Product after the write
+     * @param {Array<Object>} previousVariants - Variants before the write ([] for a new product)
+     * @param {Object} details - {reason, actorId, session}
+     */
+    async recordVariantChanges(product, previousVariants = [], { reason, actorId, session = null } = {}) {
+        const previousById = new Map(previousVariants.map(variant => [String(variant._id), variant]));
+        const movements = [];
+
+        for (const variant of product.variants || []) {
+            const previous = previousById.get(String(variant._id));
+            previousById.delete(String(variant._id));
+
+            const quantity = (variant.stock || 0) - (previous?.stock || 0);
+            if (!quantity) continue;
+
+            movements.push({
+                product: product._id,
+                variant: variant._id,
+                sku: variant.sku,
+                type: previous ? 'adjustment' : 'initial',
+                quantity,
+                stockAfter: variant.stock,
+                reason: previous ? reason : undefined,
+                actor: actorId,
+            });
+        }
+
+        // Variants removed with stock left
+        for (const variant of previousById.values()) {
+            if (!variant.stock) continue;
+
+            movements.push({
+                product: product._id,
+                variant: variant._id,
+                sku: variant.sku,
+                type: 'adjustment',
+                quantity: -variant.stock,
+                stockAfter: 0,
+                reason: `${reason} (variant removed)`,
+                actor: actorId,
+            });
+        }
+
+        await this.record(movements, session);
+    }
+
+    /**
+     * Change a variant's stock by hand, either by a quantity or to a counted total
+     * @param {String} productId - Product ID
+     * @param {String} variantId - Variant ID
+     * @param {Object} params - {quantity | countedStock, reason, note, actorId}
+     * @returns {Promise<Object>} {movement, previousStock}
+     */
+    async adjustStock(productId, variantId, { quantity, countedStock, reason, note, actorId } = {}) {
+        const hasQuantity = quantity !== undefined && quantity !== null && quantity !== '';
+        const hasCount = countedStock !== undefined && countedStock !== null && countedStock !== '';
+
+        if (hasQuantity === hasCount) {
+            throw new ApiError(400, 'Provide either quantity (a change) or countedStock (a physical count)');
+        }
+        if (hasQuantity && (!Number.isInteger(Number(quantity)) || Number(quantity) === 0)) {
+            throw new ApiError(400, 'quantity must be a non-zero whole number');
+        }
+        if (hasCount && !isCount(Number(countedStock))) {
+            throw new ApiError(400, 'countedStock must be a whole number of 0 or more');
+        }
+        if (!reason || !String(reason).trim()) {
+            throw new ApiError(400, 'Please provide a reason for the adjustment');
+        }
+
+        await this.findVariant(productId, variantId);
+
+        return this.withTransaction(async (session) => {
+            let before;
+            let change;
+            if (hasCount) {
+                before = await this.updateVariant(
+                    { _id: productId, 'variants._id': variantId },
+                    { $set: { 'variants.$.stock': Number(countedStock) } },
+                    { session, returnAfter: false }
+                );
+                if (!before) {
+                    throw new ApiError(404, 'Product variant not found');
+                }
+                change = Number(countedStock) - before.stock;
+            } else {
+                change = Number(quantity);
+                before = await this.updateVariant(
+                    {
+                        _id: productId,
+                        variants: { $elemMatch: { _id: variantId, stock: { $gte: Math.max(-change, 0) } } },
+                    },
+                    { $inc: { 'variants.$.stock': change } },
+                    { session, returnAfter: false }
+                );
+                if (!before) {
+                    throw new ApiError(400, 'Adjustment would take stock below zero');
+                }
+            }
+
+            const [movement] = await StockMovement.create([{
+                product: productId,
+                variant: before._id,
+                sku: before.sku,
+                type: 'adjustment',
+                quantity: change,
+                stockAfter: before.stock + change,
+                countedStock: hasCount ? Number(countedStock) : undefined,
+                reason: String(reason).trim(),
+                note,
+                actor: actorId,
+            }], { session });
+
+            return { movement, previousStock: before.stock };
+        });
+    }
+
+    /**
+     * Add stock received from a purchase order
+     * @param {String} productId - Product ID
+     * @param {String} variantId - Variant ID
+     * @param {Object} params - {quantity, reference, note, actorId}
+     * @returns {Promise<Object>} {movement, previousStock}
+     */
+    async receiveStock(productId, variantId, { quantity, reference, note, actorId } = {}) {
+        const units = Number(quantity);
+        if (!Number.isInteger(units) || units < 1) {
+            throw new ApiError(400, 'quantity must be a whole number of 1 or more');
+        }
+        if (!reference || !String(reference).trim()) {
+            throw new ApiError(400, 'Please provide the purchase order reference');
+        }
+
+        await this.findVariant(productId, variantId);
+
+        return this.withTransaction(async (session) => {
+            const before = await this.updateVariant(
+                { _id: productId, 'variants._id': variantId },
+                { $inc: { 'variants.$.stock': units } },
+                { session, returnAfter: false }
+            );
+            if (!before) {
+                throw new ApiError(404, 'Product variant not found');
+            }
+
+            const [movement] = await StockMovement.create([{
+                product: productId,
+                variant: before._id,
+                sku: before.sku,
+                type: 'receipt',
+                quantity: units,
+                stockAfter: before.stock + units,
+                reference: String(reference).trim(),
+                note,
+                actor: actorId,
+            }], { session });
+
+            return { movement, previousStock: before.stock };
+        });
+    }
+
+    /**
+     * Load a product's variant, or fail with 404
+     * @param {String} productId - Product ID
+     * @param {String} variantId - Variant ID
+     * @param {Object} options - {withDeleted} to include trashed products, {allowRemoved} to accept a removed variant
+     * @returns {Promise<Object>} {product, variant} - variant is null if it was removed
+     */
+    async findVariant(productId, variantId, { withDeleted = false, allowRemoved = false } = {}) {
+        if (!mongoose.isValidObjectId(productId) || !mongoose.isValidObjectId(variantId)) {
+            throw new ApiError(404, 'Product variant not found');
+        }
+
+        const query = Product.findById(productId).select('name slug variants');
+        const product = await (withDeleted ? query.withDeleted() : query).lean();
+        const variant = product?.variants.find(entry => String(entry._id) === String(variantId)) || null;
+
+        if (!product || (!variant && !allowRemoved)) {
+            throw new ApiError(404, 'Product variant not found');
+        }
+
+        return { product, variant };
+    }
+
+    /**
+     * Stock history of a variant, newest first, with totals per movement type
+     * @param {String} productId - Product ID
+     * @param {String} variantId - Variant ID
+     * @param {Object} query - {type, from, to, page, limit}
+     * @returns {Promise<Object>} {variant, movements, totals, pagination}
+     */
+    async getMovements(productId, variantId, { type, from, to, page, limit } = {}) {
+        const { product, variant } = await this.findVariant(productId, variantId, { withDeleted: true, allowRemoved: true });
+
+        const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+        const perPage = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        const filter = {
+            product: product._id,
+            variant: new mongoose.Types.ObjectId(String(variantId)),
+        };
+        if (type) {
+            filter.type = { $in: String(type).split(',') };
+        }
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+            if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+                throw new ApiError(400, 'from and to must be dates');
+            }
+        }
+
+        const [movements, total, totals] = await Promise.all([
+            StockMovement.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((currentPage - 1) * perPage)
+                .limit(perPage)
+                .populate('actor', 'name email')
+                .populate('order', 'orderId')
+                .lean(),
+            StockMovement.countDocuments(filter),
+            StockMovement.aggregate([
+                { $match: filter },
+                { $group: { _id: '$type', quantity: { $sum: '$quantity' }, count: { $sum: 1 } } },
+                { $sort: { _id: 1 } },
+            ]),
+        ]);
+
+        return {
+            product: { _id: product._id, name: product.name, slug: product.slug },
+            variant: variant
+                ? { _id: variant._id, sku: variant.sku, attributes: variant.attributes, stock: variant.stock }
+                : null,
+            movements,
+            totals: totals.map(({ _id, quantity, count }) => ({ type: _id, quantity, count })),
+            pagination: {
+                page: currentPage,
+                limit: perPage,
+                total,
+                pages: Math.ceil(total / perPage),
+            },
+        };
+    }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,154 @@
+/**
+ * Order Service
+ * Order lifecycle operations shared by the order and admin controllers
+ */
+const mongoose = require('mongoose');
+const { Order } = require('../models');
+const inventoryService = require('./inventoryService');
+const promoService = require('./promoService');
+const creditService = require('./creditService');
+const emailService = require('./emailService');
+const { ApiError } = require('../utils/ApiResponse');
+const { ORDER_STATUS, canTransition, getSourceStatuses } = require('../constants/orderStatus');
+
+class OrderService {
+    /**
+     * Move an order to a new status if the transition graph allows it.
+     * The update is conditional on the status we validated against, so a
+     * concurrent change makes this call fail instead of skipping a step.
+     * Cancellation is delegated to cancelOrder so stock is given back.
+     * Only the return flow may mark an order returned (it restocks and refunds).
+     * @param {String} orderId - Order MongoDB ID
+     * @param {String} status - Target status
+     * @param {Object} options - {note, actorId, set, viaReturn} where set holds extra fields to update
+     * @returns {Promise<Order>} The updated order
+     */
+    async transitionStatus(orderId, status, { note, actorId, set = {}, viaReturn = false } = {}) {
+        if (status === ORDER_STATUS.CANCELLED) {
+            return this.cancelOrder(orderId, { reason: note, actorId });
+        }
+        if (status === ORDER_STATUS.RETURNED && !viaReturn) {
+            throw new ApiError(400, 'Orders are marked returned by receiving a return request');
+        }
+
+        const current = await Order.findById(orderId);
+        if (!current) {
+            throw new ApiError(404, 'Order not found');
+        }
+
+        if (!canTransition(current.orderStatus, status)) {
+            throw new ApiError(400, `Cannot change status from '${current.orderStatus}' to '${status}'`);
+        }
+
+        const order = await Order.findOneAndUpdate(
+            { _id: orderId, orderStatus: current.orderStatus },
+            {
+                ...set,
+                orderStatus: status,
+                $push: {
+                    statusHistory: {
+                        status,
+                        timestamp: new Date(),
+                        note: note || `Status changed to ${status}`,
+                        changedBy: actorId,
+                    },
+                },
+            },
+            { new: true }
+        );
+
+        if (!order) {
+            throw new ApiError(409, 'Order status changed concurrently, please retry');
+        }
+
+        return order;
+    }
+
+    /**
+     * Add a timeline entry without changing the order status
+     * (e.g. return and refund steps on a delivered order).
+     * @param {Order} order - Order document
+     * @param {String} note - Timeline note
+     * @param {String} actorId - User who performed the action
+     */
+    async addTimelineEntry(order, note, actorId) {
+        await Order.updateOne(
+            { _id: order._id },
+            {
+                $push: {
+                    statusHistory: {
+                        status: order.orderStatus,
+                        timestamp: new Date(),
+                        note,
+                        changedBy: actorId,
+                    },
+                },
+            }
+        );
+    }
+
+    /**
+     * Cancel an order: restock its items, reverse sells, release promo usage,
+     * record the timeline entry and notify the customer.
+     * The status flip is conditional so the same order is never restocked twice.
+     * @param {String} orderId - Order MongoDB ID
+     * @param {Object} options - {reason, actorId}
+     * @returns {Promise<Order>} The cancelled order
+     */
+    async cancelOrder(orderId, { reason, actorId } = {}) {
+        const note = reason ? `Order cancelled: ${reason}` : 'Order cancelled';
+        const session = await mongoose.startSession();
+        let order;
+
+        try {
+            await session.withTransaction(async () => {
+                order = await Order.findOneAndUpdate(
+                    { _id: orderId, orderStatus: { $in: getSourceStatuses(ORDER_STATUS.CANCELLED) } },
+                    {
+                        orderStatus: 'cancelled',
+                        $push: {
+                            statusHistory: {
+                                status: 'cancelled',
+                                timestamp: new Date(),
+                                note,
+                                changedBy: actorId,
+                            },
+                        },
+                    },
+                    { new: true, session }
+                );
+
+                if (!order) {
+                    const existing = await Order.findById(orderId).session(session);
+                    if (!existing) {
+                        throw new ApiError(404, 'Order not found');
+                    }
+                    throw new ApiError(400, `Order cannot be cancelled from status '${existing.orderStatus}'`);
+                }
+
+                await inventoryService.releaseStock(order.items, session, { type: 'cancellation', order: order._id, actorId });
+
+                await promoService.release(order._id, session);
+
+                // Gift card / store credit spent on the order goes back to its account
+                await creditService.reverseForOrder(order._id, { actorId, session });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        if (order.email) {
+            emailService.sendShippingUpdate({
+                email: order.email,
+                name: order.name || 'Customer',
+                orderId: order.orderId || order._id.toString().slice(-8).toUpperCase(),
+                status: 'cancelled',
+                note: reason,
+            }).catch(err => console.error('Cancellation email error:', err));
+        }
+
+        return order;
+    }
+}
+
+module.exports = new OrderService();
@@ -0,0 +1,143 @@
+/**
+ * Payment Method Service
+ * Saved cards are stored by Stripe against a Customer; we only keep the
+ * customer id and hand out brand, last4 and expiry for display.
+ */
+const stripe = require('../config/stripe');
+const { User } = require('../models');
+const { ApiError } = require('../utils/ApiResponse');
+
+// 13-19 digits, optionally grouped with spaces or dashes
+const CARD_NUMBER_PATTERN = /^\d(?:[ -]?\d){12,18}$/;
+
+class PaymentMethodService {
+    /**
+     * Whether a value looks like a raw card number
+     * @param {*} value - Request value
+     * @returns {Boolean}
+     */
+    looksLikeCardNumber(value) {
+        return (typeof value === 'string' || typeof value === 'number')
+            && CARD_NUMBER_PATTERN.test(String(value).trim());
+    }
+
+    /**
+     * Stripe Customer id for a user, creating the customer on first use
+     * @param {User} user - Logged in user
+     * @returns {Promise<String>} Customer id
+     */
+    async getOrCreateCustomer(user) {
+        const existing = await User.findById(user._id).select('stripeCustomerId').lean();
+        if (existing?.stripeCustomerId) {
+            return existing.stripeCustomerId;
+        }
+
+        const customer = await stripe.customers.create({
+            email: user.email,
+            name: user.name,
+            metadata: { userId: user._id.toString() },
+        });
+
+        // A concurrent request may have created one first; keep whichever was stored
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id, stripeCustomerId: null },
+            { $set: { stripeCustomerId: customer.id } },
+            { new: true }
+        ).select('stripeCustomerId').lean();
+
+        if (!updated) {
+            await stripe.customers.del(customer.id).catch(err => console.error('Stripe customer cleanup error:', err.message));
+            return (await User.findById(user._id).select('stripeCustomerId').lean()).stripeCustomerId;
+        }
+
+        return customer.id;
+    }
+
+    /**
+     * Start saving a card: the client confirms the SetupIntent with Stripe.js,
+     * so the card number never reaches our servers
+     * @param {User} user - Logged in user
+     * @returns {Promise<Object>} {clientSecret, setupIntentId}
+     */
+    async createSetupIntent(user) {
+        const customer = await this.getOrCreateCustomer(user);
+
+        const setupIntent = await stripe.setupIntents.create({
+            customer,
+            payment_method_types: ['card'],
+            usage: 'off_session',
+            metadata: { userId: user._id.toString() },
+        });
+
+        return { clientSecret: setupIntent.client_secret, setupIntentId: setupIntent.id };
+    }
+
+    /**
+     * Display details of a Stripe card payment method
+     * @param {Object} paymentMethod - Stripe PaymentMethod
+     * @returns {Object} {id, brand, last4, expMonth, expYear}
+     */
+    toDisplay(paymentMethod) {
+        return {
+            id: paymentMethod.id,
+            brand: paymentMethod.card?.brand,
+            last4: paymentMethod.card?.last4,
+            expMonth: paymentMethod.card?.exp_month,
+            expYear: paymentMethod.card?.exp_year,
+        };
+    }
+
+    /**
+     * Saved cards for a user
+     * @param {User} user - Logged in user
+     * @returns {Promise<Array<Object>>} Display details
+     */
+    async list(user) {
+        const account = await User.findById(user._id).select('stripeCustomerId').lean();
+        if (!account?.stripeCustomerId) {
+            return [];
+        }
+
+        const { data } = await stripe.paymentMethods.list({
+            customer: account.stripeCustomerId,
+            type: 'card',
+        });
+
+        return data.map(paymentMethod => this.toDisplay(paymentMethod));
+    }
+
+    /**
+     * Load a payment method and check it belongs to the user
+     * @param {User} user - Logged in user
+     * @param {String} paymentMethodId - Stripe PaymentMethod id
+     * @returns {Promise<Object>} {customer, paymentMethod}
+     */
+    async getOwned(user, paymentMethodId) {
+        const account = await User.findById(user._id).select('stripeCustomerId').lean();
+
+        let paymentMethod;
+        try {
+            paymentMethod = await stripe.paymentMethods.retrieve(String(paymentMethodId));
+        } catch (error) {
+            paymentMethod = null;
+        }
+
+        if (!account?.stripeCustomerId || !paymentMethod || paymentMethod.customer !== account.stripeCustomerId) {
+            throw new ApiError(404, 'Payment method not found');
+        }
+
+        return { customer: account.stripeCustomerId, paymentMethod };
+    }
+
+    /**
+     * Remove a saved card
+     * @param {User} user - Logged in user
+     * @param {String} paymentMethodId - Stripe PaymentMethod id
+     */
+    async remove(user, paymentMethodId) {
+        const { paymentMethod } = await this.getOwned(user, paymentMethodId);
+        await stripe.paymentMethods.detach(paymentMethod.id);
+    }
+}
+
+module.exports = new PaymentMethodService();
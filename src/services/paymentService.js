@@ -0,0 +1,195 @@
+/**
+ * Payment Service
+ * Links Stripe PaymentIntents to orders and applies webhook events to them
+ * (and issues gift cards bought through Stripe)
+ */
+const stripe = require('../config/stripe');
+const { Order, WebhookEvent } = require('../models');
+const { ApiError } = require('../utils/ApiResponse');
+const creditService = require('./creditService');
+const emailService = require('./emailService');
+
+// Stripe amounts are in the smallest currency unit (poisha for BDT)
+const fromStripeAmount = (amount) => (amount || 0) / 100;
+
+class PaymentService {
+    /**
+     * Build the order payment sub-document for a PaymentIntent
+     * @param {String} paymentIntentId - Stripe PaymentIntent ID
+     * @param {Number} expectedAmount - Server-calculated order amount
+     * @param {Object} customer - {userId?, email?} placing the order
+     * @returns {Promise<Object>} Payment sub-document
+     */
+    async getPaymentForIntent(paymentIntentId, expectedAmount, customer = {}) {
+        let paymentIntent;
+        try {
+            paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+        } catch (error) {
+            throw new ApiError(400, 'Invalid payment intent');
+        }
+
+        // Only checkout intents can pay for an order (not gift card purchases or another customer's checkout)
+        const metadata = paymentIntent.metadata || {};
+        if (metadata.type !== 'order') {
+            throw new ApiError(400, 'Payment intent was not created for an order');
+        }
+        const sameCustomer = metadata.userId !== 'guest'
+            ? metadata.userId === customer.userId?.toString()
+            : Boolean(metadata.email) && metadata.email === (customer.email || '').toLowerCase();
+        if (!sameCustomer) {
+            throw new ApiError(400, 'Payment intent belongs to another checkout');
+        }
+
+        if (Math.round(expectedAmount * 100) !== paymentIntent.amount) {
+            throw new ApiError(400, 'Payment amount does not match order total');
+        }
+
+        const succeeded = paymentIntent.status === 'succeeded';
+        return {
+            method: 'card',
+            paymentIntentId: paymentIntent.id,
+            status: succeeded ? 'succeeded' : 'pending',
+            amount: fromStripeAmount(paymentIntent.amount),
+            currency: paymentIntent.currency,
+            paidAt: succeeded ? new Date() : undefined,
+        };
+    }
+
+    /**
+     * Verify a webhook payload against the endpoint secret
+     * @param {Buffer} rawBody - Unparsed request body
+     * @param {String} signature - Stripe-Signature header
+     * @returns {Object} Stripe event
+     */
+    constructEvent(rawBody, signature) {
+        try {
+            return stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+        } catch (error) {
+            throw new ApiError(400, `Webhook signature verification failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply a Stripe event to its order exactly once.
+     * The event id is claimed before processing; a replay finds the claim and is skipped.
+     * If processing fails the claim is released so Stripe's retry is processed.
+     * @param {Object} event - Verified Stripe event
+     * @returns {Promise<Object>} {duplicate, outcome}
+     */
+    async handleEvent(event) {
+        try {
+            await WebhookEvent.create({ eventId: event.id, type: event.type });
+        } catch (error) {
+            if (error.code === 11000) {
+                return { duplicate: true };
+            }
+            throw error;
+        }
+
+        try {
+            const { outcome, order } = await this.applyEvent(event);
+            await WebhookEvent.updateOne({ eventId: event.id }, { outcome, order: order?._id });
+            return { duplicate: false, outcome };
+        } catch (error) {
+            await WebhookEvent.deleteOne({ eventId: event.id });
+            throw error;
+        }
+    }
+
+    /**
+     * Update the order payment sub-document for a supported event type.
+     * Updates set absolute values taken from the event, so applying one twice is harmless.
+     * @param {Object} event - Verified Stripe event
+     * @returns {Promise<Object>} {outcome, order}
+     */
+    async applyEvent(event) {
+        const object = event.data.object;
+        let paymentIntentId;
+        let update;
+
+        // Gift card purchases aren't orders: the card is issued once the payment succeeds
+        if (object.metadata?.type === 'gift_card') {
+            if (event.type !== 'payment_intent.succeeded') return { outcome: 'ignored' };
+            return this.issueGiftCardForPayment(object);
+        }
+
+        switch (event.type) {
+            case 'payment_intent.succeeded':
+                paymentIntentId = object.id;
+                update = {
+                    'payment.status': 'succeeded',
+                    'payment.amount': fromStripeAmount(object.amount_received || object.amount),
+                    'payment.currency': object.currency,
+                    'payment.paidAt': new Date(event.created * 1000),
+                };
+                break;
+            case 'payment_intent.payment_failed':
+                paymentIntentId = object.id;
+                update = {
+                    'payment.status': 'failed',
+                    'payment.failureMessage': object.last_payment_error?.message || 'Payment failed',
+                };
+                break;
+            case 'charge.refunded':
+                paymentIntentId = object.payment_intent;
+                update = {
+                    'payment.status': object.refunded ? 'refunded' : 'partially_refunded',
+                    'payment.amountRefunded': fromStripeAmount(object.amount_refunded),
+                    'payment.refundedAt': new Date(event.created * 1000),
+                };
+                break;
+            default:
+                return { outcome: 'ignored' };
+        }
+
+        // Late or retried events must not move a payment backwards: success and failure
+        // never overwrite a payment that succeeded or was refunded, and an older refund
+        // event never lowers the amount refunded
+        const filter = { 'payment.paymentIntentId': paymentIntentId };
+        if (event.type === 'payment_intent.payment_failed' || event.type === 'payment_intent.succeeded') {
+            filter['payment.status'] = { $in: ['pending', 'failed'] };
+        }
+        if (event.type === 'charge.refunded') {
+            filter['payment.amountRefunded'] = { $not: { $gt: update['payment.amountRefunded'] } };
+        }
+
+        // Payment state is kept current on trashed orders too
+        const order = await Order.findOneAndUpdate(
+            filter,
+            { $set: { ...update, 'payment.lastEventId': event.id } },
+            { new: true }
+        ).withDeleted();
+
+        if (!order) {
+            // Either the order isn't placed yet (createOrder reads the intent status itself)
+            // or a stale event arrived after a newer one
+            const exists = await Order.exists({ 'payment.paymentIntentId': paymentIntentId }).withDeleted();
+            return { outcome: exists ? 'ignored' : 'unmatched' };
+        }
+
+        return { outcome: 'applied', order };
+    }
+
+    /**
+     * Issue (at most once) the gift card paid for by a PaymentIntent and email its code
+     * @param {Object} paymentIntent - Succeeded Stripe PaymentIntent
+     * @returns {Promise<Object>} {outcome}
+     */
+    async issueGiftCardForPayment(paymentIntent) {
+        const { account, created } = await creditService.issuePurchasedGiftCard(paymentIntent);
+
+        if (created) {
+            emailService.sendGiftCard({
+                email: account.recipientEmail,
+                code: account.code,
+                amount: account.balance,
+                expiresAt: account.expiresAt,
+                message: account.note,
+            }).catch(err => console.error('Gift card email error:', err));
+        }
+
+        return { outcome: created ? 'applied' : 'ignored' };
+    }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,195 @@
+/**
+ * Pricing Service
+ * Builds the authoritative order quote (items, shipping, promotions, promo discount, limits, tenders)
+ * used by both order creation and Stripe payment intents
+ */
+const { Product, StoreSettings } = require('../models');
+const PromoCode = require('../models/PromoCode');
+const { ApiError } = require('../utils/ApiResponse');
+const { createCategoryLoader } = require('../utils/lineTargeting');
+const promoService = require('./promoService');
+const promotionService = require('./promotionService');
+const creditService = require('./creditService');
+
+// Round to 2 decimal places
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Effective unit price of a variant
+const getUnitPrice = (variant) => (variant.salePrice > 0 ? variant.salePrice : variant.regularPrice);
+
+class PricingService {
+    /**
+     * Price cart items from the database
+     * @param {Array} items - [{productId, variantId, quantity}]
+     * @returns {Promise<Object>} {lineItems, outOfStock, subtotal}
+     */
+    async priceItems(items) {
+        const lineItems = [];
+        const outOfStock = [];
+        let subtotal = 0;
+
+        for (const item of items) {
+            const quantity = parseInt(item.quantity) || 0;
+            if (quantity < 1) {
+                throw new ApiError(400, `Invalid quantity for ${item.name || item.productId}`);
+            }
+
+            const product = await Product.findById(item.productId || item._id);
+            if (!product) {
+                throw new ApiError(404, `Product not found: ${item.name || item.productId}`);
+            }
+
+            const variant = product.variants.find(v => v._id.toString() === item.variantId);
+            if (!variant) {
+                throw new ApiError(404, `Variant not found for product ${product.name}`);
+            }
+
+            // Collect all shortages so the client sees every variant at once
+            if (variant.stock < quantity) {
+                outOfStock.push({
+                    productId: product._id.toString(),
+                    variantId: variant._id.toString(),
+                    name: product.name,
+                    sku: variant.sku,
+                    requested: quantity,
+                    available: variant.stock,
+                });
+                continue;
+            }
+
+            const unitPrice = getUnitPrice(variant);
+            const itemTotal = unitPrice * quantity;
+            subtotal += itemTotal;
+
+            lineItems.push({
+                productId: product._id,
+                variantId: variant._id,
+                name: product.name,
+                sku: variant.sku,
+                image: variant.images?.[0] || product.images?.[0],
+                price: unitPrice,
+                quantity,
+                totalPrice: itemTotal,
+                // Keep legacy fields for compatibility if needed
+                brand: product.brand,
+                cat: product.category?.toString(),
+                subcat: product.subCategory?.toString()
+            });
+        }
+
+        return { lineItems, outOfStock, subtotal: roundAmount(subtotal) };
+    }
+
+    /**
+     * Resolve and validate a promo code against the priced line items and customer
+     * The discount only covers the line items the promo targets
+     * @param {String} code - Promo code entered by the customer
+     * @param {Array} lineItems - Priced line items from priceItems
+     * @param {Number} subtotal - Items subtotal after automatic promotions
+     * @param {Object} customer - {userId, email}
+     * @param {Object} options - {loadCategories} category tree loader shared with the quote
+     * @returns {Promise<Object>} {promo, discount, discountLines}
+     */
+    async resolvePromo(code, lineItems, subtotal, customer = {}, { loadCategories } = {}) {
+        const promo = await PromoCode.findOne({ code: code.toUpperCase() });
+        if (!promo) {
+            throw new ApiError(400, 'Invalid promo code');
+        }
+
+        const { eligibleTotal, discount, lines } = await promo.applyToLines(lineItems, { loadCategories });
+
+        const validation = promo.validateForOrder(subtotal, eligibleTotal);
+        if (!validation.isValid) {
+            throw new ApiError(400, validation.errors[0], validation.errors);
+        }
+
+        await promoService.checkCustomerEligibility(promo, customer);
+
+        return { promo, discount, discountLines: lines };
+    }
+
+    /**
+     * Build the full quote for a cart
+     * Automatic promotions apply first; a promo code then discounts what is left of each line.
+     * Shipping is free when a promotion waives it or once the discounted subtotal
+     * reaches freeShippingThreshold (0 = never free).
+     * Gift cards and store credit are tenders: they pay part of the total, leaving amountDue.
+     * @param {Object} params - {items, promoCode, customer: {userId, email}, giftCards: [code], useStoreCredit}
+     * @returns {Promise<Object>} {lineItems, outOfStock, promo, promotions, discountLines, tenders,
+     *                             pricing: {subtotal, promotionDiscount, discount, shipping, total, creditApplied, amountDue}}
+     */
+    async quote({ items, promoCode, customer, giftCards, useStoreCredit }) {
+        if (promoCode && typeof promoCode !== 'string') {
+            throw new ApiError(400, 'Promo code must be a string');
+        }
+
+        const { lineItems, outOfStock, subtotal } = await this.priceItems(items);
+        const settings = await StoreSettings.getSettings();
+        const { defaultShippingCost, freeShippingThreshold, minOrderAmount, maxOrderAmount } = settings.ecommerce;
+
+        // One category tree load covers every promotion and the promo code
+        const loadCategories = createCategoryLoader();
+        const promotions = await promotionService.evaluate(lineItems, { withPromoCode: Boolean(promoCode), loadCategories });
+        lineItems.forEach((line, i) => {
+            line.discount = promotions.lineDiscounts[i];
+        });
+
+        let promo = null;
+        let discount = 0;
+        let discountLines = [];
+        if (promoCode) {
+            const remainingLines = lineItems.map(line => ({ ...line, totalPrice: roundAmount(line.totalPrice - line.discount) }));
+            ({ promo, discount, discountLines } = await this.resolvePromo(
+                promoCode,
+                remainingLines,
+                roundAmount(subtotal - promotions.discount),
+                customer,
+                { loadCategories }
+            ));
+            lineItems.forEach((line, i) => {
+                line.discount = roundAmount(line.discount + discountLines[i].discount);
+            });
+        }
+
+        const discountedSubtotal = subtotal - promotions.discount - discount;
+        const freeShipping = promotions.freeShipping ||
+            (freeShippingThreshold > 0 && discountedSubtotal >= freeShippingThreshold);
+        const shipping = freeShipping ? 0 : defaultShippingCost || 0;
+        const total = roundAmount(discountedSubtotal + shipping);
+
+        // Limits only make sense once every item is available
+        if (outOfStock.length === 0) {
+            if (minOrderAmount > 0 && total < minOrderAmount) {
+                throw new ApiError(400, `Minimum order amount is ৳${minOrderAmount}`);
+            }
+            if (maxOrderAmount > 0 && total > maxOrderAmount) {
+                throw new ApiError(400, `Maximum order amount is ৳${maxOrderAmount}`);
+            }
+        }
+
+        const tender = await creditService.planTenders({ giftCards, useStoreCredit, userId: customer?.userId }, total);
+
+        return {
+            lineItems,
+            outOfStock,
+            promo,
+            promotions: {
+                applied: promotions.applied,
+                skipped: promotions.skipped,
+            },
+            discountLines,
+            tenders: tender.tenders,
+            pricing: {
+                subtotal,
+                promotionDiscount: promotions.discount,
+                shipping,
+                discount,
+                total,
+                creditApplied: tender.creditApplied,
+                amountDue: tender.amountDue,
+            },
+        };
+    }
+}
+
+module.exports = new PricingService();
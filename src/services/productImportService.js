@@ -0,0 +1,468 @@
+/**
+ * Product Import Service
+ * Bulk product import and export as CSV, one row per variant. Rows sharing a
+ * `handle` make up one product; product columns are read from its first row and
+ * later rows may leave them blank. Variant attributes are `attr:<Name>` columns.
+ *
+ * Exports use the product slug as handle, so an exported file can be edited and
+ * imported back: handles matching an existing product update it (variants are
+ * matched by SKU), other handles create new products with the handle as slug.
+ * Updates only touch the columns present in the file, and `stock` only applies to
+ * new variants (existing stock changes through stock adjustments).
+ */
+const mongoose = require('mongoose');
+const { Product, Category } = require('../models');
+const { ApiError } = require('../utils/ApiResponse');
+const { toCsv, parseCsv, unescapeCell } = require('../utils/csv');
+const auditService = require('./auditService');
+const attributeCatalogService = require('./attributeCatalogService');
+const inventoryService = require('./inventoryService');
+const productSearchService = require('./productSearchService');
+
+const MAX_IMPORT_ROWS = 5000;
+const LIST_SEPARATOR = '|';
+const ATTRIBUTE_PREFIX = 'attr:';
+
+const FLAGS = ['featured', 'latest', 'bestseller', 'special'];
+const PRODUCT_COLUMNS = ['handle', 'name', 'description', 'brand', 'manufacturer', 'category', 'subCategory', 'tags', 'images', 'specifications', ...FLAGS];
+const VARIANT_COLUMNS = ['sku', 'regularPrice', 'salePrice', 'costPrice', 'stock', 'variantImages'];
+const REQUIRED_COLUMNS = ['handle', 'name', 'regularPrice'];
+
+const HANDLE_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const BOOLEANS = { true: true, yes: true, 1: true, false: false, no: false, 0: false, '': false };
+
+// 'a|b' -> ['a', 'b']
+const splitList = (text) => text.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+const joinList = (items) => (items || []).join(LIST_SEPARATOR);
+
+// Same format createProduct uses for variants without a SKU
+const generateSku = () => `SKU-${Date.now().toString().slice(-4)}-${Math.random().toString(36).substring(2, 6).toUpperCase()}`;
+
+class ProductImportService {
+    /**
+     * Export products as CSV
+     * @param {Object} query - Listing filters (category, brand, stockStatus, search, attr, ...)
+     * @returns {Promise<String>} CSV text
+     */
+    async exportCsv(query = {}) {
+        const products = await productSearchService.findAll(query);
+        const rows = products.flatMap(product => (product.variants || []).map(variant => ({ product, variant })));
+
+        // One column per attribute name, in order of first appearance
+        const attributeNames = [...new Set(rows.flatMap(({ variant }) => Object.keys(variant.attributes || {})))];
+
+        const columns = [
+            { header: 'handle', value: ({ product }) => product.slug },
+            { header: 'name', value: ({ product }) => product.name },
+            { header: 'description', value: ({ product }) => product.description },
+            { header: 'brand', value: ({ product }) => product.brand },
+            { header: 'manufacturer', value: ({ product }) => product.manufacturer },
+            { header: 'category', value: ({ product }) => product.category?.slug },
+            { header: 'subCategory', value: ({ product }) => product.subCategory?.slug },
+            { header: 'tags', value: ({ product }) => joinList(product.tags) },
+            { header: 'images', value: ({ product }) => joinList(product.images) },
+            {
+                header: 'specifications',
+                value: ({ product }) => (product.specifications?.length
+                    ? JSON.stringify(product.specifications.map(({ key, value }) => ({ key, value })))
+                    : ''),
+            },
+            ...FLAGS.map(flag => ({ header: flag, value: ({ product }) => Boolean(product.flags?.[flag]) })),
+            { header: 'sku', value: ({ variant }) => variant.sku },
+            { header: 'regularPrice', value: ({ variant }) => variant.regularPrice },
+            { header: 'salePrice', value: ({ variant }) => variant.salePrice },
+            { header: 'costPrice', value: ({ variant }) => variant.costPrice },
+            { header: 'stock', value: ({ variant }) => variant.stock },
+            { header: 'variantImages', value: ({ variant }) => joinList(variant.images) },
+            ...attributeNames.map(name => ({
+                header: `${ATTRIBUTE_PREFIX}${name}`,
+                value: ({ variant }) => variant.attributes?.[name],
+            })),
+        ];
+
+        return toCsv(rows, columns);
+    }
+
+    /**
+     * Read CSV text into rows keyed by column
+     * @param {String} text - CSV text
+     * @returns {Array<Object>} [{number, cells}] - number is the spreadsheet row (header is row 1)
+     */
+    parse(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new ApiError(400, 'CSV content is required');
+        }
+
+        let records;
+        try {
+            records = parseCsv(text);
+        } catch (error) {
+            throw new ApiError(400, `Invalid CSV: ${error.message}`);
+        }
+
+        const [headerRow = [], ...dataRows] = records;
+        if (!dataRows.length) {
+            throw new ApiError(400, 'CSV has no product rows');
+        }
+        if (dataRows.length > MAX_IMPORT_ROWS) {
+            throw new ApiError(400, `CSV can have at most ${MAX_IMPORT_ROWS} rows`);
+        }
+
+        const headers = headerRow.map(header => header.trim());
+        const errors = [];
+        headers.forEach((header, index) => {
+            if (headers.indexOf(header) !== index) {
+                errors.push(`Column "${header}" appears more than once`);
+            } else if (header.startsWith(ATTRIBUTE_PREFIX)) {
+                if (!attributeCatalogService.isValidName(header.slice(ATTRIBUTE_PREFIX.length))) {
+                    errors.push(`Column "${header}" is not a valid attribute name`);
+                }
+            } else if (!PRODUCT_COLUMNS.includes(header) && !VARIANT_COLUMNS.includes(header)) {
+                errors.push(`Unknown column "${header}"`);
+            }
+        });
+        for (const column of REQUIRED_COLUMNS) {
+            if (!headers.includes(column)) {
+                errors.push(`Missing column "${column}"`);
+            }
+        }
+        if (errors.length) {
+            throw new ApiError(400, 'Invalid CSV columns', errors);
+        }
+
+        return dataRows
+            .map((cells, index) => ({
+                number: index + 2,
+                cells: Object.fromEntries(headers.map((header, column) => [header, unescapeCell(cells[column] ?? '').trim()])),
+            }))
+            // Spreadsheets save empty rows as a line of commas
+            .filter(row => Object.values(row.cells).some(Boolean));
+    }
+
+    /**
+     * Validate rows and work out what each product becomes, without writing anything
+     * @param {Array<Object>} rows - Parsed rows
+     * @returns {Promise<Object>} {products: [{handle, existing, data}], errors: [{row, handle, message}]}
+     */
+    async plan(rows) {
+        const errors = [];
+        const rowError = (row, message) => errors.push({ row: row.number, handle: row.cells.handle || null, message });
+
+        const groups = new Map();
+        for (const row of rows) {
+            if (!row.cells.handle) {
+                rowError(row, 'handle is required');
+                continue;
+            }
+            if (!groups.has(row.cells.handle)) groups.set(row.cells.handle, []);
+            groups.get(row.cells.handle).push(row);
+        }
+
+        const categorySlugs = rows.flatMap(row => [row.cells.category, row.cells.subCategory]).filter(Boolean);
+        const [categories, existingProducts] = await Promise.all([
+            Category.find({ slug: { $in: categorySlugs } }).select('_id slug').lean(),
+            Product.find({ slug: { $in: [...groups.keys()] } }).withDeleted().lean(),
+        ]);
+        const categoryIds = new Map(categories.map(cat => [cat.slug, cat._id]));
+        const existingBySlug = new Map(existingProducts.map(product => [product.slug, product]));
+
+        // Catalogs are shared by every product in the same categories
+        const catalogs = new Map();
+        const getCatalog = (ids) => {
+            const cacheKey = ids.map(String).join('|');
+            if (!catalogs.has(cacheKey)) catalogs.set(cacheKey, attributeCatalogService.getCatalog(ids));
+            return catalogs.get(cacheKey);
+        };
+
+        const skuRows = new Map();
+        const products = [];
+
+        for (const [handle, group] of groups) {
+            const [first] = group;
+            const errorCount = errors.length;
+
+            // Product columns on later rows must be blank or repeat the first row
+            for (const row of group.slice(1)) {
+                for (const column of PRODUCT_COLUMNS) {
+                    if (row.cells[column] && row.cells[column] !== first.cells[column]) {
+                        rowError(row, `${column} differs from the first row of this product`);
+                    }
+                }
+            }
+
+            const existing = existingBySlug.get(handle);
+            if (existing?.deletedAt) {
+                rowError(first, 'A product with this handle is in the trash; restore it before importing');
+            }
+            if (!existing && !HANDLE_PATTERN.test(handle)) {
+                rowError(first, 'handle of a new product may only contain lowercase letters, numbers and hyphens');
+            }
+
+            const data = this.readProduct(first, categoryIds, rowError);
+            const categoryOf = (field) => (field in data ? data[field] : existing?.[field]);
+            const catalog = await getCatalog([categoryOf('category'), categoryOf('subCategory')].filter(Boolean));
+
+            data.variants = group.map(row => {
+                const variant = this.readVariant(row, catalog, rowError);
+
+                if (skuRows.has(variant.sku)) {
+                    rowError(row, `SKU "${variant.sku}" is already used on row ${skuRows.get(variant.sku)}`);
+                }
+                skuRows.set(variant.sku, row.number);
+
+                return variant;
+            });
+
+            if (errors.length === errorCount) {
+                const validationError = new Product({
+                    ...existing,
+                    ...data,
+                    flags: { ...existing?.flags, ...data.flags },
+                    slug: existing?.slug || handle,
+                    variants: this.mergeVariants(data.variants, existing),
+                }).validateSync();
+                if (validationError) {
+                    Object.values(validationError.errors).forEach(error => rowError(first, error.message));
+                }
+            }
+
+            products.push({ handle, existing, data });
+        }
+
+        return { products, errors: errors.sort((a, b) => a.row - b.row) };
+    }
+
+    /**
+     * Product fields from the first row of a product (only the columns in the file)
+     * @param {Object} row - Parsed row
+     * @param {Map} categoryIds - Category slug -> ID
+     * @param {Function} rowError - (row, message) error collector
+     * @returns {Object} Product data
+     */
+    readProduct(row, categoryIds, rowError) {
+        const { cells } = row;
+        const has = (column) => column in cells;
+        const data = { name: cells.name };
+
+        if (!data.name) {
+            rowError(row, 'name is required');
+        }
+
+        for (const field of ['description', 'brand', 'manufacturer']) {
+            if (has(field)) data[field] = cells[field];
+        }
+        for (const field of ['tags', 'images']) {
+            if (has(field)) data[field] = splitList(cells[field]);
+        }
+
+        for (const field of ['category', 'subCategory']) {
+            if (!has(field)) continue;
+            data[field] = null;
+            if (!cells[field]) continue;
+            if (categoryIds.has(cells[field])) {
+                data[field] = categoryIds.get(cells[field]);
+            } else {
+                rowError(row, `${field} "${cells[field]}" does not exist`);
+            }
+        }
+
+        for (const url of data.images || []) {
+            if (!/^https?:\/\//i.test(url)) rowError(row, `Image "${url}" is not an http(s) URL`);
+        }
+
+        if (has('specifications')) {
+            data.specifications = [];
+            if (cells.specifications) {
+                try {
+                    const specifications = JSON.parse(cells.specifications);
+                    if (!Array.isArray(specifications)) throw new Error();
+                    data.specifications = specifications.map(({ key, value }) => ({ key: String(key), value: String(value ?? '') }));
+                } catch (error) {
+                    rowError(row, 'specifications must be a JSON list of {"key", "value"} pairs');
+                }
+            }
+        }
+
+        data.flags = {};
+        for (const flag of FLAGS.filter(has)) {
+            const value = BOOLEANS[cells[flag].toLowerCase()];
+            if (value === undefined) {
+                rowError(row, `${flag} must be true or false`);
+            }
+            data.flags[flag] = Boolean(value);
+        }
+
+        return data;
+    }
+
+    /**
+     * Variant fields from one row
+     * @param {Object} row - Parsed row
+     * @param {Array<Object>} catalog - The product's attribute catalog
+     * @param {Function} rowError - (row, message) error collector
+     * @returns {Object} Variant data
+     */
+    readVariant(row, catalog, rowError) {
+        const { cells } = row;
+
+        const number = (column, { required = false, integer = false } = {}) => {
+            if (!cells[column]) {
+                if (required) rowError(row, `${column} is required`);
+                return 0;
+            }
+            const value = Number(cells[column]);
+            if (!Number.isFinite(value) || value < 0 || (integer && !Number.isInteger(value))) {
+                rowError(row, `${column} must be a ${integer ? 'whole ' : ''}number of 0 or more`);
+                return 0;
+            }
+            return value;
+        };
+
+        const variant = {
+            sku: cells.sku || generateSku(),
+            regularPrice: number('regularPrice', { required: true }),
+        };
+        for (const column of ['salePrice', 'costPrice']) {
+            if (column in cells) variant[column] = number(column);
+        }
+        if ('stock' in cells) {
+            variant.stock = number('stock', { integer: true });
+        }
+
+        // Without any attribute column a matched variant keeps its attributes
+        const attributeColumns = Object.keys(cells).filter(column => column.startsWith(ATTRIBUTE_PREFIX));
+        if (attributeColumns.length) {
+            const attributes = {};
+            for (const column of attributeColumns) {
+                if (cells[column]) attributes[column.slice(ATTRIBUTE_PREFIX.length)] = cells[column];
+            }
+            const normalized = attributeCatalogService.normalizeAttributes(attributes, catalog);
+            normalized.errors.forEach(message => rowError(row, message));
+            variant.attributes = normalized.attributes;
+        }
+
+        if ('variantImages' in cells) {
+            variant.images = splitList(cells.variantImages);
+            for (const url of variant.images) {
+                if (!/^https?:\/\//i.test(url)) rowError(row, `Variant image "${url}" is not an http(s) URL`);
+            }
+        }
+
+        return variant;
+    }
+
+    /**
+     * Combine imported variants with the product's current ones (matched by SKU)
+     * @param {Array<Object>} variants - Variants read from the file
+     * @param {Object|null} current - Current product, if updating
+     * @returns {Array<Object>} Variants to save
+     */
+    mergeVariants(variants, current) {
+        const bySku = new Map((current?.variants || []).filter(variant => variant.sku).map(variant => [variant.sku, variant]));
+
+        // A match keeps its id (carts and orders reference it), its sales count, every column left out of
+        // the file and its current stock: the file's stock only seeds new variants, stock changes go through adjustments
+        return variants.map(({ stock, ...variant }) => {
+            const match = bySku.get(variant.sku);
+            return match ? { ...match, ...variant } : { ...variant, stock, sells: 0 };
+        });
+    }
+
+    /**
+     * Update for an existing product: flags are set one by one so flag columns left out keep their value
+     * @param {Object} data - Product data from readProduct()
+     * @param {Array<Object>} variants - Variants to save
+     * @returns {Object} Update
+     */
+    toUpdate({ flags, ...fields }, variants) {
+        const flagFields = Object.fromEntries(Object.entries(flags).map(([flag, value]) => [`flags.${flag}`, value]));
+        return { ...fields, ...flagFields, variants };
+    }
+
+    /**
+     * Import products from CSV. Nothing is saved unless every row is valid.
+     * @param {Object} req - Express request (for the audit log)
+     * @param {String} text - CSV text
+     * @param {Object} options - {dryRun}
+     * @returns {Promise<Object>} {dryRun, summary, products, errors}
+     */
+    async importCsv(req, text, { dryRun = false } = {}) {
+        const rows = this.parse(text);
+        const { products, errors } = await this.plan(rows);
+
+        const summary = {
+            rows: rows.length,
+            products: products.length,
+            created: products.filter(product => !product.existing).length,
+            updated: products.filter(product => product.existing).length,
+        };
+
+        if (errors.length && !dryRun) {
+            throw new ApiError(400, 'Import has errors; nothing was saved', errors);
+        }
+
+        if (dryRun) {
+            return {
+                dryRun: true,
+                summary,
+                products: products.map(({ handle, existing }) => ({ handle, action: existing ? 'update' : 'create' })),
+                errors,
+            };
+        }
+
+        const saved = [];
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                saved.length = 0;
+                for (const { handle, existing, data } of products) {
+                    // Re-read inside the transaction: stock may have moved since the plan was made,
+                    // and a concurrent stock write makes the transaction retry with fresh data
+                    const current = existing
+                        && await Product.findById(existing._id).withDeleted().session(session).lean();
+                    if (existing && (!current || current.deletedAt)) {
+                        throw new ApiError(409, `Product "${handle}" was deleted during the import; nothing was saved`);
+                    }
+
+                    const variants = this.mergeVariants(data.variants, current);
+                    const product = current
+                        ? await Product.findByIdAndUpdate(current._id, this.toUpdate(data, variants), { new: true, runValidators: true, session })
+                        : (await Product.create([{ ...data, slug: handle, variants }], { session }))[0];
+                    await inventoryService.recordVariantChanges(product, current?.variants, {
+                        reason: 'CSV import',
+                        actorId: req.user?._id,
+                        session,
+                    });
+                    saved.push({ handle, existing: current, product });
+                }
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        for (const { existing, product } of saved) {
+            await auditService.record(req, {
+                action: existing ? 'product.update' : 'product.create',
+                resourceType: 'Product',
+                resourceId: product._id,
+                before: existing,
+                after: product,
+            });
+        }
+
+        return {
+            dryRun: false,
+            summary,
+            products: saved.map(({ handle, existing, product }) => ({
+                handle,
+                action: existing ? 'update' : 'create',
+                _id: product._id,
+                slug: product.slug,
+            })),
+            errors: [],
+        };
+    }
+}
+
+module.exports = new ProductImportService();
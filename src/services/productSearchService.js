@@ -0,0 +1,383 @@
+/**
+ * Product Search Service
+ * Catalog listing as aggregations: filtering, sorting, pagination and facet
+ * counts all run in MongoDB.
+ *
+ * Facets are disjunctive: each facet is counted with every filter except its own,
+ * so picking a brand still shows how many products the other brands have.
+ * Attribute filters (attr[Color]=Black) count as one facet dimension; search is not a facet.
+ *
+ * Search and the filters on stored fields (category, brand, attributes) go in the
+ * leading $match, where they can use indexes, before prices and stock are computed.
+ * The facet of a filtered stored dimension is counted by its own aggregation, which
+ * leaves that one filter out.
+ */
+const mongoose = require('mongoose');
+const { Product, Category } = require('../models');
+const { ApiError } = require('../utils/ApiResponse');
+const attributeCatalogService = require('./attributeCatalogService');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const LOW_STOCK_THRESHOLD = 10;
+const PRICE_BUCKETS = 5;
+const MAX_BRAND_FACETS = 50;
+
+const SORT_FIELDS = {
+    price: 'minPrice',
+    date: 'createdAt',
+    stock: 'totalStock',
+    name: 'name',
+};
+
+// Facet dimensions that filter on computed fields, so they can only run after COMPUTED_FIELDS
+const COMPUTED_FILTERS = ['price', 'stock'];
+
+const STOCK_FILTERS = {
+    'in-stock': { totalStock: { $gt: LOW_STOCK_THRESHOLD } },
+    'low-stock': { totalStock: { $gt: 0, $lte: LOW_STOCK_THRESHOLD } },
+    'out-of-stock': { totalStock: { $lte: 0 } },
+};
+
+// Per-variant selling price, total stock and the product's price range
+const COMPUTED_FIELDS = [
+    {
+        $addFields: {
+            prices: {
+                $map: {
+                    input: { $ifNull: ['$variants', []] },
+                    as: 'variant',
+                    in: { $cond: [{ $gt: ['$$variant.salePrice', 0] }, '$$variant.salePrice', '$$variant.regularPrice'] },
+                },
+            },
+            totalStock: { $sum: '$variants.stock' },
+        },
+    },
+    {
+        $addFields: {
+            minPrice: { $min: '$prices' },
+            maxPrice: { $max: '$prices' },
+        },
+    },
+];
+
+// Facet counts, each with the filter dimension it leaves out
+const FACETS = {
+    brands: {
+        dimension: 'brand',
+        stages: [
+            { $match: { brand: { $nin: [null, ''] } } },
+            { $group: { _id: '$brand', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: MAX_BRAND_FACETS },
+        ],
+    },
+    categories: {
+        dimension: 'category',
+        stages: [
+            { $project: { ids: { $setUnion: [{ $filter: { input: ['$category', '$subCategory'], cond: { $ne: ['$$this', null] } } }] } } },
+            { $unwind: '$ids' },
+            { $group: { _id: '$ids', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+        ],
+    },
+    priceRanges: {
+        dimension: 'price',
+        stages: [
+            { $match: { minPrice: { $ne: null } } },
+            { $bucketAuto: { groupBy: '$minPrice', buckets: PRICE_BUCKETS } },
+        ],
+    },
+    attributes: {
+        dimension: 'attributes',
+        stages: [
+            { $unwind: '$variants' },
+            { $project: { attribute: { $objectToArray: { $ifNull: ['$variants.attributes', {}] } } } },
+            { $unwind: '$attribute' },
+            // Count products, not variants
+            { $group: { _id: { key: '$attribute.k', value: '$attribute.v', product: '$_id' } } },
+            { $group: { _id: { key: '$_id.key', value: '$_id.value' }, count: { $sum: 1 } } },
+            { $sort: { '_id.key': 1, count: -1, '_id.value': 1 } },
+        ],
+    },
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 'a,b' or ['a', 'b'] -> ['a', 'b']
+const toList = (value) => [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : undefined;
+};
+
+class ProductSearchService {
+    /**
+     * Variant attribute filter: every requested attribute must hold on the same variant.
+     * Names and values are matched to the catalog spelling case-insensitively.
+     * @param {Object} attr - {Color: 'Black,Blue', RAM: '16GB'} from attr[Color]=Black,Blue&attr[RAM]=16GB
+     * @param {Array<String>} categoryIds - Filtered categories (their catalog applies)
+     * @returns {Promise<Object|null>} Match condition
+     */
+    async buildAttributeFilter(attr, categoryIds = []) {
+        if (!attr || typeof attr !== 'object') return null;
+
+        const requested = {};
+        for (const [name, value] of Object.entries(attr)) {
+            if (!attributeCatalogService.isValidName(name)) {
+                throw new ApiError(400, `Invalid attribute name: ${name}`);
+            }
+            const values = toList(value);
+            if (values.length) {
+                requested[name] = values;
+            }
+        }
+        if (!Object.keys(requested).length) return null;
+
+        const normalized = await attributeCatalogService.normalizeFilter(requested, categoryIds);
+        const conditions = {};
+        for (const [name, values] of Object.entries(normalized)) {
+            conditions[`attributes.${name}`] = { $in: values };
+        }
+
+        return { variants: { $elemMatch: conditions } };
+    }
+
+    /**
+     * Turn request query params into match conditions
+     * @param {Object} query - {category, brand, minPrice, maxPrice, stockStatus, search, attr}
+     * @returns {Promise<Object>} {base, filters} - base conditions apply before everything;
+     *          filters are the facet dimensions
+     */
+    async buildConditions({ category, brand, minPrice, maxPrice, stockStatus, search, attr } = {}) {
+        const filters = {};
+        const base = [];
+
+        const categories = toList(category);
+        let categoryIds = [];
+        if (categories.length) {
+            categoryIds = [...await Category.getDescendantIds(categories)];
+            const ids = categoryIds.map(id => new mongoose.Types.ObjectId(id));
+            // Unknown categories match nothing rather than everything
+            filters.category = { $or: [{ category: { $in: ids } }, { subCategory: { $in: ids } }] };
+        }
+
+        const brands = toList(brand);
+        if (brands.length) {
+            filters.brand = { brand: { $in: brands } };
+        }
+
+        const min = toNumber(minPrice);
+        const max = toNumber(maxPrice);
+        if (min !== undefined || max !== undefined) {
+            // Any variant in range counts
+            const range = {};
+            if (min !== undefined) range.$gte = min;
+            if (max !== undefined) range.$lte = max;
+            filters.price = { prices: { $elemMatch: range } };
+        }
+
+        if (STOCK_FILTERS[stockStatus]) {
+            filters.stock = STOCK_FILTERS[stockStatus];
+        }
+
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search), 'i');
+            base.push({ $or: [{ name: pattern }, { brand: pattern }, { tags: pattern }] });
+        }
+
+        const attributeFilter = await this.buildAttributeFilter(attr, categoryIds);
+        if (attributeFilter) {
+            filters.attributes = attributeFilter;
+        }
+
+        return { base, filters };
+    }
+
+    /**
+     * $match stage for every filter except one facet dimension
+     * @param {Object} filters - Named conditions
+     * @param {String} except - Dimension to leave out
+     * @returns {Object} $match stage
+     */
+    matchFilters(filters, except) {
+        const conditions = Object.entries(filters)
+            .filter(([name]) => name !== except)
+            .map(([, condition]) => condition);
+
+        return { $match: conditions.length ? { $and: conditions } : {} };
+    }
+
+    /**
+     * Split filters into those on stored fields (usable ahead of COMPUTED_FIELDS) and on computed ones
+     * @param {Object} filters - Named conditions
+     * @returns {Object} {stored, computed} - named conditions
+     */
+    splitFilters(filters) {
+        const stored = {};
+        const computed = {};
+        for (const [name, condition] of Object.entries(filters)) {
+            (COMPUTED_FILTERS.includes(name) ? computed : stored)[name] = condition;
+        }
+        return { stored, computed };
+    }
+
+    /**
+     * Sort stage from request params (newest first by default)
+     * @param {String} sortBy - price, date, stock or name
+     * @param {String} sortOrder - asc or desc
+     * @returns {Object} $sort stage
+     */
+    buildSort(sortBy, sortOrder) {
+        const field = SORT_FIELDS[sortBy];
+        if (!field) {
+            return { $sort: { createdAt: -1, _id: -1 } };
+        }
+
+        const order = sortOrder === 'asc' ? 1 : -1;
+        return { $sort: { [field]: order, _id: order } };
+    }
+
+    /**
+     * Stages shared by every listing: base conditions, then computed price and stock fields
+     * @param {Array<Object>} base - Base conditions
+     * @returns {Array<Object>}
+     */
+    basePipeline(base) {
+        return [...(base.length ? [{ $match: { $and: base } }] : []), ...COMPUTED_FIELDS];
+    }
+
+    /**
+     * Populate category names the same way Product.find() callers do
+     * @param {Array<Object>} products - Plain product objects
+     * @returns {Promise<Array<Object>>}
+     */
+    populateCategories(products) {
+        return Product.populate(products, [
+            { path: 'category', select: 'name slug' },
+            { path: 'subCategory', select: 'name slug' },
+        ]);
+    }
+
+    /**
+     * One page of products with facet counts
+     * @param {Object} query - Filters plus page, limit, sortBy, sortOrder
+     * @returns {Promise<Object>} {products, total, page, limit, facets}
+     */
+    async search(query = {}) {
+        const page = Math.max(parseInt(query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const { base, filters } = await this.buildConditions(query);
+
+        const { stored, computed } = this.splitFilters(filters);
+
+        // Facets of filtered stored dimensions need the products that filter leaves out
+        const separate = Object.keys(FACETS).filter(name => FACETS[name].dimension in stored);
+        const shared = Object.keys(FACETS).filter(name => !separate.includes(name));
+
+        const [[result], ...separateCounts] = await Promise.all([
+            Product.aggregate([
+                ...this.basePipeline([...base, ...Object.values(stored)]),
+                {
+                    $facet: {
+                        products: [
+                            this.matchFilters(computed),
+                            this.buildSort(query.sortBy, query.sortOrder),
+                            { $skip: (page - 1) * limit },
+                            { $limit: limit },
+                            { $project: { prices: 0 } },
+                        ],
+                        total: [
+                            this.matchFilters(computed),
+                            { $count: 'count' },
+                        ],
+                        ...Object.fromEntries(shared.map(name => [
+                            name,
+                            [this.matchFilters(computed, FACETS[name].dimension), ...FACETS[name].stages],
+                        ])),
+                    },
+                },
+            ]),
+            ...separate.map(name => Product.aggregate([
+                ...this.basePipeline([
+                    ...base,
+                    ...Object.entries(stored)
+                        .filter(([dimension]) => dimension !== FACETS[name].dimension)
+                        .map(([, condition]) => condition),
+                ]),
+                this.matchFilters(computed),
+                ...FACETS[name].stages,
+            ])),
+        ]);
+        separate.forEach((name, index) => {
+            result[name] = separateCounts[index];
+        });
+
+        const [products, facets] = await Promise.all([
+            this.populateCategories(result.products),
+            this.formatFacets(result),
+        ]);
+
+        return {
+            products,
+            total: result.total[0]?.count || 0,
+            page,
+            limit,
+            facets,
+        };
+    }
+
+    /**
+     * Every matching product, unpaginated (legacy listing without facets)
+     * @param {Object} query - Filters plus sortBy, sortOrder
+     * @returns {Promise<Array<Object>>}
+     */
+    async findAll(query = {}) {
+        const { base, filters } = await this.buildConditions(query);
+
+        const { stored, computed } = this.splitFilters(filters);
+
+        // The whole catalog can be sorted at once, past the in-memory sort limit
+        const products = await Product.aggregate([
+            ...this.basePipeline([...base, ...Object.values(stored)]),
+            this.matchFilters(computed),
+            this.buildSort(query.sortBy, query.sortOrder),
+            { $project: { prices: 0 } },
+        ]).allowDiskUse(true);
+
+        return this.populateCategories(products);
+    }
+
+    /**
+     * Facet results in response shape, with category names
+     * @param {Object} result - $facet output
+     * @returns {Promise<Object>} {brands, categories, priceRanges, attributes}
+     */
+    async formatFacets(result) {
+        const categories = await Category.find({ _id: { $in: result.categories.map(entry => entry._id) } })
+            .select('name slug')
+            .lean();
+        const categoriesById = new Map(categories.map(cat => [String(cat._id), cat]));
+
+        const attributes = {};
+        for (const { _id, count } of result.attributes) {
+            (attributes[_id.key] = attributes[_id.key] || []).push({ value: _id.value, count });
+        }
+
+        return {
+            brands: result.brands.map(({ _id, count }) => ({ value: _id, count })),
+            // Trashed categories drop out here
+            categories: result.categories
+                .filter(entry => categoriesById.has(String(entry._id)))
+                .map(({ _id, count }) => ({ ...categoriesById.get(String(_id)), count })),
+            priceRanges: result.priceRanges.map(({ _id, count }) => ({ min: _id.min, max: _id.max, count })),
+            attributes,
+        };
+    }
+}
+
+module.exports = new ProductSearchService();
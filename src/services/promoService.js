@@ -0,0 +1,127 @@
+/**
+ * Promo Service
+ * Per-customer promo eligibility and atomic redemption tied to orders
+ */
+const { Order, PromoRedemption, User } = require('../models');
+const PromoCode = require('../models/PromoCode');
+const { ApiError } = require('../utils/ApiResponse');
+
+// Match redemptions/orders by logged-in user or checkout email
+const customerFilter = ({ userId, email }) => {
+    const conditions = [];
+    if (userId) conditions.push({ user: userId });
+    if (email) conditions.push({ email: email.toLowerCase() });
+    return { $or: conditions };
+};
+
+class PromoService {
+    /**
+     * Check the per-customer limit and first-order rule for a promo
+     * @param {PromoCode} promo - Promo code document
+     * @param {Object} customer - {userId, email}
+     * @param {Object} options - {session, excludeOrderId}
+     */
+    async checkCustomerEligibility(promo, customer = {}, { session = null, excludeOrderId = null } = {}) {
+        const needsCustomer = promo.perCustomerLimit !== null || promo.firstOrderOnly;
+        if (!needsCustomer) return;
+
+        if (!customer.userId && !customer.email) {
+            throw new ApiError(400, 'Please provide your email to use this promo code');
+        }
+
+        if (promo.perCustomerLimit !== null) {
+            const used = await PromoRedemption.countDocuments({
+                promo: promo._id,
+                status: 'active',
+                ...customerFilter(customer),
+            }).session(session);
+
+            if (used >= promo.perCustomerLimit) {
+                throw new ApiError(400, 'You have already used this promo code the maximum number of times');
+            }
+        }
+
+        if (promo.firstOrderOnly) {
+            // Orders are matched by email: the checkout email and, when signed in, the account's own email,
+            // so a returning customer can't pass by typing another address
+            const emails = [customer.email];
+            if (customer.userId) {
+                const user = await User.findById(customer.userId).select('email').session(session).lean();
+                emails.push(user?.email);
+            }
+
+            const previousOrder = await Order.exists({
+                email: { $in: [...new Set(emails.filter(Boolean).map(email => email.toLowerCase()))] },
+                orderStatus: { $ne: 'cancelled' },
+                ...(excludeOrderId && { _id: { $ne: excludeOrderId } }),
+            }).session(session);
+
+            if (previousOrder) {
+                throw new ApiError(400, 'This promo code is only valid on your first order');
+            }
+        }
+    }
+
+    /**
+     * Redeem a promo for an order inside the order transaction.
+     * The global limit is enforced by a conditional $inc; concurrent redemptions of the same
+     * code also write-conflict on that document, so the per-customer count is re-read on retry.
+     * @param {PromoCode} promo - Promo code document
+     * @param {Order} order - Order being placed
+     * @param {Object} customer - {userId, email}
+     * @param {Number} discount - Discount applied to the order
+     * @param {ClientSession} session - Active mongoose session
+     */
+    async redeem(promo, order, customer, discount, session) {
+        const claimed = await PromoCode.findOneAndUpdate(
+            {
+                _id: promo._id,
+                isActive: true,
+                $or: [
+                    { usageLimit: null },
+                    { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+                ],
+            },
+            { $inc: { usedCount: 1 } },
+            { new: true, session }
+        );
+
+        if (!claimed) {
+            throw new ApiError(409, 'This promo code has reached its usage limit');
+        }
+
+        await this.checkCustomerEligibility(claimed, customer, { session, excludeOrderId: order._id });
+
+        await PromoRedemption.create([{
+            promo: promo._id,
+            code: promo.code,
+            order: order._id,
+            user: customer.userId,
+            email: customer.email,
+            discount,
+        }], { session });
+    }
+
+    /**
+     * Release the redemption of a cancelled order and give the usage back
+     * @param {String} orderId - Order MongoDB ID
+     * @param {ClientSession} session - Optional mongoose session
+     */
+    async release(orderId, session = null) {
+        const redemption = await PromoRedemption.findOneAndUpdate(
+            { order: orderId, status: 'active' },
+            { status: 'released', releasedAt: new Date() },
+            { new: true, session }
+        );
+
+        if (!redemption) return;
+
+        await PromoCode.updateOne(
+            { _id: redemption.promo, usedCount: { $gt: 0 } },
+            { $inc: { usedCount: -1 } },
+            { session }
+        );
+    }
+}
+
+module.exports = new PromoService();
@@ -0,0 +1,164 @@
+/**
+ * Promotion Service
+ * Evaluates automatic promotions against priced cart lines
+ */
+const { Promotion } = require('../models');
+const { createCategoryLoader, buildLineMatcher, allocateDiscount } = require('../utils/lineTargeting');
+
+// Round to 2 decimal places
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Sum of the given line amounts
+const sumOf = (amounts) => amounts.reduce((sum, amount) => sum + amount, 0);
+
+class PromotionService {
+    /**
+     * Apply running promotions to the cart, highest priority first.
+     * Each promotion works on what is left of a line after earlier promotions,
+     * so stacked discounts can never exceed the line total.
+     * @param {Array} lineItems - Priced line items from pricingService.priceItems
+     * @param {Object} options - {withPromoCode: a customer code is also being applied,
+     *                           loadCategories: category tree loader shared with the rest of the quote}
+     * @returns {Promise<Object>} {applied, skipped, discount, freeShipping, lineDiscounts}
+     */
+    async evaluate(lineItems, { withPromoCode = false, loadCategories = createCategoryLoader() } = {}) {
+        const promotions = await Promotion.findRunning();
+        const remaining = lineItems.map(line => line.totalPrice);
+        const lineDiscounts = lineItems.map(() => 0);
+        const applied = [];
+        const skipped = [];
+        let freeShipping = false;
+        let exclusiveApplied = false;
+
+        for (const promotion of promotions) {
+            const isEligible = await buildLineMatcher(promotion, { loadCategories });
+            const eligibleAmounts = lineItems.map((line, i) => (isEligible(line) ? remaining[i] : 0));
+            const result = this.calculate(promotion, lineItems, eligibleAmounts);
+
+            const discount = roundAmount(sumOf(result.lineDiscounts));
+            if (discount <= 0 && !result.freeShipping) continue;
+
+            // Stacking rules: only report promotions the cart actually qualified for
+            const summary = { promotion: promotion._id, name: promotion.name, type: promotion.type };
+            if (withPromoCode && !promotion.combinableWithCodes) {
+                skipped.push({ ...summary, reason: 'Cannot be combined with a promo code' });
+                continue;
+            }
+            if (exclusiveApplied || (!promotion.stackable && applied.length > 0)) {
+                skipped.push({ ...summary, reason: 'Cannot be combined with other promotions' });
+                continue;
+            }
+
+            result.lineDiscounts.forEach((lineDiscount, i) => {
+                remaining[i] = roundAmount(remaining[i] - lineDiscount);
+                lineDiscounts[i] = roundAmount(lineDiscounts[i] + lineDiscount);
+            });
+            freeShipping = freeShipping || result.freeShipping;
+            applied.push({ ...summary, discount, freeShipping: result.freeShipping });
+
+            if (!promotion.stackable) exclusiveApplied = true;
+        }
+
+        return {
+            applied,
+            skipped,
+            discount: roundAmount(sumOf(lineDiscounts)),
+            freeShipping,
+            lineDiscounts,
+        };
+    }
+
+    /**
+     * Calculate a single promotion over the eligible line amounts
+     * @param {Promotion} promotion - Promotion document
+     * @param {Array} lineItems - Priced line items
+     * @param {Array<Number>} eligibleAmounts - Remaining amount per line, 0 when not eligible
+     * @returns {Object} {lineDiscounts, freeShipping}
+     */
+    calculate(promotion, lineItems, eligibleAmounts) {
+        const none = { lineDiscounts: lineItems.map(() => 0), freeShipping: false };
+        const eligibleSubtotal = sumOf(eligibleAmounts);
+        if (eligibleSubtotal <= 0) return none;
+
+        switch (promotion.type) {
+            case 'buy_x_get_y':
+                return { ...none, lineDiscounts: this.calculateBuyXGetY(promotion, lineItems, eligibleAmounts) };
+            case 'tiered':
+                return { ...none, lineDiscounts: this.calculateTiered(promotion, eligibleAmounts, eligibleSubtotal) };
+            case 'bundle':
+                return { ...none, lineDiscounts: this.calculateBundle(promotion, lineItems, eligibleAmounts) };
+            case 'free_shipping':
+                return { ...none, freeShipping: eligibleSubtotal >= promotion.minSubtotal };
+            default:
+                return none;
+        }
+    }
+
+    // The cheapest eligible units are the rewarded ones
+    calculateBuyXGetY(promotion, lineItems, eligibleAmounts) {
+        const units = [];
+        lineItems.forEach((line, i) => {
+            if (eligibleAmounts[i] <= 0) return;
+            const unitPrice = eligibleAmounts[i] / line.quantity;
+            for (let n = 0; n < line.quantity; n++) units.push({ line: i, unitPrice });
+        });
+
+        const groupSize = promotion.buyQuantity + promotion.getQuantity;
+        const rewardedCount = Math.floor(units.length / groupSize) * promotion.getQuantity;
+
+        const lineDiscounts = lineItems.map(() => 0);
+        units
+            .sort((a, b) => a.unitPrice - b.unitPrice)
+            .slice(0, rewardedCount)
+            .forEach(unit => {
+                lineDiscounts[unit.line] += unit.unitPrice * promotion.getDiscountPercent / 100;
+            });
+
+        return lineDiscounts.map(roundAmount);
+    }
+
+    // The highest tier reached by the eligible subtotal applies
+    calculateTiered(promotion, eligibleAmounts, eligibleSubtotal) {
+        const tier = [...promotion.tiers]
+            .sort((a, b) => b.minSubtotal - a.minSubtotal)
+            .find(t => eligibleSubtotal >= t.minSubtotal);
+        if (!tier) return eligibleAmounts.map(() => 0);
+
+        const discount = tier.discountType === 'percentage'
+            ? (eligibleSubtotal * tier.discountValue) / 100
+            : tier.discountValue;
+
+        return allocateDiscount(roundAmount(Math.min(discount, eligibleSubtotal)), eligibleAmounts);
+    }
+
+    // Every complete set of bundle products is sold for the bundle price
+    calculateBundle(promotion, lineItems, eligibleAmounts) {
+        const bundleIds = promotion.bundleProducts.map(String);
+        const byProduct = {};
+        lineItems.forEach((line, i) => {
+            const productId = String(line.productId);
+            if (!bundleIds.includes(productId) || eligibleAmounts[i] <= 0) return;
+            byProduct[productId] = byProduct[productId] || { quantity: 0, amount: 0 };
+            byProduct[productId].quantity += line.quantity;
+            byProduct[productId].amount += eligibleAmounts[i];
+        });
+
+        const sets = Math.min(...bundleIds.map(id => byProduct[id]?.quantity || 0));
+        if (sets < 1) return eligibleAmounts.map(() => 0);
+
+        // Average unit price per product so split lines of one product count once
+        const setPrice = sumOf(bundleIds.map(id => byProduct[id].amount / byProduct[id].quantity));
+        const discount = roundAmount(Math.max(0, setPrice - promotion.bundlePrice) * sets);
+
+        // Only the units that make up complete sets share the discount
+        const bundledAmounts = lineItems.map((line, i) => {
+            const product = byProduct[String(line.productId)];
+            if (!product || eligibleAmounts[i] <= 0) return 0;
+            return eligibleAmounts[i] * sets / product.quantity;
+        });
+
+        return allocateDiscount(discount, bundledAmounts);
+    }
+}
+
+module.exports = new PromotionService();
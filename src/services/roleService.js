@@ -0,0 +1,157 @@
+/**
+ * Role Service
+ * Resolves permissions and hierarchy levels for built-in roles (constants/permissions)
+ * and custom Role documents. Custom roles are cached briefly since every authorized
+ * request needs them.
+ */
+const { Role, User } = require('../models');
+const Invitation = require('../models/Invitation');
+const { ApiError } = require('../utils/ApiResponse');
+const { ROLES, ROLE_HIERARCHY } = require('../constants/permissions');
+
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+class RoleService {
+    constructor() {
+        this.cache = new Map(); // name -> { role, expiresAt }
+    }
+
+    /**
+     * Look up a role by name
+     * @param {String} name - Role name
+     * @returns {Promise<Object|null>} {name, permissions, level, builtIn}
+     */
+    async getRole(name) {
+        if (!name) return null;
+
+        if (ROLES[name]) {
+            return { name, permissions: ROLES[name], level: ROLE_HIERARCHY[name], builtIn: true };
+        }
+
+        const cached = this.cache.get(name);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.role;
+        }
+
+        const doc = await Role.findOne({ name }).lean();
+        const role = doc && { name, permissions: doc.permissions, level: doc.level, builtIn: false };
+        this.cache.set(name, { role, expiresAt: Date.now() + CACHE_TTL });
+
+        return role;
+    }
+
+    /**
+     * Forget cached custom roles (after a role is changed)
+     * @param {String} name - Role name (all roles when omitted)
+     */
+    invalidate(name) {
+        if (name) this.cache.delete(name);
+        else this.cache.clear();
+    }
+
+    /**
+     * Get all permissions for a role (none for unknown roles)
+     * @param {String} name - Role name
+     * @returns {Promise<Array<String>>}
+     */
+    async getPermissions(name) {
+        const role = await this.getRole(name);
+        return role ? role.permissions : [];
+    }
+
+    // Check if a role has a specific permission
+    async hasPermission(name, permission) {
+        return (await this.getPermissions(name)).includes(permission);
+    }
+
+    // Check if a role has all specified permissions
+    async hasAllPermissions(name, permissions) {
+        const granted = await this.getPermissions(name);
+        return permissions.every(perm => granted.includes(perm));
+    }
+
+    // Check if a role has any of the specified permissions
+    async hasAnyPermission(name, permissions) {
+        const granted = await this.getPermissions(name);
+        return permissions.some(perm => granted.includes(perm));
+    }
+
+    // Hierarchy level of a role (0 for unknown roles)
+    async getLevel(name) {
+        const role = await this.getRole(name);
+        return role ? role.level : 0;
+    }
+
+    // Check if roleA outranks roleB in hierarchy
+    async outranks(roleA, roleB) {
+        return (await this.getLevel(roleA)) > (await this.getLevel(roleB));
+    }
+
+    /**
+     * Ensure an actor may hand out a set of permissions: a role can only grant
+     * permissions it holds itself
+     * @param {String} actorRole - Role of the user granting
+     * @param {Array<String>} permissions - Permissions being granted
+     */
+    async assertCanGrantPermissions(actorRole, permissions) {
+        const granted = await this.getPermissions(actorRole);
+        const missing = permissions.filter(perm => !granted.includes(perm));
+
+        if (missing.length) {
+            throw new ApiError(403, 'You can only grant permissions you hold yourself', missing);
+        }
+    }
+
+    /**
+     * Ensure an actor may assign a role to a user (or invite someone into it):
+     * the role must exist, sit no higher than the actor's own, and hold no
+     * permission the actor lacks
+     * @param {String} actorRole - Role of the user assigning
+     * @param {String} name - Role being assigned
+     * @returns {Promise<Object>} The role
+     */
+    async assertCanAssign(actorRole, name) {
+        const role = await this.getRole(name);
+        if (!role) {
+            throw new ApiError(400, `Role "${name}" does not exist`);
+        }
+
+        if (role.level > await this.getLevel(actorRole)) {
+            throw new ApiError(403, 'You cannot assign a role above your own');
+        }
+
+        await this.assertCanGrantPermissions(actorRole, role.permissions);
+        return role;
+    }
+
+    /**
+     * List built-in and custom roles with their permissions
+     * @returns {Promise<Array<Object>>}
+     */
+    async listRoles() {
+        const builtIn = Object.keys(ROLES).map(name => ({
+            name,
+            permissions: ROLES[name],
+            level: ROLE_HIERARCHY[name],
+            builtIn: true,
+        }));
+        const custom = await Role.find().sort({ name: 1 }).lean();
+
+        return [...builtIn, ...custom.map(role => ({ ...role, builtIn: false }))];
+    }
+
+    /**
+     * Whether a role is still held by users or pending invitations
+     * @param {String} name - Role name
+     * @returns {Promise<Boolean>}
+     */
+    async isInUse(name) {
+        const [users, invitations] = await Promise.all([
+            User.exists({ role: name }),
+            Invitation.exists({ role: name, status: 'pending', expiresAt: { $gt: new Date() } }),
+        ]);
+        return Boolean(users || invitations);
+    }
+}
+
+module.exports = new RoleService();
@@ -0,0 +1,241 @@
+/**
+ * Search Service
+ * Relevance-ranked product search on the weighted `product_search` text index
+ * (name > tags > brand > description), with typo correction and staff-managed
+ * synonyms, plus prefix autocomplete.
+ *
+ * Typo correction and autocomplete use an in-process index of product names,
+ * brands and tags, rebuilt every few minutes or when products or synonyms change.
+ */
+const { Product, SearchSynonym } = require('../models');
+const { tokenize, tokenizeQuery, editDistance } = require('../utils/text');
+
+const INDEX_TTL = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SUGGEST_LIMIT = 8;
+const TERM_SUGGEST_LIMIT = 5;
+
+// Edits allowed when correcting a word: none for short words, where nearly everything is one edit away
+const maxEdits = (length) => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+// Lowest selling price across variants
+const lowestPrice = (variants = []) => {
+    const prices = variants.map(variant => (variant.salePrice > 0 ? variant.salePrice : variant.regularPrice));
+    return prices.length ? Math.min(...prices) : null;
+};
+
+class SearchService {
+    constructor() {
+        this.index = null;
+        this.building = null;
+        this.generation = 0;
+    }
+
+    /**
+     * Drop the in-process index (after products or synonyms change)
+     */
+    invalidate() {
+        this.generation++;
+        this.index = null;
+    }
+
+    /**
+     * Current in-process index, built on first use
+     * @returns {Promise<Object>} {entries, vocabulary, synonyms}
+     */
+    async getIndex() {
+        if (this.index && this.index.expiresAt > Date.now()) {
+            return this.index;
+        }
+        if (!this.building) {
+            this.building = this.buildIndex().finally(() => { this.building = null; });
+        }
+        return this.building;
+    }
+
+    /**
+     * Load products and synonyms into memory
+     * @returns {Promise<Object>} Index
+     */
+    async buildIndex() {
+        const generation = this.generation;
+        const [products, groups] = await Promise.all([
+            Product.find({})
+                .select('name slug brand tags images variants.regularPrice variants.salePrice')
+                .lean(),
+            SearchSynonym.find({}).select('terms').lean(),
+        ]);
+
+        // Word -> number of products using it (breaks ties between equally close corrections)
+        const vocabulary = new Map();
+        const addWord = (word) => vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+
+        const entries = products.map(product => {
+            const nameWords = tokenize(product.name);
+            const otherWords = [...tokenize(product.brand), ...(product.tags || []).flatMap(tag => tokenize(tag))];
+            [...nameWords, ...otherWords].forEach(addWord);
+
+            return {
+                _id: product._id,
+                name: product.name,
+                slug: product.slug,
+                image: product.images?.[0],
+                price: lowestPrice(product.variants),
+                nameLower: String(product.name || '').toLowerCase(),
+                nameWords,
+                words: new Set([...nameWords, ...otherWords]),
+            };
+        });
+
+        // Word -> every word in its synonym groups
+        const synonyms = new Map();
+        for (const { terms } of groups) {
+            const words = terms.flatMap(term => tokenize(term));
+            for (const word of words) {
+                if (!vocabulary.has(word)) vocabulary.set(word, 0);
+                synonyms.set(word, new Set([...(synonyms.get(word) || []), ...words]));
+            }
+        }
+
+        const index = { entries, vocabulary, synonyms, expiresAt: Date.now() + INDEX_TTL };
+        if (generation === this.generation) {
+            this.index = index;
+        }
+        return index;
+    }
+
+    /**
+     * Closest known word to a possibly misspelled one ("samsng" -> "samsung")
+     * @param {String} word - Query word
+     * @param {Map} vocabulary - Known words with frequencies
+     * @returns {String} Correction, or the word itself
+     */
+    correct(word, vocabulary) {
+        const max = maxEdits(word.length);
+        if (!max || vocabulary.has(word) || /^\d+$/.test(word)) {
+            return word;
+        }
+
+        let best = word;
+        let bestDistance = max + 1;
+        let bestFrequency = -1;
+        for (const [candidate, frequency] of vocabulary) {
+            const distance = editDistance(word, candidate, max);
+            if (distance < bestDistance || (distance === bestDistance && frequency > bestFrequency)) {
+                best = candidate;
+                bestDistance = distance;
+                bestFrequency = frequency;
+            }
+        }
+
+        return bestDistance <= max ? best : word;
+    }
+
+    /**
+     * Add synonyms of each word
+     * @param {Array<String>} words - Query words
+     * @param {Map} synonyms - Word -> synonym words
+     * @returns {Array<String>} Unique words
+     */
+    expand(words, synonyms) {
+        return [...new Set(words.flatMap(word => [word, ...(synonyms.get(word) || [])]))];
+    }
+
+    /**
+     * Search products by relevance
+     * @param {String} query - User input
+     * @param {Object} options - {page, limit}
+     * @returns {Promise<Object>} {products, total, page, limit, correctedQuery}
+     */
+    async search(query, { page, limit } = {}) {
+        const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+        const perPage = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const words = tokenizeQuery(query);
+
+        if (!words.length) {
+            return { products: [], total: 0, page: currentPage, limit: perPage, correctedQuery: null };
+        }
+
+        const index = await this.getIndex();
+        const corrected = words.map(word => this.correct(word, index.vocabulary));
+        // The vocabulary has no description words, so the typed word is searched next to its correction
+        const filter = { $text: { $search: this.expand([...words, ...corrected], index.synonyms).join(' ') } };
+
+        const [products, total] = await Promise.all([
+            Product.find(filter, { score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' }, _id: 1 })
+                .skip((currentPage - 1) * perPage)
+                .limit(perPage)
+                .populate('category', 'name slug')
+                .populate('subCategory', 'name slug')
+                .lean(),
+            Product.countDocuments(filter),
+        ]);
+
+        return {
+            products,
+            total,
+            page: currentPage,
+            limit: perPage,
+            // "Showing results for ..." when a word was corrected
+            correctedQuery: corrected.join(' ') !== words.join(' ') ? corrected.join(' ') : null,
+        };
+    }
+
+    /**
+     * Autocomplete: products whose words start with what has been typed so far
+     * @param {String} query - Partial user input
+     * @returns {Promise<Object>} {products, terms}
+     */
+    async suggest(query) {
+        const words = tokenizeQuery(query);
+        if (!words.length) {
+            return { products: [], terms: [] };
+        }
+
+        const index = await this.getIndex();
+        const typed = words.join(' ');
+        const complete = words.slice(0, -1).map(word => this.correct(word, index.vocabulary));
+        let last = words[words.length - 1];
+
+        // Nothing starts with the last word: treat it as a typo of a whole word
+        const startsWithLast = (word) => word.startsWith(last);
+        if (![...index.vocabulary.keys()].some(startsWithLast)) {
+            last = this.correct(last, index.vocabulary);
+        }
+
+        const scored = [];
+        for (const entry of index.entries) {
+            if (!complete.every(word => entry.words.has(word))) continue;
+
+            let score = 0;
+            if (entry.nameLower.startsWith(typed)) score = 3;
+            else if (entry.nameWords.some(startsWithLast)) score = 2;
+            else if ([...entry.words].some(startsWithLast)) score = 1;
+
+            if (score) scored.push({ entry, score });
+        }
+
+        scored.sort((a, b) => b.score - a.score || a.entry.name.length - b.entry.name.length);
+
+        const terms = [...index.vocabulary]
+            .filter(([word, frequency]) => frequency > 0 && startsWithLast(word))
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TERM_SUGGEST_LIMIT)
+            .map(([word]) => [...complete, word].join(' '));
+
+        return {
+            products: scored.slice(0, SUGGEST_LIMIT).map(({ entry }) => ({
+                _id: entry._id,
+                name: entry.name,
+                slug: entry.slug,
+                image: entry.image,
+                price: entry.price,
+            })),
+            terms,
+        };
+    }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,167 @@
+/**
+ * Session Service
+ * Per-device sessions with rotating refresh tokens.
+ * Each refresh replaces the session's token; presenting a token that was already
+ * rotated out means it was copied, so the whole session (token family) is revoked.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Session, User } = require('../models');
+const { ApiError } = require('../utils/ApiResponse');
+
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// SHA-256 of a refresh token for storage/lookup
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Device details recorded on the session
+const getClientInfo = (req) => ({
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+});
+
+class SessionService {
+    /**
+     * Sign a refresh token bound to a session
+     * @param {String} userId - User ID
+     * @param {String} sessionId - Session ID
+     * @returns {String} Refresh token (JWT)
+     */
+    signRefreshToken(userId, sessionId) {
+        return jwt.sign(
+            { id: userId, sid: sessionId, jti: crypto.randomBytes(16).toString('hex') },
+            process.env.JWT_SECRET,
+            { expiresIn: REFRESH_TOKEN_TTL / 1000 }
+        );
+    }
+
+    /**
+     * Start a new session for a login on this device
+     * @param {User} user - Authenticated user
+     * @param {Object} req - Express request (user agent, IP)
+     * @returns {Promise<Object>} {session, refreshToken}
+     */
+    async createSession(user, req) {
+        const session = new Session({
+            user: user._id,
+            ...getClientInfo(req),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+        });
+
+        const refreshToken = this.signRefreshToken(user._id, session._id);
+        session.tokenHash = hashToken(refreshToken);
+        await session.save();
+
+        return { session, refreshToken };
+    }
+
+    /**
+     * Exchange a refresh token for a new one (rotation with reuse detection)
+     * @param {String} token - Refresh token presented by the client
+     * @param {Object} req - Express request (user agent, IP)
+     * @returns {Promise<Object>} {user, session, refreshToken}
+     */
+    async rotate(token, req) {
+        let decoded;
+        try {
+            decoded = jwt.verify(token, process.env.JWT_SECRET);
+        } catch (error) {
+            throw new ApiError(401, 'Invalid or expired refresh token');
+        }
+
+        // Tokens issued before sessions existed carry no session ID
+        if (!decoded.sid) {
+            throw new ApiError(401, 'Session expired. Please log in again.');
+        }
+
+        const now = new Date();
+        const refreshToken = this.signRefreshToken(decoded.id, decoded.sid);
+
+        const session = await Session.findOneAndUpdate(
+            {
+                _id: decoded.sid,
+                user: decoded.id,
+                tokenHash: hashToken(token),
+                revokedAt: null,
+                expiresAt: { $gt: now },
+            },
+            {
+                tokenHash: hashToken(refreshToken),
+                lastSeenAt: now,
+                expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL),
+                ...getClientInfo(req),
+            },
+            { new: true }
+        );
+
+        if (!session) {
+            // A genuine token of a live session that is no longer current has been replayed
+            const live = await Session.findOne({ _id: decoded.sid, revokedAt: null, expiresAt: { $gt: now } });
+            if (live) {
+                await this.revoke(live._id, 'reuse_detected');
+                console.warn(`Refresh token reuse detected for user ${decoded.id}, session ${live._id} revoked`);
+                throw new ApiError(401, 'Session revoked for your security. Please log in again.');
+            }
+            throw new ApiError(401, 'Session expired or revoked. Please log in again.');
+        }
+
+        const user = await User.findById(decoded.id);
+        if (!user) {
+            throw new ApiError(401, 'User not found. Please log in again.');
+        }
+
+        return { user, session, refreshToken };
+    }
+
+    /**
+     * Check that a session is still live (used when verifying access tokens)
+     * @param {String} sessionId - Session ID
+     * @returns {Promise<Boolean>}
+     */
+    async isActive(sessionId) {
+        const session = await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+        return Boolean(session);
+    }
+
+    /**
+     * Revoke one session
+     * @param {String} sessionId - Session ID
+     * @param {String} reason - Revocation reason
+     * @param {String} userId - Optional owner check
+     * @returns {Promise<Boolean>} Whether a live session was revoked
+     */
+    async revoke(sessionId, reason, userId = null) {
+        const result = await Session.updateOne(
+            { _id: sessionId, revokedAt: null, ...(userId && { user: userId }) },
+            { revokedAt: new Date(), revokedReason: reason }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * Revoke all of a user's sessions, optionally keeping the current one
+     * @param {String} userId - User ID
+     * @param {String} reason - Revocation reason
+     * @param {String} exceptSessionId - Session to keep
+     * @returns {Promise<Number>} Number of sessions revoked
+     */
+    async revokeAll(userId, reason, exceptSessionId = null) {
+        const result = await Session.updateMany(
+            { user: userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+            { revokedAt: new Date(), revokedReason: reason }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * List a user's live sessions, most recently used first
+     * @param {String} userId - User ID
+     * @returns {Promise<Array>} Sessions
+     */
+    async listSessions(userId) {
+        return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .sort({ lastSeenAt: -1 });
+    }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,221 @@
+/**
+ * Trash Service
+ * Moves products, orders and categories to the trash, lists and restores them,
+ * and purges them for good once the retention period (settings.dataRetention) is over.
+ * Purging never leaves dangling references: anything another record still points at stays.
+ */
+const { Product, Order, Category, ReturnRequest, CreditLedger, PromoRedemption, StockMovement, StoreSettings } = require('../models');
+const { ApiError } = require('../utils/ApiResponse');
+const auditService = require('./auditService');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+const RESOURCES = {
+    products: {
+        model: Product,
+        resourceType: 'Product',
+        action: 'product',
+        searchFields: ['name', 'slug', 'brand'],
+        // Orders and returns keep pointing at the products they contain
+        referencedIds: async (ids) => [
+            ...await Order.distinct('items.productId', { 'items.productId': { $in: ids } }).withDeleted(),
+            ...await ReturnRequest.distinct('items.productId', { 'items.productId': { $in: ids } }),
+        ],
+        // Stock history of a product that no longer exists goes with it
+        purgeRelated: (ids) => StockMovement.deleteMany({ product: { $in: ids } }),
+    },
+    orders: {
+        model: Order,
+        resourceType: 'Order',
+        action: 'order',
+        searchFields: ['orderId', 'email', 'name', 'contact'],
+        // Financial records (returns, credit, promo redemptions) outlive the trash
+        referencedIds: async (ids) => [
+            ...await ReturnRequest.distinct('order', { order: { $in: ids } }),
+            ...await CreditLedger.distinct('order', { order: { $in: ids } }),
+            ...await PromoRedemption.distinct('order', { order: { $in: ids } }),
+        ],
+        // Stock movements stay in the product's history, without the order link
+        purgeRelated: (ids) => StockMovement.updateMany({ order: { $in: ids } }, { $unset: { order: 1 } }),
+    },
+    categories: {
+        model: Category,
+        resourceType: 'Category',
+        action: 'category',
+        searchFields: ['name', 'slug'],
+        referencedIds: async (ids) => [
+            ...await Product.distinct('category', { category: { $in: ids } }).withDeleted(),
+            ...await Product.distinct('subCategory', { subCategory: { $in: ids } }).withDeleted(),
+            ...await Category.distinct('parent', { parent: { $in: ids } }).withDeleted(),
+        ],
+    },
+};
+
+// Orders go first so the products they referenced can follow in the same run
+const PURGE_ORDER = ['orders', 'products', 'categories'];
+
+class TrashService {
+    /**
+     * Look up a trashable resource type
+     * @param {String} type - 'products', 'orders' or 'categories'
+     * @returns {Object} Resource config
+     */
+    getResource(type) {
+        const resource = RESOURCES[type];
+        if (!resource) {
+            throw new ApiError(400, `Unknown resource type: ${type}`);
+        }
+        return resource;
+    }
+
+    /**
+     * Days deleted documents are kept before purging
+     * @returns {Promise<Number>}
+     */
+    async getRetentionDays() {
+        const settings = await StoreSettings.getSettings();
+        return settings.dataRetention?.trashRetentionDays || DEFAULT_RETENTION_DAYS;
+    }
+
+    /**
+     * Move documents to the trash
+     * @param {Object} req - Express request (actor, for the audit log)
+     * @param {String} type - Resource type
+     * @param {Array<String>} ids - Document IDs
+     * @returns {Promise<Number>} Number of documents deleted
+     */
+    async moveToTrash(req, type, ids) {
+        const { model, resourceType, action } = this.getResource(type);
+
+        const docs = await model.find({ _id: { $in: ids } }).select('_id').lean();
+        const result = await model.softDeleteMany({ _id: { $in: docs.map(doc => doc._id) } }, req.user?._id);
+        const deletedAt = new Date();
+
+        for (const doc of docs) {
+            await auditService.record(req, {
+                action: `${action}.delete`,
+                resourceType,
+                resourceId: doc._id,
+                before: { deletedAt: null },
+                after: { deletedAt, deletedBy: req.user?._id },
+            });
+        }
+
+        return result.modifiedCount;
+    }
+
+    /**
+     * Bring documents back from the trash
+     * @param {Object} req - Express request (actor, for the audit log)
+     * @param {String} type - Resource type
+     * @param {Array<String>} ids - Document IDs
+     * @returns {Promise<Number>} Number of documents restored
+     */
+    async restore(req, type, ids) {
+        const { model, resourceType, action } = this.getResource(type);
+
+        const docs = await model.find({ _id: { $in: ids } }).onlyDeleted().select('_id deletedAt deletedBy').lean();
+        const result = await model.restoreMany({ _id: { $in: docs.map(doc => doc._id) } });
+
+        for (const doc of docs) {
+            await auditService.record(req, {
+                action: `${action}.restore`,
+                resourceType,
+                resourceId: doc._id,
+                before: { deletedAt: doc.deletedAt, deletedBy: doc.deletedBy },
+                after: { deletedAt: null, deletedBy: null },
+            });
+        }
+
+        return result.modifiedCount;
+    }
+
+    /**
+     * Page through the trash, most recently deleted first
+     * @param {String} type - Resource type
+     * @param {Object} query - {search, page, limit}
+     * @returns {Promise<Object>} {items, retentionDays, pagination}
+     */
+    async list(type, { search, page, limit } = {}) {
+        const { model, searchFields } = this.getResource(type);
+        const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+        const perPage = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+        const filter = {};
+        if (search) {
+            const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            filter.$or = searchFields.map(field => ({ [field]: { $regex: escaped, $options: 'i' } }));
+        }
+
+        const [docs, total, retentionDays] = await Promise.all([
+            model.find(filter)
+                .onlyDeleted()
+                .populate('deletedBy', 'name email')
+                .sort({ deletedAt: -1 })
+                .skip((currentPage - 1) * perPage)
+                .limit(perPage)
+                .lean(),
+            model.countDocuments(filter).onlyDeleted(),
+            this.getRetentionDays(),
+        ]);
+
+        const items = docs.map(doc => ({
+            ...doc,
+            purgeAfter: new Date(doc.deletedAt.getTime() + retentionDays * DAY),
+        }));
+
+        return {
+            items,
+            retentionDays,
+            pagination: {
+                currentPage,
+                totalPages: Math.ceil(total / perPage),
+                total,
+            },
+        };
+    }
+
+    /**
+     * Permanently delete documents that have been in the trash past the retention period
+     * @param {Object} req - Express request (for the audit log)
+     * @returns {Promise<Object>} Purged count per type, plus skipped (still referenced) counts
+     */
+    async purgeExpired(req) {
+        const cutoff = new Date(Date.now() - (await this.getRetentionDays()) * DAY);
+        const purged = {};
+        const skipped = {};
+
+        for (const type of PURGE_ORDER) {
+            const { model, resourceType, action, referencedIds, purgeRelated } = RESOURCES[type];
+
+            const expired = await model.find({ deletedAt: { $ne: null, $lte: cutoff } }).lean();
+            const referenced = new Set((await referencedIds(expired.map(doc => doc._id))).map(String));
+            const purgeable = expired.filter(doc => !referenced.has(String(doc._id)));
+
+            const result = await model.deleteMany({
+                _id: { $in: purgeable.map(doc => doc._id) },
+                deletedAt: { $ne: null, $lte: cutoff },
+            });
+            if (purgeRelated && purgeable.length) {
+                await purgeRelated(purgeable.map(doc => doc._id));
+            }
+
+            for (const doc of purgeable) {
+                await auditService.record(req, {
+                    action: `${action}.purge`,
+                    resourceType,
+                    resourceId: doc._id,
+                    before: doc,
+                });
+            }
+
+            purged[type] = result.deletedCount;
+            skipped[type] = expired.length - purgeable.length;
+        }
+
+        return { purged, skipped };
+    }
+}
+
+module.exports = new TrashService();
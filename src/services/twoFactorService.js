@@ -0,0 +1,211 @@
+/**
+ * Two-Factor Service
+ * TOTP enrollment, verification, recovery codes and the short-lived login
+ * challenge issued between the password step and the second factor
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { User, StoreSettings } = require('../models');
+const { ApiError } = require('../utils/ApiResponse');
+const totp = require('../utils/totp');
+
+const ISSUER = process.env.TOTP_ISSUER || 'BestDeal';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_AUDIENCE = '2fa_challenge';
+
+// SHA-256 of a recovery code (normalized: case and dashes ignored)
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+
+class TwoFactorService {
+    /**
+     * Whether store settings require 2FA for a role
+     * @param {String} role - User role
+     * @returns {Promise<Boolean>}
+     */
+    async isRequiredFor(role) {
+        const settings = await StoreSettings.getSettings();
+        return (settings.security?.requireTwoFactorRoles || []).includes(role);
+    }
+
+    /**
+     * Issue a challenge token proving the password step passed
+     * @param {User} user - User who passed the password step
+     * @param {String} purpose - 'verify' (enter a code) or 'setup' (enroll first)
+     * @returns {String} Challenge token
+     */
+    createChallenge(user, purpose) {
+        return jwt.sign(
+            { id: user._id, purpose: `2fa_${purpose}` },
+            process.env.JWT_SECRET,
+            { expiresIn: CHALLENGE_TTL, audience: CHALLENGE_AUDIENCE }
+        );
+    }
+
+    /**
+     * Read a challenge token
+     * @param {String} token - Challenge token
+     * @param {String} purpose - Expected purpose
+     * @returns {Promise<User>} Challenged user
+     */
+    async readChallenge(token, purpose) {
+        let decoded;
+        try {
+            decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+        } catch (error) {
+            throw new ApiError(401, 'Verification expired. Please log in again.');
+        }
+
+        if (decoded.purpose !== `2fa_${purpose}`) {
+            throw new ApiError(401, 'Invalid verification token');
+        }
+
+        const user = await User.findById(decoded.id);
+        if (!user) {
+            throw new ApiError(401, 'User not found. Please log in again.');
+        }
+        return user;
+    }
+
+    /**
+     * Start enrollment: store a pending secret and return it with its QR code
+     * @param {User} user - User enrolling
+     * @returns {Promise<Object>} {secret, otpauthUrl, qrCode}
+     */
+    async beginEnrollment(user) {
+        if (user.twoFactor?.enabled) {
+            throw new ApiError(400, 'Two-factor authentication is already enabled');
+        }
+
+        const secret = totp.generateSecret();
+        await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+        const otpauthUrl = totp.buildOtpauthUrl({ secret, accountName: user.email, issuer: ISSUER });
+        const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+        return { secret, otpauthUrl, qrCode };
+    }
+
+    /**
+     * Finish enrollment with a code from the app
+     * @param {String} userId - User ID
+     * @param {String} code - 6 digit code
+     * @returns {Promise<Array<String>>} Recovery codes (shown once)
+     */
+    async confirmEnrollment(userId, code) {
+        const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+        if (!user?.twoFactor?.pendingSecret) {
+            throw new ApiError(400, 'Start two-factor setup first');
+        }
+
+        const step = totp.verifyToken(user.twoFactor.pendingSecret, code);
+        if (step === null) {
+            throw new ApiError(400, 'Invalid verification code');
+        }
+
+        const recoveryCodes = this.generateRecoveryCodes();
+        await User.updateOne({ _id: userId }, {
+            $set: {
+                'twoFactor.enabled': true,
+                'twoFactor.secret': user.twoFactor.pendingSecret,
+                'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+                'twoFactor.lastUsedStep': step,
+                'twoFactor.enabledAt': new Date(),
+            },
+            $unset: { 'twoFactor.pendingSecret': 1 },
+        });
+
+        return recoveryCodes;
+    }
+
+    /**
+     * Check the second factor: a TOTP code, or a one-time recovery code
+     * Both are consumed atomically so neither can be replayed.
+     * @param {String} userId - User ID
+     * @param {Object} factor - {code, recoveryCode}
+     * @returns {Promise<Object>} {method, recoveryCodesLeft?}
+     */
+    async verify(userId, { code, recoveryCode } = {}) {
+        const user = await User.findById(userId).select('+twoFactor.secret +twoFactor.recoveryCodes');
+        if (!user?.twoFactor?.enabled) {
+            throw new ApiError(400, 'Two-factor authentication is not enabled');
+        }
+
+        if (recoveryCode) {
+            const hash = hashRecoveryCode(recoveryCode);
+            const updated = await User.findOneAndUpdate(
+                { _id: userId, 'twoFactor.recoveryCodes': hash },
+                { $pull: { 'twoFactor.recoveryCodes': hash } },
+                { new: true }
+            ).select('+twoFactor.recoveryCodes');
+
+            if (!updated) {
+                throw new ApiError(401, 'Invalid recovery code');
+            }
+            return { method: 'recovery_code', recoveryCodesLeft: updated.twoFactor.recoveryCodes.length };
+        }
+
+        const step = totp.verifyToken(user.twoFactor.secret, code);
+        if (step === null) {
+            throw new ApiError(401, 'Invalid verification code');
+        }
+
+        const accepted = await User.updateOne(
+            {
+                _id: userId,
+                $or: [
+                    { 'twoFactor.lastUsedStep': { $exists: false } },
+                    { 'twoFactor.lastUsedStep': { $lt: step } },
+                ],
+            },
+            { 'twoFactor.lastUsedStep': step }
+        );
+        if (accepted.modifiedCount === 0) {
+            throw new ApiError(401, 'This code has already been used. Wait for the next one.');
+        }
+
+        return { method: 'totp' };
+    }
+
+    /**
+     * Replace the recovery codes
+     * @param {String} userId - User ID
+     * @returns {Promise<Array<String>>} New recovery codes (shown once)
+     */
+    async regenerateRecoveryCodes(userId) {
+        const recoveryCodes = this.generateRecoveryCodes();
+        await User.updateOne({ _id: userId }, { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) });
+        return recoveryCodes;
+    }
+
+    /**
+     * Turn 2FA off and forget the secret
+     * @param {String} userId - User ID
+     */
+    async disable(userId) {
+        await User.updateOne({ _id: userId }, {
+            $set: { 'twoFactor.enabled': false },
+            $unset: {
+                'twoFactor.secret': 1,
+                'twoFactor.pendingSecret': 1,
+                'twoFactor.recoveryCodes': 1,
+                'twoFactor.lastUsedStep': 1,
+                'twoFactor.enabledAt': 1,
+            },
+        });
+    }
+
+    // Random recovery codes like 3f9a2-c81d0
+    generateRecoveryCodes() {
+        return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const hex = crypto.randomBytes(5).toString('hex');
+            return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+        });
+    }
+}
+
+module.exports = new TwoFactorService();
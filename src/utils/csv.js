@@ -0,0 +1,97 @@
+/**
+ * CSV helpers
+ * RFC 4180 quoting and parsing, with cells that spreadsheets would run as formulas neutralized
+ */
+
+// Quote a value for a CSV cell
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    // Leading =, +, -, @ would be evaluated by Excel/Sheets
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array<Object>} rows - Records
+ * @param {Array<Object>} columns - [{header, value: (row) => any}]
+ * @returns {String} CSV text
+ */
+const toCsv = (rows, columns) => {
+    const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+    }
+
+    return lines.join('\r\n');
+};
+
+// Undo escapeCell's formula guard ("'=SUM(A1)" -> "=SUM(A1)")
+const unescapeCell = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+/**
+ * Parse a CSV document
+ * @param {String} text - CSV text (RFC 4180; LF or CRLF line endings)
+ * @returns {Array<Array<String>>} Rows of raw cells, blank lines skipped
+ * @throws {Error} On an unterminated quoted cell
+ */
+const parseCsv = (text) => {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted cell');
+    }
+    if (cell !== '' || row.length) endRow();
+
+    return rows;
+};
+
+module.exports = {
+    escapeCell,
+    unescapeCell,
+    toCsv,
+    parseCsv,
+};
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+/**
+ * Line Targeting
+ * Item-level eligibility rules shared by promo codes and automatic promotions.
+ * A line is eligible if it matches ANY applicable rule (or no applicable rules are set)
+ * and NO exclusion rule. Categories are IDs or slugs and include their subcategories.
+ */
+
+const TARGETING_FIELDS = [
+    'applicableCategories',
+    'applicableBrands',
+    'applicableProducts',
+    'applicableVariants',
+    'excludedCategories',
+    'excludedBrands',
+    'excludedProducts',
+    'excludedVariants',
+];
+
+// Copy the targeting arrays present on a request body
+const pickTargeting = (body) => TARGETING_FIELDS.reduce((fields, key) => {
+    if (Array.isArray(body[key])) fields[key] = body[key];
+    return fields;
+}, {});
+
+/**
+ * Category tree loader that queries at most once, so every matcher built for
+ * one quote or cart shares a single load
+ * @returns {Function} () => Promise<Array<Object>> (see Category.getTree)
+ */
+const createCategoryLoader = () => {
+    let tree = null;
+    return () => {
+        tree = tree || mongoose.model('Category').getTree();
+        return tree;
+    };
+};
+
+/**
+ * Build a line-item matcher from a document's targeting rules
+ * @param {Object} rules - Document with the TARGETING_FIELDS arrays
+ * @param {Object} options - {loadCategories} shared loader from createCategoryLoader()
+ * @returns {Promise<Function>} (line) => Boolean
+ */
+const buildLineMatcher = async (rules, { loadCategories = createCategoryLoader() } = {}) => {
+    const Category = mongoose.model('Category');
+    const hasCategoryRules = (rules.applicableCategories || []).length > 0 || (rules.excludedCategories || []).length > 0;
+    const tree = hasCategoryRules ? await loadCategories() : [];
+    const [includedCategories, excludedCategories] = await Promise.all([
+        Category.getDescendantIds(rules.applicableCategories || [], tree),
+        Category.getDescendantIds(rules.excludedCategories || [], tree),
+    ]);
+
+    const lower = (values = []) => values.map(v => v.toLowerCase());
+    const strings = (values = []) => values.map(String);
+    const includedBrands = lower(rules.applicableBrands);
+    const excludedBrands = lower(rules.excludedBrands);
+    const includedProducts = strings(rules.applicableProducts);
+    const excludedProducts = strings(rules.excludedProducts);
+    const includedVariants = strings(rules.applicableVariants);
+    const excludedVariants = strings(rules.excludedVariants);
+
+    const hasIncludeRules = (rules.applicableCategories || []).length > 0 || includedBrands.length > 0 ||
+        includedProducts.length > 0 || includedVariants.length > 0;
+
+    return (line) => {
+        const categories = [line.cat, line.subcat].filter(Boolean).map(String);
+        const brand = (line.brand || '').toLowerCase();
+        const productId = String(line.productId);
+        const variantId = String(line.variantId);
+
+        const excluded = categories.some(c => excludedCategories.has(c)) ||
+            excludedBrands.includes(brand) ||
+            excludedProducts.includes(productId) ||
+            excludedVariants.includes(variantId);
+        if (excluded) return false;
+
+        if (!hasIncludeRules) return true;
+
+        return categories.some(c => includedCategories.has(c)) ||
+            includedBrands.includes(brand) ||
+            includedProducts.includes(productId) ||
+            includedVariants.includes(variantId);
+    };
+};
+
+/**
+ * Split a discount across lines in proportion to their amounts.
+ * The last line absorbs the rounding remainder so shares add up exactly.
+ * @param {Number} discount - Total discount to allocate
+ * @param {Array<Number>} amounts - Amount per line (0 for lines that get nothing)
+ * @returns {Array<Number>} Discount per line
+ */
+const allocateDiscount = (discount, amounts) => {
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    const last = amounts.reduce((idx, amount, i) => (amount > 0 ? i : idx), -1);
+    let allocated = 0;
+
+    return amounts.map((amount, i) => {
+        if (amount <= 0 || total <= 0) return 0;
+        const share = i === last
+            ? discount - allocated
+            : discount * amount / total;
+        const rounded = Math.round(share * 100) / 100;
+        allocated += rounded;
+        return rounded;
+    });
+};
+
+module.exports = {
+    TARGETING_FIELDS,
+    pickTargeting,
+    createCategoryLoader,
+    buildLineMatcher,
+    allocateDiscount,
+};
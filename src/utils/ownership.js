@@ -0,0 +1,24 @@
+const { ApiError } = require('./ApiResponse');
+
+/**
+ * Ownership Checks
+ * Customer data (orders, wishlist, reviews) is keyed by email, so "own" means
+ * the record's email matches the logged-in user's.
+ */
+
+// Check whether an email belongs to the logged-in user
+const isOwnEmail = (user, email) => {
+    return Boolean(user && email) && String(email).toLowerCase().trim() === user.email;
+};
+
+// Throw 403 unless the email belongs to the logged-in user
+const assertOwnEmail = (user, email, message = 'You can only access your own data') => {
+    if (!isOwnEmail(user, email)) {
+        throw new ApiError(403, message);
+    }
+};
+
+module.exports = {
+    isOwnEmail,
+    assertOwnEmail,
+};
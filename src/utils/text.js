@@ -0,0 +1,68 @@
+/**
+ * Text helpers for product search
+ * Tokenizing never builds a RegExp from user input.
+ */
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_TOKENS = 10;
+
+/**
+ * Lowercase words (letters, combining marks and digits in any script) from free text
+ * @param {String} text - Raw text
+ * @param {Number} maxTokens - Cap on returned tokens
+ * @returns {Array<String>}
+ */
+const tokenize = (text, maxTokens = Infinity) => (String(text || '')
+    .toLowerCase()
+    .normalize('NFKC')
+    .match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+    .slice(0, maxTokens);
+
+/**
+ * Tokens from a search box (length and token count capped)
+ * @param {String} query - User input
+ * @returns {Array<String>}
+ */
+const tokenizeQuery = (query) => tokenize(String(query || '').slice(0, MAX_QUERY_LENGTH), MAX_TOKENS);
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance, giving up past a maximum
+ * @param {String} a - First word
+ * @param {String} b - Second word
+ * @param {Number} max - Largest distance worth computing
+ * @returns {Number} Distance, or max + 1 when further apart
+ */
+const editDistance = (a, b, max = 2) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousPrevious = [];
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+            // Swapped neighbours count as one edit ("samsnug" -> "samsung")
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > max) return max + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+
+    return Math.min(previous[b.length], max + 1);
+};
+
+module.exports = {
+    tokenize,
+    tokenizeQuery,
+    editDistance,
+};
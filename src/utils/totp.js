@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP (RFC 6238) helpers for authenticator apps
+ * 30 second steps, 6 digits, HMAC-SHA1 - the defaults every authenticator app supports
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Encode bytes as unpadded base32 (the secret format authenticator apps expect)
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+// Decode a base32 secret (case and padding insensitive)
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) code for a counter
+const hotp = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Current time step
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Generate a new random secret (160 bits, base32)
+ * @returns {String}
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Generate the code for a time
+ * @param {String} secret - Base32 secret
+ * @param {Number} time - Milliseconds since epoch
+ * @returns {String} 6 digit code
+ */
+const generateToken = (secret, time = Date.now()) => hotp(secret, getStep(time));
+
+/**
+ * Check a code, allowing one step of clock drift either way
+ * @param {String} secret - Base32 secret
+ * @param {String} token - Code entered by the user
+ * @param {Number} window - Steps of drift allowed
+ * @returns {Number|null} The matching time step (to block replays), or null
+ */
+const verifyToken = (secret, token, window = 1) => {
+    const code = String(token || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(code)) return null;
+
+    const current = getStep();
+    for (let step = current - window; step <= current + window; step++) {
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * Build the otpauth:// URI encoded in the enrollment QR code
+ * @param {Object} params - {secret, accountName, issuer}
+ * @returns {String}
+ */
+const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    generateSecret,
+    generateToken,
+    verifyToken,
+    buildOtpauthUrl,
+};
@@ -0,0 +1,103 @@
+/**
+ * CSV helpers: quoting, the spreadsheet formula guard and parse round trips.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { escapeCell, unescapeCell, toCsv, parseCsv } = require('../src/utils/csv');
+
+// Write values as one CSV row and read them back as import does
+const roundTrip = (values) => {
+    const columns = values.map((value, i) => ({ header: `col${i}`, value: () => value }));
+    const [header, row] = parseCsv(toCsv([{}], columns));
+    assert.equal(header.length, values.length);
+    return row.map(unescapeCell);
+};
+
+describe('escapeCell', () => {
+    it('leaves plain values unquoted', () => {
+        assert.equal(escapeCell('Galaxy S24'), 'Galaxy S24');
+        assert.equal(escapeCell(1299.5), '1299.5');
+        assert.equal(escapeCell(false), 'false');
+    });
+
+    it('writes missing values as empty cells', () => {
+        assert.equal(escapeCell(null), '');
+        assert.equal(escapeCell(undefined), '');
+    });
+
+    it('quotes separators, quotes and line breaks', () => {
+        assert.equal(escapeCell('a,b'), '"a,b"');
+        assert.equal(escapeCell('6" screen'), '"6"" screen"');
+        assert.equal(escapeCell('line one\nline two'), '"line one\nline two"');
+        assert.equal(escapeCell('cr\rlf'), '"cr\rlf"');
+    });
+
+    it('serializes dates and objects', () => {
+        assert.equal(escapeCell(new Date('2026-01-02T03:04:05.000Z')), '2026-01-02T03:04:05.000Z');
+        assert.equal(escapeCell({ color: 'red' }), '"{""color"":""red""}"');
+    });
+
+    it('neutralizes cells a spreadsheet would run as formulas', () => {
+        assert.equal(escapeCell('=SUM(A1:A9)'), "'=SUM(A1:A9)");
+        assert.equal(escapeCell('+1'), "'+1");
+        assert.equal(escapeCell('-1'), "'-1");
+        assert.equal(escapeCell('@cmd'), "'@cmd");
+        assert.equal(escapeCell('\tTAB'), "'\tTAB");
+        assert.equal(escapeCell('=HYPERLINK("x","y")'), `"'=HYPERLINK(""x"",""y"")"`);
+    });
+});
+
+describe('parseCsv', () => {
+    it('reads LF and CRLF line endings and skips blank lines', () => {
+        assert.deepEqual(parseCsv('a,b\n1,2\r\n\r\n3,4\n'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+    });
+
+    it('reads quoted cells with separators, escaped quotes and line breaks', () => {
+        assert.deepEqual(
+            parseCsv('name,notes\r\n"Case, clear","6"" screen\r\nfits"'),
+            [['name', 'notes'], ['Case, clear', '6" screen\r\nfits']]
+        );
+    });
+
+    it('keeps empty cells', () => {
+        assert.deepEqual(parseCsv('a,,c\n,,\n'), [['a', '', 'c'], ['', '', '']]);
+        assert.deepEqual(parseCsv('"",b'), [['', 'b']]);
+    });
+
+    it('strips a leading byte order mark', () => {
+        assert.deepEqual(parseCsv('\uFEFFsku,stock\nA1,5'), [['sku', 'stock'], ['A1', '5']]);
+    });
+
+    it('treats quotes inside an unquoted cell as text', () => {
+        assert.deepEqual(parseCsv('6" screen,b'), [['6" screen', 'b']]);
+    });
+
+    it('throws on an unterminated quoted cell', () => {
+        assert.throws(() => parseCsv('a,"b\n1,2'), /Unterminated quoted cell/);
+    });
+});
+
+describe('CSV round trips', () => {
+    it('reads back what toCsv wrote', () => {
+        const values = ['plain', 'a,b', '6" screen', 'line one\r\nline two', '', 'ফোন কভার', '  padded  '];
+
+        assert.deepEqual(roundTrip(values), values);
+    });
+
+    it('restores cells behind the formula guard', () => {
+        const values = ['=SUM(A1:A9)', '+8801700000000', '-5', '@handle', "'quoted already"];
+
+        assert.deepEqual(roundTrip(values), values);
+    });
+
+    it('writes one header row and one line per record', () => {
+        const csv = toCsv(
+            [{ sku: 'A1', stock: 5 }, { sku: 'B,2', stock: 0 }],
+            [{ header: 'SKU', value: row => row.sku }, { header: 'Stock', value: row => row.stock }]
+        );
+
+        assert.equal(csv, 'SKU,Stock\r\nA1,5\r\n"B,2",0');
+        assert.deepEqual(parseCsv(csv), [['SKU', 'Stock'], ['A1', '5'], ['B,2', '0']]);
+    });
+});
@@ -0,0 +1,195 @@
+/**
+ * Automatic promotions: stacking rules, tier math and how the quote combines
+ * them with shipping. Promotion, Product and StoreSettings are replaced by
+ * in-memory stand-ins.
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { Promotion, Product, StoreSettings } = require('../src/models');
+const promotionService = require('../src/services/promotionService');
+const pricingService = require('../src/services/pricingService');
+
+let promotions;
+let products;
+let ecommerce;
+
+Promotion.findRunning = async () => promotions;
+Product.findById = async (id) => products.find(product => String(product._id) === String(id)) || null;
+StoreSettings.getSettings = async () => ({ ecommerce });
+
+// Tests list promotions highest priority first, the order findRunning sorts by
+const promotion = (fields) => new Promotion({ name: fields.type, ...fields });
+
+const addProduct = (price, { stock = 10, brand = 'Acme' } = {}) => {
+    const variant = { _id: new mongoose.Types.ObjectId(), sku: `SKU-${products.length}`, regularPrice: price, salePrice: 0, stock };
+    const product = { _id: new mongoose.Types.ObjectId(), name: `Product ${products.length}`, brand, variants: [variant] };
+    products.push(product);
+    return { productId: String(product._id), variantId: String(variant._id) };
+};
+
+const line = (totalPrice, quantity = 1, fields = {}) => ({
+    productId: new mongoose.Types.ObjectId(),
+    variantId: new mongoose.Types.ObjectId(),
+    brand: 'Acme',
+    price: totalPrice / quantity,
+    quantity,
+    totalPrice,
+    ...fields,
+});
+
+beforeEach(() => {
+    promotions = [];
+    products = [];
+    ecommerce = { defaultShippingCost: 60, freeShippingThreshold: 0, minOrderAmount: 0, maxOrderAmount: 0 };
+});
+
+describe('tiered promotions', () => {
+    const tiers = [
+        { minSubtotal: 100, discountType: 'percentage', discountValue: 10 },
+        { minSubtotal: 500, discountType: 'fixed', discountValue: 80 },
+    ];
+
+    it('applies the highest tier the eligible subtotal reaches', async () => {
+        promotions = [promotion({ type: 'tiered', tiers })];
+
+        assert.equal((await promotionService.evaluate([line(300)])).discount, 30);
+        assert.equal((await promotionService.evaluate([line(650)])).discount, 80);
+        assert.equal((await promotionService.evaluate([line(99)])).applied.length, 0);
+    });
+
+    it('counts only eligible lines towards the tier and the discount', async () => {
+        promotions = [promotion({ type: 'tiered', tiers, excludedBrands: ['Other'] })];
+
+        const result = await promotionService.evaluate([line(400), line(200, 1, { brand: 'Other' })]);
+
+        assert.equal(result.discount, 40);
+        assert.deepEqual(result.lineDiscounts, [40, 0]);
+    });
+
+    it('never discounts more than the eligible subtotal', async () => {
+        promotions = [promotion({ type: 'tiered', tiers: [{ minSubtotal: 0, discountType: 'fixed', discountValue: 500 }] })];
+
+        assert.equal((await promotionService.evaluate([line(120)])).discount, 120);
+    });
+
+    it('splits the discount across lines in proportion to their amounts', async () => {
+        promotions = [promotion({ type: 'tiered', tiers: [{ minSubtotal: 0, discountType: 'fixed', discountValue: 10 }] })];
+
+        const result = await promotionService.evaluate([line(100), line(100), line(100)]);
+
+        assert.deepEqual(result.lineDiscounts, [3.33, 3.33, 3.34]);
+        assert.equal(result.discount, 10);
+    });
+});
+
+describe('promotion stacking', () => {
+    const buyOneGetOne = (fields = {}) => promotion({ type: 'buy_x_get_y', buyQuantity: 1, getQuantity: 1, priority: 10, ...fields });
+    const tenPercent = (fields = {}) => promotion({
+        type: 'tiered',
+        tiers: [{ minSubtotal: 0, discountType: 'percentage', discountValue: 10 }],
+        priority: 5,
+        ...fields,
+    });
+
+    it('applies stackable promotions to what is left of each line', async () => {
+        promotions = [buyOneGetOne(), tenPercent()];
+
+        const result = await promotionService.evaluate([line(200, 2)]);
+
+        assert.deepEqual(result.applied.map(p => p.discount), [100, 10]);
+        assert.equal(result.discount, 110);
+        assert.deepEqual(result.skipped, []);
+    });
+
+    it('skips a non-stackable promotion once another has applied', async () => {
+        promotions = [buyOneGetOne(), tenPercent({ stackable: false })];
+
+        const result = await promotionService.evaluate([line(200, 2)]);
+
+        assert.equal(result.discount, 100);
+        assert.equal(result.skipped.length, 1);
+        assert.equal(result.skipped[0].reason, 'Cannot be combined with other promotions');
+    });
+
+    it('stops lower priority promotions once a non-stackable one applies', async () => {
+        promotions = [buyOneGetOne({ stackable: false }), tenPercent()];
+
+        const result = await promotionService.evaluate([line(200, 2)]);
+
+        assert.deepEqual(result.applied.map(p => p.type), ['buy_x_get_y']);
+        assert.deepEqual(result.skipped.map(p => p.type), ['tiered']);
+    });
+
+    it('skips promotions that cannot be combined with a promo code', async () => {
+        promotions = [buyOneGetOne({ combinableWithCodes: false }), tenPercent()];
+
+        const result = await promotionService.evaluate([line(200, 2)], { withPromoCode: true });
+
+        assert.deepEqual(result.applied.map(p => p.type), ['tiered']);
+        assert.equal(result.skipped[0].reason, 'Cannot be combined with a promo code');
+        assert.equal(result.discount, 20);
+    });
+
+    it('does not report promotions the cart did not qualify for', async () => {
+        promotions = [buyOneGetOne(), tenPercent({ stackable: false })];
+
+        const result = await promotionService.evaluate([line(100)]);
+
+        assert.deepEqual(result.applied.map(p => p.type), ['tiered']);
+        assert.deepEqual(result.skipped, []);
+    });
+});
+
+describe('pricingService.quote', () => {
+    it('charges shipping on the subtotal left after promotions', async () => {
+        ecommerce.freeShippingThreshold = 1000;
+        promotions = [promotion({ type: 'tiered', tiers: [{ minSubtotal: 1000, discountType: 'fixed', discountValue: 100 }] })];
+        const item = addProduct(550);
+
+        const { pricing, lineItems } = await pricingService.quote({ items: [{ ...item, quantity: 2 }] });
+
+        assert.deepEqual(
+            { subtotal: pricing.subtotal, promotionDiscount: pricing.promotionDiscount, shipping: pricing.shipping, total: pricing.total },
+            { subtotal: 1100, promotionDiscount: 100, shipping: 0, total: 1000 }
+        );
+        assert.equal(pricing.amountDue, 1000);
+        assert.equal(lineItems[0].discount, 100);
+    });
+
+    it('waives shipping when a free shipping promotion applies', async () => {
+        promotions = [promotion({ type: 'free_shipping', minSubtotal: 200 })];
+        const item = addProduct(250);
+
+        const { pricing, promotions: summary } = await pricingService.quote({ items: [{ ...item, quantity: 1 }] });
+
+        assert.equal(pricing.shipping, 0);
+        assert.equal(pricing.total, 250);
+        assert.deepEqual(summary.applied.map(p => p.type), ['free_shipping']);
+    });
+
+    it('keeps shipping when the free shipping minimum is not reached', async () => {
+        promotions = [promotion({ type: 'free_shipping', minSubtotal: 200 })];
+        const item = addProduct(150);
+
+        const { pricing, promotions: summary } = await pricingService.quote({ items: [{ ...item, quantity: 1 }] });
+
+        assert.equal(pricing.shipping, 60);
+        assert.equal(pricing.total, 210);
+        assert.deepEqual(summary.applied, []);
+    });
+
+    it('reports shortages without pricing the missing items', async () => {
+        const inStock = addProduct(100);
+        const shortItem = addProduct(300, { stock: 1 });
+
+        const { outOfStock, pricing } = await pricingService.quote({
+            items: [{ ...inStock, quantity: 1 }, { ...shortItem, quantity: 2 }],
+        });
+
+        assert.equal(outOfStock.length, 1);
+        assert.equal(outOfStock[0].available, 1);
+        assert.equal(pricing.subtotal, 100);
+    });
+});
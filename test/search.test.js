@@ -0,0 +1,100 @@
+/**
+ * Search text helpers and typo correction: edit distances, the per-length
+ * edit budget and how ties between corrections are broken.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { tokenize, tokenizeQuery, editDistance } = require('../src/utils/text');
+const searchService = require('../src/services/searchService');
+
+describe('editDistance', () => {
+    it('counts insertions, deletions and substitutions', () => {
+        assert.equal(editDistance('phone', 'phone'), 0);
+        assert.equal(editDistance('phone', 'phones'), 1);
+        assert.equal(editDistance('phone', 'phne'), 1);
+        assert.equal(editDistance('phone', 'phome'), 1);
+        assert.equal(editDistance('laptop', 'labtob'), 2);
+    });
+
+    it('counts swapped neighbours as one edit', () => {
+        assert.equal(editDistance('samsnug', 'samsung'), 1);
+        assert.equal(editDistance('ipdoa', 'ipado'), 2);
+    });
+
+    it('is symmetric', () => {
+        for (const [a, b] of [['camera', 'camra'], ['samsnug', 'samsung'], ['tv', 'tvs']]) {
+            assert.equal(editDistance(a, b), editDistance(b, a));
+        }
+    });
+
+    it('gives up past the maximum', () => {
+        assert.equal(editDistance('phone', 'laptop'), 3);
+        assert.equal(editDistance('phone', 'laptop', 1), 2);
+        assert.equal(editDistance('tv', 'television', 2), 3);
+    });
+
+    it('handles empty words', () => {
+        assert.equal(editDistance('', ''), 0);
+        assert.equal(editDistance('', 'ab'), 2);
+        assert.equal(editDistance('abcd', ''), 3);
+    });
+
+    it('compares words in any script', () => {
+        assert.equal(editDistance('ফোন', 'ফন'), 1);
+        assert.equal(editDistance('café', 'cafe'), 1);
+    });
+});
+
+describe('tokenize', () => {
+    it('lowercases and splits on anything that is not a letter, mark or digit', () => {
+        assert.deepEqual(tokenize('Galaxy S24-Ultra (256GB)'), ['galaxy', 's24', 'ultra', '256gb']);
+        assert.deepEqual(tokenize('ফোন কভার'), ['ফোন', 'কভার']);
+    });
+
+    it('treats regex characters in the input as separators', () => {
+        assert.deepEqual(tokenize('a.*b+(c'), ['a', 'b', 'c']);
+        assert.deepEqual(tokenize(null), []);
+    });
+
+    it('caps query length and token count', () => {
+        assert.equal(tokenizeQuery('word '.repeat(50)).length, 10);
+        assert.deepEqual(tokenizeQuery(`${'a'.repeat(99)} tail`), ['a'.repeat(99)]);
+    });
+});
+
+describe('searchService.correct', () => {
+    const vocabulary = new Map([
+        ['samsung', 12],
+        ['phone', 30],
+        ['phones', 4],
+        ['shone', 1],
+        ['headphones', 8],
+        ['tv', 5],
+    ]);
+
+    it('corrects a misspelled word to the closest known word', () => {
+        assert.equal(searchService.correct('samsnug', vocabulary), 'samsung');
+        assert.equal(searchService.correct('headfones', vocabulary), 'headphones');
+    });
+
+    it('keeps known words as typed', () => {
+        assert.equal(searchService.correct('phones', vocabulary), 'phones');
+    });
+
+    it('prefers the more common word when corrections are equally close', () => {
+        assert.equal(searchService.correct('phane', vocabulary), 'phone');
+        assert.equal(searchService.correct('xhone', vocabulary), 'phone');
+    });
+
+    it('does not correct short words or numbers', () => {
+        assert.equal(searchService.correct('tvs', vocabulary), 'tvs');
+        assert.equal(searchService.correct('1234', vocabulary), '1234');
+    });
+
+    it('allows one edit up to six letters and two beyond', () => {
+        assert.equal(searchService.correct('phxxe', vocabulary), 'phxxe');
+        assert.equal(searchService.correct('samxxng', vocabulary), 'samsung');
+        assert.equal(searchService.correct('samxxxg', vocabulary), 'samxxxg');
+    });
+});
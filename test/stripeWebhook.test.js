@@ -0,0 +1,178 @@
+/**
+ * Stripe webhook endpoint: signature checks, replays and out-of-order events.
+ * Payloads are signed locally with the test helper from the Stripe SDK; the
+ * Order and WebhookEvent models are replaced by in-memory stand-ins.
+ */
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+const stripe = require('../src/config/stripe');
+const { Order, WebhookEvent } = require('../src/models');
+const app = require('../src/app');
+
+// Minimal filter matching for the conditions paymentService uses
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+    const value = getPath(doc, path);
+    if (condition && typeof condition === 'object') {
+        if (condition.$in) return condition.$in.includes(value);
+        if (condition.$not) return !(value > condition.$not.$gt);
+    }
+    return value === condition;
+});
+
+let orders;
+let events;
+
+Order.findOneAndUpdate = (filter, update) => ({
+    withDeleted: async () => {
+        const order = orders.find(doc => matches(doc, filter));
+        if (!order) return null;
+        for (const [path, value] of Object.entries(update.$set)) {
+            const keys = path.split('.');
+            const last = keys.pop();
+            keys.reduce((target, key) => target[key], order)[last] = value;
+        }
+        return order;
+    },
+});
+Order.exists = (filter) => ({ withDeleted: async () => orders.some(doc => matches(doc, filter)) });
+
+WebhookEvent.create = async ({ eventId, type }) => {
+    if (events.has(eventId)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    events.set(eventId, { eventId, type });
+};
+WebhookEvent.updateOne = async ({ eventId }, fields) => Object.assign(events.get(eventId), fields);
+WebhookEvent.deleteOne = async ({ eventId }) => events.delete(eventId);
+
+let baseUrl;
+let server;
+
+const paymentIntentEvent = (id, type, object) => ({
+    id,
+    object: 'event',
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object },
+});
+
+const send = async (event, { secret = WEBHOOK_SECRET, payload = JSON.stringify(event), signature } = {}) => {
+    const header = signature ?? stripe.webhooks.generateTestHeaderString({ payload: JSON.stringify(event), secret });
+    const response = await fetch(`${baseUrl}/api/payments/webhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(header && { 'Stripe-Signature': header }) },
+        body: payload,
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+const succeeded = (eventId) => paymentIntentEvent(eventId, 'payment_intent.succeeded', {
+    id: 'pi_123', object: 'payment_intent', amount: 150000, amount_received: 150000, currency: 'bdt', metadata: {},
+});
+const failed = (eventId) => paymentIntentEvent(eventId, 'payment_intent.payment_failed', {
+    id: 'pi_123', object: 'payment_intent', amount: 150000, currency: 'bdt', metadata: {},
+    last_payment_error: { message: 'Your card was declined.' },
+});
+const refunded = (eventId, amountRefunded, full) => paymentIntentEvent(eventId, 'charge.refunded', {
+    id: 'ch_123', object: 'charge', payment_intent: 'pi_123', amount: 150000, amount_refunded: amountRefunded, refunded: full,
+});
+
+describe('POST /api/payments/webhook', () => {
+    before(async () => {
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        orders = [{ orderId: 'ORD1', payment: { method: 'card', paymentIntentId: 'pi_123', status: 'pending', amountRefunded: 0 } }];
+        events = new Map();
+    });
+
+    it('applies a correctly signed event to its order', async () => {
+        const { status, body } = await send(succeeded('evt_1'));
+
+        assert.equal(status, 200);
+        assert.deepEqual(body, { received: true, duplicate: false, outcome: 'applied' });
+        assert.equal(orders[0].payment.status, 'succeeded');
+        assert.equal(orders[0].payment.amount, 1500);
+        assert.equal(orders[0].payment.lastEventId, 'evt_1');
+        assert.equal(events.get('evt_1').outcome, 'applied');
+    });
+
+    it('rejects a payload signed with another secret', async () => {
+        const { status } = await send(succeeded('evt_1'), { secret: 'whsec_wrong' });
+
+        assert.equal(status, 400);
+        assert.equal(orders[0].payment.status, 'pending');
+        assert.equal(events.size, 0);
+    });
+
+    it('rejects a payload changed after signing', async () => {
+        const event = succeeded('evt_1');
+        const tampered = JSON.stringify({ ...event, data: { object: { ...event.data.object, amount_received: 1 } } });
+        const { status } = await send(event, { payload: tampered });
+
+        assert.equal(status, 400);
+        assert.equal(orders[0].payment.status, 'pending');
+    });
+
+    it('rejects a request without a signature', async () => {
+        const { status } = await send(succeeded('evt_1'), { signature: '' });
+
+        assert.equal(status, 400);
+        assert.equal(events.size, 0);
+    });
+
+    it('processes a replayed event only once', async () => {
+        await send(refunded('evt_1', 50000, false));
+        orders[0].payment.amountRefunded = 0; // would be set again if the replay were applied
+
+        const { status, body } = await send(refunded('evt_1', 50000, false));
+
+        assert.equal(status, 200);
+        assert.deepEqual(body, { received: true, duplicate: true });
+        assert.equal(orders[0].payment.amountRefunded, 0);
+    });
+
+    it('keeps a succeeded payment when a late failure arrives', async () => {
+        await send(succeeded('evt_1'));
+        const { body } = await send(failed('evt_2'));
+
+        assert.equal(body.outcome, 'ignored');
+        assert.equal(orders[0].payment.status, 'succeeded');
+    });
+
+    it('keeps a refunded payment when a late success arrives', async () => {
+        await send(succeeded('evt_1'));
+        await send(refunded('evt_2', 150000, true));
+        const { body } = await send(succeeded('evt_3'));
+
+        assert.equal(body.outcome, 'ignored');
+        assert.equal(orders[0].payment.status, 'refunded');
+        assert.equal(orders[0].payment.amountRefunded, 1500);
+    });
+
+    it('keeps the larger refund when an older partial refund arrives last', async () => {
+        await send(refunded('evt_2', 150000, true));
+        const { body } = await send(refunded('evt_1', 50000, false));
+
+        assert.equal(body.outcome, 'ignored');
+        assert.equal(orders[0].payment.status, 'refunded');
+        assert.equal(orders[0].payment.amountRefunded, 1500);
+    });
+
+    it('reports events for payments without an order as unmatched', async () => {
+        orders = [];
+        const { body } = await send(succeeded('evt_1'));
+
+        assert.equal(body.outcome, 'unmatched');
+    });
+});
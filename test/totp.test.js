@@ -0,0 +1,104 @@
+/**
+ * TOTP helpers: RFC 6238 reference codes and the clock drift window.
+ * Date.now is mocked so every check runs at a fixed time.
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecret, generateToken, verifyToken, buildOtpauthUrl } = require('../src/utils/totp');
+
+// RFC 6238 appendix B seed ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+const NOW = 1111111109 * 1000;
+
+describe('generateToken', () => {
+    it('matches the RFC 6238 SHA1 reference codes', () => {
+        assert.equal(generateToken(RFC_SECRET, 59 * 1000), '287082');
+        assert.equal(generateToken(RFC_SECRET, 1111111109 * 1000), '081804');
+        assert.equal(generateToken(RFC_SECRET, 1111111111 * 1000), '050471');
+        assert.equal(generateToken(RFC_SECRET, 1234567890 * 1000), '005924');
+        assert.equal(generateToken(RFC_SECRET, 2000000000 * 1000), '279037');
+    });
+
+    it('accepts lowercase and padded secrets', () => {
+        assert.equal(generateToken(`${RFC_SECRET.toLowerCase()}====`, 59 * 1000), '287082');
+    });
+
+    it('rejects secrets that are not base32', () => {
+        assert.throws(() => generateToken('NOT-BASE32!', NOW), /Invalid base32 secret/);
+    });
+});
+
+describe('verifyToken', () => {
+    beforeEach(() => {
+        mock.method(Date, 'now', () => NOW);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const currentStep = Math.floor(NOW / STEP_MS);
+
+    it('returns the matching time step for the current code', () => {
+        assert.equal(verifyToken(RFC_SECRET, generateToken(RFC_SECRET, NOW)), currentStep);
+    });
+
+    it('allows one step of drift either way by default', () => {
+        assert.equal(verifyToken(RFC_SECRET, generateToken(RFC_SECRET, NOW - STEP_MS)), currentStep - 1);
+        assert.equal(verifyToken(RFC_SECRET, generateToken(RFC_SECRET, NOW + STEP_MS)), currentStep + 1);
+    });
+
+    it('rejects codes outside the window', () => {
+        assert.equal(verifyToken(RFC_SECRET, generateToken(RFC_SECRET, NOW - 2 * STEP_MS)), null);
+        assert.equal(verifyToken(RFC_SECRET, generateToken(RFC_SECRET, NOW + 2 * STEP_MS)), null);
+    });
+
+    it('honours a custom window', () => {
+        const previous = generateToken(RFC_SECRET, NOW - STEP_MS);
+        const older = generateToken(RFC_SECRET, NOW - 2 * STEP_MS);
+
+        assert.equal(verifyToken(RFC_SECRET, previous, 0), null);
+        assert.equal(verifyToken(RFC_SECRET, older, 2), currentStep - 2);
+    });
+
+    it('ignores spaces in the entered code', () => {
+        const [a, b, c, d, e, f] = generateToken(RFC_SECRET, NOW);
+
+        assert.equal(verifyToken(RFC_SECRET, `${a}${b}${c} ${d}${e}${f}`), currentStep);
+    });
+
+    it('rejects malformed codes', () => {
+        for (const token of [undefined, null, '', '12345', '1234567', '12a456', 123456]) {
+            assert.equal(verifyToken(RFC_SECRET, token), null, `accepted ${token}`);
+        }
+    });
+
+    it('rejects codes for another secret', () => {
+        assert.equal(verifyToken(generateSecret(), generateToken(RFC_SECRET, NOW)), null);
+    });
+});
+
+describe('generateSecret', () => {
+    it('returns 160 random bits as unpadded base32', () => {
+        const secret = generateSecret();
+
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+        assert.notEqual(generateSecret(), secret);
+    });
+});
+
+describe('buildOtpauthUrl', () => {
+    it('encodes the label and the code parameters', () => {
+        const url = new URL(buildOtpauthUrl({ secret: RFC_SECRET, accountName: 'staff@example.com', issuer: 'BestDeal' }));
+
+        assert.equal(url.protocol, 'otpauth:');
+        assert.equal(url.host, 'totp');
+        assert.equal(decodeURIComponent(url.pathname), '/BestDeal:staff@example.com');
+        assert.equal(url.searchParams.get('secret'), RFC_SECRET);
+        assert.equal(url.searchParams.get('issuer'), 'BestDeal');
+        assert.equal(url.searchParams.get('digits'), '6');
+        assert.equal(url.searchParams.get('period'), '30');
+    });
+});